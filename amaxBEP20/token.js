@@ -0,0 +1,10 @@
+/**
+ * The token descriptor of this package, see amax-hardhat-common/fixtures.js
+ */
+module.exports = {
+  contractName: "AmaxBEP20",
+  name: "Armonia Meta Chain Base Coin",
+  symbol: "AMAX",
+  decimals: 8,
+  features: ["ownable", "pausable", "mintable", "burnable"],
+};
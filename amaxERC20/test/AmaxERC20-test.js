@@ -0,0 +1,3 @@
+const { describeToken } = require("amax-hardhat-common/fixtures");
+
+describeToken(require("../token"));
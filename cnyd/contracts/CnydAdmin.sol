@@ -9,23 +9,45 @@ import "./Ownable.sol";
 
 abstract contract Governable is Ownable {
 
-    uint256 public constant APPROVER_COUNT = 3;
-    uint256 public constant APPROVED_THRESHOLD = 3;
-
     enum ApprovedStatus { NONE, STARTED, APPROVED, OPPOSED }
 
+    enum ProposalKind { NONE, MINT, BURN, APPROVER, APPROVER_SET, FEE, BATCH_MINT }
+
+    /**
+    * QUEUED: approved and waiting for the timelock before execution
+    * CANCELLED: cancelled while queued
+    */
+    enum ProposalStatus { NONE, PENDING, EXECUTED, REJECTED, EXPIRED, QUEUED, CANCELLED }
+
+    struct Proposal {
+        ProposalKind                kind;
+        ProposalStatus              status;
+        address                     proposer;
+        uint                        startTime;
+        address[]                   approvers;
+    }
+
     event ApproverChanged(uint256 idndex, address indexed newAccount, address indexed oldAccount);
+    event ApprovedThresholdChanged(uint256 oldThreshold, uint256 newThreshold);
     event ProposerChanged(address indexed account, bool enabled);
 
 
     uint256 public proposalDuration = 6 * 3600; // in second
 
-    address[APPROVER_COUNT] public approvers;
+    address[] public approvers;
+
+    uint256 private _approvedThreshold;
 
     mapping (address => bool) public proposers;
 
+    uint256 public proposalCount; /** the ID of the latest proposal, IDs start from 1 */
+
+    mapping (uint256 => Proposal) private _proposals; /** id -> Proposal */
+
+    mapping (address => uint256[]) private _proposalIds; /** proposer -> proposal IDs */
+
     modifier onlyInit() virtual {
-        require(approvers[0] != address(0), "Token contract is not init");
+        require(approvers.length > 0, "Token contract is not init");
         _;
     }
 
@@ -59,15 +81,33 @@ abstract contract Governable is Ownable {
     }
 
     modifier validApproverIndex(uint256 index) {
-        require(index < APPROVER_COUNT, "Governable: approver index invalid" );
+        require(index < approvers.length, "Governable: approver index invalid" );
         _;
     }
 
     function isInit() public view virtual returns(bool) {
-        return approvers[0] != address(0);
+        return approvers.length > 0;
+    }
+
+    /**
+    * @dev The number of approvers, M of the N-of-M approver set.
+    */
+    function APPROVER_COUNT() public view returns(uint256) {
+        return approvers.length;
+    }
+
+    /**
+    * @dev The number of approvals to execute a proposal, N of the N-of-M approver set.
+    */
+    function APPROVED_THRESHOLD() public view returns(uint256) {
+        return _approvedThreshold;
+    }
+
+    function getApprovers() public view returns(address[] memory) {
+        return approvers;
     }
 
-    function _isApproverDuplicated(address[APPROVER_COUNT] memory _approvers) internal pure returns(bool) {
+    function _isApproverDuplicated(address[] memory _approvers) internal pure returns(bool) {
         for (uint256 i = 0; i < _approvers.length; i++) {
             for (uint256 j = i + 1; j < _approvers.length; j++) {
                 if (_approvers[i] == _approvers[j]) {
@@ -78,12 +118,34 @@ abstract contract Governable is Ownable {
         return false;
     }
 
-    function _setApprovers(address[APPROVER_COUNT] memory _approvers) internal {
+    function _checkApproverSet(address[] memory _approvers, uint256 threshold) internal pure {
+        require(_approvers.length > 0, "Governable: empty approvers not allowed");
+        require(threshold > 0 && threshold <= _approvers.length, "Governable: threshold out of range");
         require(!_isApproverDuplicated(_approvers), "approvers duplicated");
-        approvers = _approvers; 
         for (uint256 i = 0; i < _approvers.length; i++) {
-            emit ApproverChanged(i, _approvers[i], address(0));
-        }               
+            require(_approvers[i] != address(0), "zero account not allowed");
+        }
+    }
+
+    /**
+    * @dev Replaces the approver set and threshold, emitting ApproverChanged for
+    * every changed index, removed ones with a zero new account.
+    */
+    function _setApprovers(address[] memory _approvers, uint256 threshold) internal {
+        _checkApproverSet(_approvers, threshold);
+        uint256 oldCount = approvers.length;
+        for (uint256 i = 0; i < _approvers.length || i < oldCount; i++) {
+            address oldAccount = i < oldCount ? approvers[i] : address(0);
+            address newAccount = i < _approvers.length ? _approvers[i] : address(0);
+            if (oldAccount != newAccount) {
+                emit ApproverChanged(i, newAccount, oldAccount);
+            }
+        }
+        approvers = _approvers;
+        if (threshold != _approvedThreshold) {
+            emit ApprovedThresholdChanged(_approvedThreshold, threshold);
+            _approvedThreshold = threshold;
+        }
     }
 
     function _isApprover(address account) internal view returns(bool) {
@@ -94,8 +156,22 @@ abstract contract Governable is Ownable {
         return false;
     }
 
+    /**
+    * @dev Whether the `signers` of a proposal reach the threshold, only the current
+    * approvers count.
+    */
+    function _isThresholdReached(address[] memory signers) internal view returns(bool) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (_isApprover(signers[i])) {
+                count++;
+            }
+        }
+        return count >= _approvedThreshold;
+    }
+
     function _setApprover(uint256 id, address account) internal {
-        require(id < APPROVER_COUNT, "Governable: approver id is out of range");
+        require(id < approvers.length, "Governable: approver id is out of range");
         require(account != approvers[id], "Governable: the account is same as the old one");
         require(!_isApprover(account), "Governable: the account is already an approver");
 
@@ -104,7 +180,7 @@ abstract contract Governable is Ownable {
         emit ApproverChanged(id, account, oldAccount);
     }
 
-    function setProposer(address account, bool enabled) public onlyOwner() onlyInit() {
+    function setProposer(address account, bool enabled) public onlyOwner() {
         require(proposers[account] != enabled, "Governable: no change of enabled");
         proposers[account] = enabled;
         emit ProposerChanged(account, enabled);
@@ -125,8 +201,62 @@ abstract contract Governable is Ownable {
         return block.timestamp > startTime + proposalDuration;    
     }
 
-    function _isApprovable(uint startTime) internal view returns(bool) {
-        return startTime > 0 && !_isProposalExpired(startTime);
+    /**
+    * @dev Returns the proposal of `id`, a pending proposal past the proposal duration is expired.
+    */
+    function getProposal(uint256 id) public view returns(Proposal memory proposal) {
+        proposal = _proposals[id];
+        if (proposal.status == ProposalStatus.PENDING && _isProposalExpired(proposal.startTime)) {
+            proposal.status = ProposalStatus.EXPIRED;
+        }
+    }
+
+    /**
+    * @dev Returns the IDs of all proposals of `proposer`, in proposing order.
+    */
+    function getProposalIds(address proposer) public view returns(uint256[] memory) {
+        return _proposalIds[proposer];
+    }
+
+    function _isApprovable(uint256 id, ProposalKind kind) internal view returns(bool) {
+        Proposal storage proposal = _proposals[id];
+        return proposal.kind == kind && proposal.status == ProposalStatus.PENDING && !_isProposalExpired(proposal.startTime);
+    }
+
+    function _hasApproved(uint256 id, address account) internal view returns(bool) {
+        return _accountExistIn(account, _proposals[id].approvers);
+    }
+
+    function _newProposal(ProposalKind kind) internal returns(uint256 id) {
+        id = ++proposalCount;
+        Proposal storage proposal = _proposals[id];
+        proposal.kind = kind;
+        proposal.status = ProposalStatus.PENDING;
+        proposal.proposer = msg.sender;
+        proposal.startTime = block.timestamp;
+        _proposalIds[msg.sender].push(id);
+    }
+
+    /**
+    * @dev Records the approval or rejection of the sender, and returns whether the
+    * proposal reached the threshold and is to be executed.
+    */
+    function _approveProposal(uint256 id, bool approved) internal returns(bool) {
+        Proposal storage proposal = _proposals[id];
+        if (!approved) {
+            proposal.status = ProposalStatus.REJECTED;
+            return false;
+        }
+        proposal.approvers.push(msg.sender);
+        if (_isThresholdReached(proposal.approvers)) {
+            proposal.status = ProposalStatus.EXECUTED;
+            return true;
+        }
+        return false;
+    }
+
+    function _setProposalStatus(uint256 id, ProposalStatus status) internal {
+        _proposals[id].status = status;
     }
 
     function _isBurnBalanceEnough(uint256 amount) internal view virtual returns(bool);
@@ -134,132 +264,277 @@ abstract contract Governable is Ownable {
 
 abstract contract MintProposal is Governable {
 
-    event MintProposed(address indexed proposer, address indexed to, uint256 amount);
-    event MintApproved(address indexed approver, address indexed proposer, bool approved, address indexed to, uint256 amount);
+    event MintProposed(uint256 indexed id, address indexed proposer, address indexed to, uint256 amount);
+    event MintApproved(uint256 indexed id, address indexed approver, address indexed proposer, bool approved, address to, uint256 amount);
+    event MintQueued(uint256 indexed id, uint256 executeTime);
+    event MintExecuted(uint256 indexed id, address indexed to, uint256 amount);
+    event MintCancelled(uint256 indexed id, address indexed account);
+    event MintLimitChanged(uint256 period, uint256 cap);
+    event MintDelayChanged(uint256 oldDelay, uint256 newDelay);
     event HolderChanged(address indexed newHolder, address indexed oldHolder);
+    event BatchMintProposed(uint256 indexed id, address indexed proposer, bytes32 indexed hash, address[] tos, uint256[] amounts, uint256 total);
+    event BatchMintApproved(uint256 indexed id, address indexed approver, address indexed proposer, bool approved, bytes32 hash, uint256 total);
+    event BatchMintExecuted(uint256 indexed id, bytes32 indexed hash, uint256 count, uint256 total);
 
     struct MintProposalData {
         address                     to;
         uint256                     amount;
-        uint                        startTime;
-        address[]                   approvers;
+        uint256                     executeTime;
+    }
+
+    /**
+    * only the hash of the (to, amount) list is kept, the list is in the
+    * BatchMintProposed event and passed again to executeBatchMint
+    */
+    struct BatchMintProposalData {
+        bytes32                     hash;
+        uint256                     count;
+        uint256                     total;
+        uint256                     executeTime;
+    }
+
+    /** the most recipients of a batch mint, keeping its execution well within the block gas limit */
+    uint256 public constant MAX_BATCH_MINT_SIZE = 200;
+
+    mapping (uint256 => MintProposalData) private _mintProposals; /** id -> MintProposalData */
+
+    mapping (uint256 => BatchMintProposalData) private _batchMintProposals; /** id -> BatchMintProposalData */
+
+    uint256 public mintPeriod; // in second, e.g. 86400 for a daily cap
+
+    uint256 public mintCap; // the amount to mint per period, 0 for no cap
+
+    uint256 public mintDelay; // in second between the last approval and the mint, 0 to mint at the last approval
+
+    uint256 private _mintPeriodIndex;
+
+    uint256 private _mintedInPeriod;
+
+    function getMintProposal(uint256 id) public view returns(Proposal memory proposal, MintProposalData memory data) {
+        return (getProposal(id), _mintProposals[id]);
     }
 
-    mapping (address => MintProposalData) private mintProposals; /** proposer -> MintProposalData */
+    function getBatchMintProposal(uint256 id) public view returns(Proposal memory proposal, BatchMintProposalData memory data) {
+        return (getProposal(id), _batchMintProposals[id]);
+    }
+
+    /**
+    * @dev Sets the cap of the amount minted in every period of `period` seconds, the
+    * periods are aligned to the unix epoch. A zero `cap` removes the limit.
+    */
+    function setMintLimit(uint256 period, uint256 cap) public onlyOwner() {
+        require(cap == 0 || period > 0, "MintProposal: zero period not allowed");
+        mintPeriod = period;
+        mintCap = cap;
+        emit MintLimitChanged(period, cap);
+    }
 
-    function getMintProposal(address proposer) public view returns(MintProposalData memory) {
-        return mintProposals[proposer];
+    function setMintDelay(uint256 delay) public onlyOwner() {
+        emit MintDelayChanged(mintDelay, delay);
+        mintDelay = delay;
+    }
+
+    /**
+    * @dev Returns the amount that can still be minted in the current period.
+    */
+    function mintableAmount() public view returns(uint256) {
+        if (mintCap == 0) return type(uint256).max;
+        uint256 minted = block.timestamp / mintPeriod == _mintPeriodIndex ? _mintedInPeriod : 0;
+        return minted >= mintCap ? 0 : mintCap - minted;
     }
 
     /**
     * @dev propose to mint
     * @param amount amount to mint
-    * @return mint propose ID
+    * @return id mint propose ID
     */
     function proposeMint(address to, uint256 amount) public 
         onlyInit()
         onlyProposer() 
         onlyNonZeroAccount(to)
         onlyPositiveAmount(amount) 
-        returns(bool) 
+        returns(uint256 id) 
+    {
+        id = _newProposal(ProposalKind.MINT);
+        _mintProposals[id] = MintProposalData(to, amount, 0);
+        emit MintProposed(id, msg.sender, to, amount);
+    }
+
+    function approveMint(uint256 id, bool approved, address to, uint256 amount) public onlyInit() onlyApprover() returns(bool) {
+        MintProposalData storage data = _mintProposals[id];
+        require( _isApprovable(id, ProposalKind.MINT), "MintProposal: proposal is not approvable" );
+        require( data.to == to && data.amount == amount, "MintProposal: proposal data mismatch" );
+        require( !_hasApproved(id, msg.sender), "MintProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, approved);
+        emit MintApproved(id, msg.sender, getProposal(id).proposer, approved, to, amount); 
+
+        if (needExec) {
+            if (mintDelay > 0) {
+                data.executeTime = block.timestamp + mintDelay;
+                _setProposalStatus(id, ProposalStatus.QUEUED);
+                emit MintQueued(id, data.executeTime);
+            } else {
+                _executeMint(id);
+            }
+        }
+        return true;
+    }
+
+    /**
+    * @dev propose to mint `amounts` to `tos`, approved once by its hash
+    * `keccak256(abi.encode(tos, amounts))`
+    * @return id batch mint propose ID
+    */
+    function proposeBatchMint(address[] memory tos, uint256[] memory amounts) public
+        onlyInit()
+        onlyProposer()
+        returns(uint256 id)
     {
-        require(!_isApprovable(mintProposals[msg.sender].startTime), "MintProposal: proposal is approving" );
+        require(tos.length > 0 && tos.length == amounts.length, "MintProposal: invalid batch length");
+        require(tos.length <= MAX_BATCH_MINT_SIZE, "MintProposal: batch too large");
+        uint256 total = 0;
+        for (uint256 i = 0; i < tos.length; i++) {
+            require(tos[i] != address(0), "MintProposal: zero account not allowed");
+            require(amounts[i] > 0, "MintProposal: zero amount not allowed");
+            total += amounts[i];
+        }
 
-        delete mintProposals[msg.sender];
-        //mint by a proposer for once only otherwise would be overwritten
-        mintProposals[msg.sender].to = to;
-        mintProposals[msg.sender].amount = amount;
-        mintProposals[msg.sender].startTime = block.timestamp;
-        emit MintProposed(msg.sender, to, amount);
+        id = _newProposal(ProposalKind.BATCH_MINT);
+        bytes32 hash = keccak256(abi.encode(tos, amounts));
+        _batchMintProposals[id] = BatchMintProposalData(hash, tos.length, total, 0);
+        emit BatchMintProposed(id, msg.sender, hash, tos, amounts, total);
+    }
 
+    /**
+    * @dev the approved batch is queued for the mint delay, then minted by executeBatchMint
+    */
+    function approveBatchMint(uint256 id, bool approved, bytes32 hash) public onlyInit() onlyApprover() returns(bool) {
+        BatchMintProposalData storage data = _batchMintProposals[id];
+        require( _isApprovable(id, ProposalKind.BATCH_MINT), "MintProposal: proposal is not approvable" );
+        require( data.hash == hash, "MintProposal: proposal data mismatch" );
+        require( !_hasApproved(id, msg.sender), "MintProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, approved);
+        emit BatchMintApproved(id, msg.sender, getProposal(id).proposer, approved, hash, data.total);
+
+        if (needExec) {
+            data.executeTime = block.timestamp + mintDelay;
+            _setProposalStatus(id, ProposalStatus.QUEUED);
+            emit MintQueued(id, data.executeTime);
+        }
         return true;
     }
 
-    function approveMint(address proposer, bool approved, address to, uint256 amount) public onlyInit() onlyApprover() returns(bool) {
-        MintProposalData memory proposal = mintProposals[proposer];
-        require( _isApprovable(proposal.startTime), "MintProposal: proposal is not approvable" );
-        require( proposal.to == to && proposal.amount == amount, "MintProposal: proposal data mismatch" );
-        require( !_accountExistIn(msg.sender, proposal.approvers), "MintProposal: approver has already approved" );
-
-        bool needExec = false;
-        if (approved) {
-            mintProposals[proposer].approvers.push(msg.sender);
-            if (mintProposals[proposer].approvers.length == APPROVER_COUNT) {
-                needExec = true;
-                delete mintProposals[proposer];  
-            }
-        } else {
-            delete mintProposals[proposer];           
+    /**
+    * @dev mints a queued batch mint proposal once its delay has passed, by anyone
+    * with the proposed list
+    */
+    function executeBatchMint(uint256 id, address[] memory tos, uint256[] memory amounts) public onlyInit() returns(bool) {
+        BatchMintProposalData memory data = _batchMintProposals[id];
+        require( _isQueued(id, ProposalKind.BATCH_MINT), "MintProposal: proposal is not queued" );
+        require( block.timestamp >= data.executeTime, "MintProposal: delay not passed" );
+        require( keccak256(abi.encode(tos, amounts)) == data.hash, "MintProposal: proposal data mismatch" );
+
+        _setProposalStatus(id, ProposalStatus.EXECUTED);
+        _useMintCap(data.total);
+        for (uint256 i = 0; i < tos.length; i++) {
+            _doMint(tos[i], amounts[i]);
         }
-        emit MintApproved(msg.sender, proposer, approved, to, amount); 
+        emit BatchMintExecuted(id, data.hash, data.count, data.total);
+        return true;
+    }
 
-        if (needExec) 
-            _doMint(to, amount);
+    /**
+    * @dev mints a queued mint proposal once its delay has passed, by anyone
+    */
+    function executeMint(uint256 id) public onlyInit() returns(bool) {
+        require( _isQueued(id, ProposalKind.MINT), "MintProposal: proposal is not queued" );
+        require( block.timestamp >= _mintProposals[id].executeTime, "MintProposal: delay not passed" );
 
+        _setProposalStatus(id, ProposalStatus.EXECUTED);
+        _executeMint(id);
         return true;
     }
 
+    /**
+    * @dev cancels a queued mint or batch mint proposal during its delay
+    */
+    function cancelMint(uint256 id) public onlyInit() onlyApproverAndOwner() returns(bool) {
+        require( _isQueued(id, ProposalKind.MINT) || _isQueued(id, ProposalKind.BATCH_MINT), "MintProposal: proposal is not queued" );
+
+        _setProposalStatus(id, ProposalStatus.CANCELLED);
+        emit MintCancelled(id, msg.sender);
+        return true;
+    }
+
+    function _isQueued(uint256 id, ProposalKind kind) internal view returns(bool) {
+        Proposal memory proposal = getProposal(id);
+        return proposal.kind == kind && proposal.status == ProposalStatus.QUEUED;
+    }
+
+    /**
+    * @dev counts `amount` against the mint cap of the current period
+    */
+    function _useMintCap(uint256 amount) internal {
+        if (mintCap > 0) {
+            require( amount <= mintableAmount(), "MintProposal: mint cap exceeded" );
+            uint256 periodIndex = block.timestamp / mintPeriod;
+            if (periodIndex != _mintPeriodIndex) {
+                _mintPeriodIndex = periodIndex;
+                _mintedInPeriod = 0;
+            }
+            _mintedInPeriod += amount;
+        }
+    }
+
+    function _executeMint(uint256 id) internal {
+        MintProposalData memory data = _mintProposals[id];
+        _useMintCap(data.amount);
+        _doMint(data.to, data.amount);
+        emit MintExecuted(id, data.to, data.amount);
+    }
+
     function _doMint(address to, uint256 amount) internal virtual;
 }
 
 abstract contract BurnProposal is Governable {
 
-    event BurnProposed(address indexed proposer, uint256 amount);
-    event BurnApproved(address indexed approver, address indexed proposer, bool approved, uint256 amount);
+    event BurnProposed(uint256 indexed id, address indexed proposer, uint256 amount);
+    event BurnApproved(uint256 indexed id, address indexed approver, address indexed proposer, bool approved, uint256 amount);
 
-    struct BurnProposalData {
-        uint256                     amount;
-        uint                        startTime;
-        address[]                   approvers;
-    }
-
-    mapping (address => BurnProposalData) private _burnProposals; /** proposer -> BurnProposalData */
+    mapping (uint256 => uint256) private _burnAmounts; /** id -> amount */
 
-    function getBurnProposal(address proposer) public view returns(BurnProposalData memory) {
-        return _burnProposals[proposer];
+    function getBurnProposal(uint256 id) public view returns(Proposal memory proposal, uint256 amount) {
+        return (getProposal(id), _burnAmounts[id]);
     }
+
     /**
     * @dev propose to burn
     * @param amount amount to burn
-    * @return burn propose ID
+    * @return id burn propose ID
     */
     function proposeBurn(uint256 amount) public 
         onlyInit()
         onlyProposer()
         onlyPositiveAmount(amount) 
-        returns(bool) 
+        returns(uint256 id) 
     {
         require(_isBurnBalanceEnough(amount), "BurnProposal: burn amount exceeds contract balance");
-        require( !_isApprovable(_burnProposals[msg.sender].startTime), "BurnProposal: proposal is approving" );
 
-        delete _burnProposals[msg.sender]; // clear proposal data
-        //burn by a proposer for once only otherwise would be overwritten
-        _burnProposals[msg.sender].amount = amount;
-        _burnProposals[msg.sender].startTime = block.timestamp;
-        emit BurnProposed(msg.sender, amount);
-
-        return true;
+        id = _newProposal(ProposalKind.BURN);
+        _burnAmounts[id] = amount;
+        emit BurnProposed(id, msg.sender, amount);
     }
 
-    function approveBurn(address proposer, bool approved, uint256 amount) public onlyInit() onlyApprover() returns(bool) {
-        BurnProposalData memory proposal = _burnProposals[proposer];
-        require( _isApprovable(proposal.startTime), "BurnProposal: proposal is not approvable" );
-        require( proposal.amount == amount, "BurnProposal: proposal data mismatch" );
+    function approveBurn(uint256 id, bool approved, uint256 amount) public onlyInit() onlyApprover() returns(bool) {
+        require( _isApprovable(id, ProposalKind.BURN), "BurnProposal: proposal is not approvable" );
+        require( _burnAmounts[id] == amount, "BurnProposal: proposal data mismatch" );
         require(_isBurnBalanceEnough(amount), "BurnProposal: burn amount exceeds contract balance");
-        require( !_accountExistIn(msg.sender, proposal.approvers),
-            "BurnProposal: approver has already approved" );
-
-        bool needExec = false;
-        if (approved) {
-            _burnProposals[proposer].approvers.push(msg.sender);
-            if (_burnProposals[proposer].approvers.length == APPROVER_COUNT) {
-                needExec = true;
-                delete _burnProposals[proposer];  
-            }
-        } else {
-            delete _burnProposals[proposer];           
-        }
-        emit BurnApproved(msg.sender, proposer, approved, amount); 
+        require( !_hasApproved(id, msg.sender), "BurnProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, approved);
+        emit BurnApproved(id, msg.sender, getProposal(id).proposer, approved, amount); 
 
         if (needExec)
             _doBurn(amount);
@@ -270,75 +545,59 @@ abstract contract BurnProposal is Governable {
 }
 
 /**
- * approved by owner or approvers
+ * approved by approvers, the owner doesn't count so that it can't replace them
  */
 abstract contract ApproverProposal is Governable {
 
-    event ApproverProposed(address indexed proposer, uint256 index, address indexed newApprover);
-    event ApproverApproved(address indexed approver, address indexed proposer, uint256 index, address indexed newApprover);
+    event ApproverProposed(uint256 indexed id, address indexed proposer, uint256 index, address indexed newApprover);
+    event ApproverApproved(uint256 indexed id, address indexed approver, address indexed proposer, uint256 index, address newApprover);
 
     struct ApproverProposalData {
         uint256                     index;
         address                     newApprover;
-        uint                        startTime;
-        address[]                   approvers;
     }
 
-    mapping (address => ApproverProposalData) public _approverProposals; /** proposer -> ApproverProposalData */
+    mapping (uint256 => ApproverProposalData) private _approverProposals; /** id -> ApproverProposalData */
 
-    function getApproverProposal(address proposer) public view returns(ApproverProposalData memory) {
-        return _approverProposals[proposer];
+    function getApproverProposal(uint256 id) public view returns(Proposal memory proposal, ApproverProposalData memory data) {
+        return (getProposal(id), _approverProposals[id]);
     }
 
     /**
     * @dev propose to set approver
     * @param index index of approver
     * @param newApprover new approver
-    * @return approver propose ID
+    * @return id approver propose ID
     */
     function proposeApprover(uint256 index, address newApprover) public
         onlyInit()
         onlyProposer() 
         validApproverIndex(index)
         onlyNonZeroAccount(newApprover)
-        returns(bool) 
+        returns(uint256 id) 
     {
-        require(!_isApprovable(_approverProposals[msg.sender].startTime), "ApproverProposal: proposal is approving" );
-
-        delete _approverProposals[msg.sender]; // clear proposal data
-        //approver by a proposer for once only otherwise would be overwritten
-        _approverProposals[msg.sender].index = index;
-        _approverProposals[msg.sender].newApprover = newApprover;
-        _approverProposals[msg.sender].startTime = block.timestamp;
-        emit ApproverProposed(msg.sender, index, newApprover);
-
-        return true;
+        id = _newProposal(ProposalKind.APPROVER);
+        _approverProposals[id] = ApproverProposalData(index, newApprover);
+        emit ApproverProposed(id, msg.sender, index, newApprover);
     }
 
 
     /**
      * approver can not unapprove
      */
-    function approveApprover(address proposer, uint256 index, address newApprover) public 
+    function approveApprover(uint256 id, uint256 index, address newApprover) public 
         onlyInit()
-        onlyApproverAndOwner() 
+        onlyApprover()
         returns(bool) 
     {
-
-        ApproverProposalData memory proposal = _approverProposals[proposer];
-        require( _isApprovable(proposal.startTime), "ApproverProposal: proposal is not approvable" );
-        require( proposal.index == index && proposal.newApprover == newApprover, 
+        ApproverProposalData memory data = _approverProposals[id];
+        require( _isApprovable(id, ProposalKind.APPROVER), "ApproverProposal: proposal is not approvable" );
+        require( data.index == index && data.newApprover == newApprover, 
             "ApproverProposal: propose data mismatch" );
-        require( !_accountExistIn(msg.sender, proposal.approvers),
-            "ApproverProposal: approver has already approved" );
-
-        bool needExec = false;
-        _approverProposals[proposer].approvers.push(msg.sender);
-        if (_approverProposals[proposer].approvers.length == APPROVER_COUNT) {
-            needExec = true;
-            delete _approverProposals[proposer];  
-        }
-        emit ApproverApproved(msg.sender, proposer, index, newApprover); 
+        require( !_hasApproved(id, msg.sender), "ApproverProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, true);
+        emit ApproverApproved(id, msg.sender, getProposal(id).proposer, index, newApprover); 
 
         if (needExec)
             _setApprover(index, newApprover);
@@ -347,8 +606,228 @@ abstract contract ApproverProposal is Governable {
     }
 }
 
+/**
+ * replace the whole approver set and the approved threshold, approved by approvers
+ */
+abstract contract ApproverSetProposal is Governable {
+
+    event ApproverSetProposed(uint256 indexed id, address indexed proposer, address[] newApprovers, uint256 threshold);
+    event ApproverSetApproved(uint256 indexed id, address indexed approver, address indexed proposer, bool approved, address[] newApprovers, uint256 threshold);
+
+    struct ApproverSetProposalData {
+        address[]                   newApprovers;
+        uint256                     threshold;
+    }
+
+    mapping (uint256 => ApproverSetProposalData) private _approverSetProposals; /** id -> ApproverSetProposalData */
+
+    function getApproverSetProposal(uint256 id) public view returns(Proposal memory proposal, ApproverSetProposalData memory data) {
+        return (getProposal(id), _approverSetProposals[id]);
+    }
+
+    /**
+    * @dev propose to replace the approver set and the approved threshold
+    * @param newApprovers the new approver set
+    * @param threshold the new approved threshold, at most the size of the new set
+    * @return id approver set propose ID
+    */
+    function proposeApproverSet(address[] memory newApprovers, uint256 threshold) public
+        onlyInit()
+        onlyProposer()
+        returns(uint256 id)
+    {
+        _checkApproverSet(newApprovers, threshold);
+
+        id = _newProposal(ProposalKind.APPROVER_SET);
+        _approverSetProposals[id] = ApproverSetProposalData(newApprovers, threshold);
+        emit ApproverSetProposed(id, msg.sender, newApprovers, threshold);
+    }
+
+    function approveApproverSet(uint256 id, bool approved, address[] memory newApprovers, uint256 threshold) public
+        onlyInit()
+        onlyApprover()
+        returns(bool)
+    {
+        ApproverSetProposalData memory data = _approverSetProposals[id];
+        require( _isApprovable(id, ProposalKind.APPROVER_SET), "ApproverSetProposal: proposal is not approvable" );
+        require( data.threshold == threshold && keccak256(abi.encode(data.newApprovers)) == keccak256(abi.encode(newApprovers)),
+            "ApproverSetProposal: proposal data mismatch" );
+        require( !_hasApproved(id, msg.sender), "ApproverSetProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, approved);
+        emit ApproverSetApproved(id, msg.sender, getProposal(id).proposer, approved, newApprovers, threshold);
+
+        if (needExec)
+            _setApprovers(newApprovers, threshold);
+
+        return true;
+    }
+}
+
+/**
+ * change the admin fee parameters of the token, approved by approvers and
+ * executed after the fee timelock if any
+ *
+ * the SET_*_TIER actions are in the order of IAdminFee.FeeTierSide, DEL_TIER removes the tiers,
+ * SET_TIMELOCK changes the fee timelock itself, after the current one
+ */
+abstract contract FeeProposal is Governable {
+
+    enum FeeAction { NONE, SET_RATIO, SET_RECIPIENT, ADD_WHITELIST, DEL_WHITELIST, SET_SENDER_TIER, SET_RECIPIENT_TIER, SET_BOTH_TIER, DEL_TIER, SET_TIMELOCK }
+
+    event FeeProposed(uint256 indexed id, address indexed proposer, FeeAction action, uint256 ratio, address recipient, address[] accounts);
+    event FeeApproved(uint256 indexed id, address indexed approver, address indexed proposer, bool approved);
+    event FeeQueued(uint256 indexed id, uint256 executeTime);
+    event FeeExecuted(uint256 indexed id, FeeAction action);
+    event FeeTimelockChanged(uint256 oldTimelock, uint256 newTimelock);
+
+    struct FeeProposalData {
+        FeeAction                   action;
+        uint256                     ratio;         // the timelock of SET_TIMELOCK
+        address                     recipient;
+        address[]                   accounts;
+        uint256                     executeTime;
+    }
 
-contract CnydAdmin is Ownable, Governable, MintProposal, BurnProposal, ApproverProposal {
+    /** 5% in the ratio precision of the token, the highest admin fee ratio to be proposed */
+    uint256 public constant MAX_ADMIN_FEE_RATIO = 500;
+
+    /** the longest fee timelock to be proposed */
+    uint256 public constant MAX_FEE_TIMELOCK = 30 days;
+
+    uint256 public feeTimelock; // in second, 0 to execute at the last approval
+
+    mapping (uint256 => FeeProposalData) private _feeProposals; /** id -> FeeProposalData */
+
+    function getFeeProposal(uint256 id) public view returns(Proposal memory proposal, FeeProposalData memory data) {
+        return (getProposal(id), _feeProposals[id]);
+    }
+
+    /**
+    * @dev sets the fee timelock before init, then it's changed by proposals only
+    */
+    function setFeeTimelock(uint256 timelock) public onlyOwner() {
+        require(!isInit(), "FeeProposal: the timelock is changed by proposals once init");
+        _setFeeTimelock(timelock);
+    }
+
+    function proposeFeeTimelock(uint256 timelock) public onlyInit() onlyProposer() returns(uint256 id) {
+        require(timelock <= MAX_FEE_TIMELOCK, "FeeProposal: timelock exceeds the max");
+        return _proposeFee(FeeAction.SET_TIMELOCK, timelock, address(0), new address[](0));
+    }
+
+    function _setFeeTimelock(uint256 timelock) internal {
+        emit FeeTimelockChanged(feeTimelock, timelock);
+        feeTimelock = timelock;
+    }
+
+    function proposeAdminFeeRatio(uint256 ratio) public onlyInit() onlyProposer() returns(uint256 id) {
+        require(ratio <= MAX_ADMIN_FEE_RATIO, "FeeProposal: ratio exceeds the max");
+        return _proposeFee(FeeAction.SET_RATIO, ratio, address(0), new address[](0));
+    }
+
+    function proposeFeeRecipient(address recipient) public onlyInit() onlyProposer() onlyNonZeroAccount(recipient) returns(uint256 id) {
+        return _proposeFee(FeeAction.SET_RECIPIENT, 0, recipient, new address[](0));
+    }
+
+    /**
+    * @dev propose to add `accounts` to the fee whitelist, or delete them when not `added`
+    */
+    function proposeFeeWhitelist(address[] memory accounts, bool added) public onlyInit() onlyProposer() returns(uint256 id) {
+        require(accounts.length > 0, "FeeProposal: empty accounts not allowed");
+        return _proposeFee(added ? FeeAction.ADD_WHITELIST : FeeAction.DEL_WHITELIST, 0, address(0), accounts);
+    }
+
+    /**
+    * @dev propose the fee tier `side` and `ratio` of `accounts`, a NONE `side` removes their tiers
+    */
+    function proposeFeeTier(address[] memory accounts, IAdminFee.FeeTierSide side, uint256 ratio) public onlyInit() onlyProposer() returns(uint256 id) {
+        require(accounts.length > 0, "FeeProposal: empty accounts not allowed");
+        require(ratio <= MAX_ADMIN_FEE_RATIO, "FeeProposal: ratio exceeds the max");
+        require(side != IAdminFee.FeeTierSide.NONE || ratio == 0, "FeeProposal: nonzero ratio without a tier side");
+        FeeAction action = side == IAdminFee.FeeTierSide.NONE ? FeeAction.DEL_TIER
+            : FeeAction(uint8(side) + uint8(FeeAction.DEL_WHITELIST));
+        return _proposeFee(action, ratio, address(0), accounts);
+    }
+
+    function _proposeFee(FeeAction action, uint256 ratio, address recipient, address[] memory accounts) internal returns(uint256 id) {
+        id = _newProposal(ProposalKind.FEE);
+        _feeProposals[id] = FeeProposalData(action, ratio, recipient, accounts, 0);
+        emit FeeProposed(id, msg.sender, action, ratio, recipient, accounts);
+    }
+
+    function approveFee(uint256 id, bool approved, FeeAction action, uint256 ratio, address recipient, address[] memory accounts) public 
+        onlyInit()
+        onlyApprover()
+        returns(bool)
+    {
+        FeeProposalData storage data = _feeProposals[id];
+        require( _isApprovable(id, ProposalKind.FEE), "FeeProposal: proposal is not approvable" );
+        require( data.action == action && data.ratio == ratio && data.recipient == recipient
+            && keccak256(abi.encode(data.accounts)) == keccak256(abi.encode(accounts)),
+            "FeeProposal: proposal data mismatch" );
+        require( !_hasApproved(id, msg.sender), "FeeProposal: approver has already approved" );
+
+        bool needExec = _approveProposal(id, approved);
+        emit FeeApproved(id, msg.sender, getProposal(id).proposer, approved);
+
+        if (needExec) {
+            if (feeTimelock > 0) {
+                data.executeTime = block.timestamp + feeTimelock;
+                _setProposalStatus(id, ProposalStatus.QUEUED);
+                emit FeeQueued(id, data.executeTime);
+            } else {
+                _executeFee(id);
+            }
+        }
+        return true;
+    }
+
+    /**
+    * @dev executes a queued fee proposal once its timelock has passed, by anyone
+    */
+    function executeFee(uint256 id) public onlyInit() returns(bool) {
+        Proposal memory proposal = getProposal(id);
+        require( proposal.kind == ProposalKind.FEE && proposal.status == ProposalStatus.QUEUED, "FeeProposal: proposal is not queued" );
+        require( block.timestamp >= _feeProposals[id].executeTime, "FeeProposal: timelock not passed" );
+
+        _setProposalStatus(id, ProposalStatus.EXECUTED);
+        _executeFee(id);
+        return true;
+    }
+
+    function _executeFee(uint256 id) internal {
+        FeeProposalData memory data = _feeProposals[id];
+        if (data.action == FeeAction.SET_RATIO) {
+            _setAdminFeeRatio(data.ratio);
+        } else if (data.action == FeeAction.SET_RECIPIENT) {
+            _setFeeRecipient(data.recipient);
+        } else if (data.action == FeeAction.ADD_WHITELIST) {
+            _addFeeWhitelist(data.accounts);
+        } else if (data.action == FeeAction.DEL_WHITELIST) {
+            _delFeeWhitelist(data.accounts);
+        } else if (data.action == FeeAction.DEL_TIER) {
+            _setFeeTiers(data.accounts, IAdminFee.FeeTierSide.NONE, 0);
+        } else if (data.action == FeeAction.SET_TIMELOCK) {
+            _setFeeTimelock(data.ratio);
+        } else {
+            _setFeeTiers(data.accounts, IAdminFee.FeeTierSide(uint8(data.action) - uint8(FeeAction.DEL_WHITELIST)), data.ratio);
+        }
+        emit FeeExecuted(id, data.action);
+    }
+
+    function _setAdminFeeRatio(uint256 ratio) internal virtual;
+
+    function _setFeeRecipient(address recipient) internal virtual;
+
+    function _addFeeWhitelist(address[] memory accounts) internal virtual;
+
+    function _delFeeWhitelist(address[] memory accounts) internal virtual;
+
+    function _setFeeTiers(address[] memory accounts, IAdminFee.FeeTierSide side, uint256 ratio) internal virtual;
+}
+
+contract CnydAdmin is Ownable, Governable, MintProposal, BurnProposal, ApproverProposal, ApproverSetProposal, FeeProposal {
 
     address public token;
 
@@ -362,15 +841,15 @@ contract CnydAdmin is Ownable, Governable, MintProposal, BurnProposal, ApproverP
         return token != address(0);
     }
 
-    function init(address _token, address[APPROVER_COUNT] memory _approvers) public onlyOwner onlyNonZeroAccount(_token) { 
+    function init(address _token, address[] memory _approvers, uint256 threshold) public onlyOwner onlyNonZeroAccount(_token) { 
         require(token == address(0), "Token contract has been initialized");
         token = _token;
-        _setApprovers(_approvers);
+        _setApprovers(_approvers, threshold);
         
         require(IOwnable(_token).owner() != address(this), "This contract has been the owner of Token contract");
         require(IOwnable(_token).proposedOwner() == address(this), "This contract is not the proposed owner of Token contract");
         takeTokenOwnership();
-        setTokenAdmin(address(this));
+        IAdministrable(_token).setAdmin(address(this));
     }
 
     function pause() public onlyOwner onlyInit() {
@@ -385,6 +864,14 @@ contract CnydAdmin is Ownable, Governable, MintProposal, BurnProposal, ApproverP
         ICnydToken(token).forceTransfer(from, to, amount);
     }
 
+    function freezeAccount(address account) public onlyOwner onlyInit() {
+        IFrozenableToken(token).freezeAccount(account);
+    }
+
+    function unfreezeAccount(address account) public onlyOwner onlyInit() {
+        IFrozenableToken(token).unfreezeAccount(account);
+    }
+
     function _doMint(address to, uint256 amount) internal override onlyInit() {
         ICnydToken(token).mint(to, amount);
     }
@@ -405,23 +892,23 @@ contract CnydAdmin is Ownable, Governable, MintProposal, BurnProposal, ApproverP
         IOwnable(token).takeOwnership();
     }
 
-    function setTokenAdmin(address newAdmin) public onlyOwner onlyInit() { 
-        IAdministrable(token).setAdmin(newAdmin);
-    }
-
-    function setAdminFeeRatio(uint256 ratio) public onlyOwner onlyInit() {
+    function _setAdminFeeRatio(uint256 ratio) internal override {
         IAdminFee(token).setAdminFeeRatio(ratio);
     }
 
-    function setFeeRecipient(address recipient) public onlyOwner onlyInit() {
+    function _setFeeRecipient(address recipient) internal override {
         IAdminFee(token).setFeeRecipient(recipient);
     }
 
-    function addFeeWhitelist(address[] memory accounts) public onlyOwner onlyInit() {
+    function _addFeeWhitelist(address[] memory accounts) internal override {
         IAdminFee(token).addFeeWhitelist(accounts);
     }
 
-    function delFeeWhitelist(address[] memory accounts) public onlyOwner onlyInit() {
+    function _delFeeWhitelist(address[] memory accounts) internal override {
         IAdminFee(token).delFeeWhitelist(accounts);
     }
+
+    function _setFeeTiers(address[] memory accounts, IAdminFee.FeeTierSide side, uint256 ratio) internal override {
+        IAdminFee(token).setFeeTiers(accounts, side, ratio);
+    }
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ pragma solidity ^0.8.2;
 pragma experimental ABIEncoderV2;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "./ICnydToken.sol";
 import "./Ownable.sol";
@@ -84,6 +85,13 @@ abstract contract AdminFee is Administrable, IAdminFee {
     address private _feeRecipient;
     mapping(address => bool) private _adminFeeWhitelist;
 
+    struct FeeTier {
+        FeeTierSide side;
+        uint256 ratio;
+    }
+
+    mapping(address => FeeTier) private _feeTiers;
+
     function ratioPrecision() external view virtual override returns(uint256) {
         return _RATIO_PRECISION;
     }
@@ -127,19 +135,58 @@ abstract contract AdminFee is Administrable, IAdminFee {
         emit FeeWhitelistDeleted(accounts);
     }
 
+    function getFeeTier(address account) public view virtual override returns(FeeTierSide side, uint256 ratio) {
+        FeeTier memory tier = _feeTiers[account];
+        return (tier.side, tier.ratio);
+    }
+
+    function setFeeTiers(address[] memory accounts, FeeTierSide side, uint256 ratio) public virtual override onlyAdmin {
+        require(accounts.length > 0, "empty accounts not allowed");
+        require(ratio < _RATIO_PRECISION, "AdminFee: ratio is too large");
+        require(side != FeeTierSide.NONE || ratio == 0, "AdminFee: nonzero ratio without a tier side");
+        for (uint i = 0; i < accounts.length; i++) {
+            if (side == FeeTierSide.NONE) {
+                delete _feeTiers[accounts[i]];
+            } else {
+                _feeTiers[accounts[i]] = FeeTier(side, ratio);
+            }
+        }
+        emit FeeTiersChanged(accounts, side, ratio);
+    }
+
+    /**
+    * @dev No fee without a fee recipient, otherwise in precedence:
+    * 1. the tier of `from` on the sender side or of `to` on the recipient side, the
+    *    lower ratio if both, even when `from` or `to` is in the whitelist
+    * 2. no fee when `from` or `to` is in the whitelist
+    * 3. the admin fee ratio
+    */
     function _getAdminFeeRatioBy(address from, address to) internal view returns(uint256) {
-        if (_feeRecipient != address(0) && _adminFeeRatio != 0 && !_adminFeeWhitelist[from] && !_adminFeeWhitelist[to]) {
-            return _adminFeeRatio;
+        if (_feeRecipient == address(0)) {
+            return 0;
+        }
+        FeeTier memory fromTier = _feeTiers[from];
+        FeeTier memory toTier = _feeTiers[to];
+        bool fromTiered = fromTier.side == FeeTierSide.SENDER || fromTier.side == FeeTierSide.BOTH;
+        bool toTiered = toTier.side == FeeTierSide.RECIPIENT || toTier.side == FeeTierSide.BOTH;
+        if (fromTiered && toTiered) {
+            return fromTier.ratio < toTier.ratio ? fromTier.ratio : toTier.ratio;
         }
-        return 0;
+        if (fromTiered || toTiered) {
+            return fromTiered ? fromTier.ratio : toTier.ratio;
+        }
+        if (_adminFeeWhitelist[from] || _adminFeeWhitelist[to]) {
+            return 0;
+        }
+        return _adminFeeRatio;
     }
 }
 
-contract CnydToken is ERC20, Pausable, Ownable, FrozenableToken, AdminFee, ICnydToken {
+contract CnydToken is ERC20, ERC20Permit, Pausable, Ownable, FrozenableToken, AdminFee, ICnydToken {
 
     uint8 private constant _decimals = 6;
 
-    constructor() ERC20("CNY Digital", "CNYD") {
+    constructor() ERC20("CNY Digital", "CNYD") ERC20Permit("CNY Digital") {
     }
 
     function decimals() public view virtual override returns (uint8) {
@@ -188,6 +235,27 @@ contract CnydToken is ERC20, Pausable, Ownable, FrozenableToken, AdminFee, ICnyd
         emit ForceTransfer(from, to, amount);
     }
 
+    /**
+     * @dev EIP-2612 approval by the signature of `owner`, so that a relayer can pay the gas.
+     * Like a transfer, it's rejected while paused or when the owner, spender or relayer
+     * is frozen. The fee is charged on the following `transferFrom`.
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override
+        whenNotPaused
+        whenNotFrozen(owner)
+        whenNotFrozen(spender)
+    {
+        super.permit(owner, spender, value, deadline, v, r, s);
+    }
+
     function getReceivedAmount(
         address from,
         address to,
@@ -221,6 +289,7 @@ contract CnydToken is ERC20, Pausable, Ownable, FrozenableToken, AdminFee, ICnyd
 
         if (feeAmount > 0) {
             super._transfer(sender, feeRecipient(), feeAmount);
+            emit AdminFeeCharged(sender, recipient, feeAmount);
         }
     }
 
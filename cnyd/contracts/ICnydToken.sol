@@ -53,10 +53,21 @@ interface IFrozenableToken {
 
 interface IAdminFee {
 
+    /**
+    * The transfers a fee tier applies to: SENDER when the account sends,
+    * RECIPIENT when it receives, BOTH either way, NONE for no tier.
+    */
+    enum FeeTierSide { NONE, SENDER, RECIPIENT, BOTH }
+
     event AdminFeeRatioChanged(uint256 oldRatio, uint256 newRatio);
     event FeeRecipientChanged(address indexed oldFeeRecipient, address indexed newFeeRecipient);
     event FeeWhitelistAdded(address[] accounts);
     event FeeWhitelistDeleted(address[] accounts);
+    event FeeTiersChanged(address[] accounts, FeeTierSide side, uint256 ratio);
+    /**
+    * @dev The fee of a transfer from `from` to `to`, sent to the fee recipient along it.
+    */
+    event AdminFeeCharged(address indexed from, address indexed to, uint256 fee);
 
 
     function ratioPrecision() external view returns(uint256);
@@ -74,6 +85,13 @@ interface IAdminFee {
     function addFeeWhitelist(address[] memory accounts) external;
 
     function delFeeWhitelist(address[] memory accounts) external;
+
+    function getFeeTier(address account) external view returns(FeeTierSide side, uint256 ratio);
+
+    /**
+    * @dev Sets the fee tier of `accounts`, a NONE `side` with a zero `ratio` removes their tiers.
+    */
+    function setFeeTiers(address[] memory accounts, FeeTierSide side, uint256 ratio) external;
     
 }
 
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.2;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev Sends several transfers of its tokens in a single transaction, for the tests.
+ */
+contract TransferBatch {
+
+    function transfer(IERC20 token, address[] memory tos, uint256[] memory amounts) public {
+        for (uint256 i = 0; i < tos.length; i++) {
+            token.transfer(tos[i], amounts[i]);
+        }
+    }
+}
@@ -1,78 +1,39 @@
-require("dotenv").config();
-
-require("@nomiclabs/hardhat-etherscan");
-require("@nomiclabs/hardhat-waffle");
-require("hardhat-gas-reporter");
-require("solidity-coverage");
+const { createConfig, deployTask, resolveAddress } = require("amax-hardhat-common");
+const { sendOrExportCalls } = require("amax-hardhat-common/safe");
+const { SAFE_PARAM } = require("./tasks/utils");
+
+require("./tasks/proposal");
+require("./tasks/bootstrap");
+require("./tasks/offline");
+require("./tasks/fee");
+require("./tasks/indexer");
+require("./tasks/reconcile");
+require("./tasks/freeze");
+require("./tasks/crossChain");
+require("./tasks/upgrade");
+require("./tasks/permit");
+require("./tasks/roles");
+require("./tasks/owner");
+require("./tasks/monitor");
 
 const { types } = require("hardhat/config");
 
-// This is a sample Hardhat task. To learn how to create your own go to
-// https://hardhat.org/guides/create-task.html
-task("accounts", "Prints the list of accounts", async (taskArgs, hre) => {
-  const accounts = await hre.ethers.getSigners();
-
-  for (const account of accounts) {
-    console.log(account.address);
-  }
-});
-
-
-task("deployCnydToken", "Deploy CnydToken contract")
-  .addOptionalParam("verify", "Whether to verify contract, true|false", false, types.boolean)
-  .setAction(async (taskArgs) => {
-    const contractName = "CnydToken";
-    console.log("args: ", taskArgs)
-    // If this script is run directly using `node` you may want to call compile
-    // manually to make sure everything is compiled
-    await hre.run('compile');
-
-    const ContractFactory = await hre.ethers.getContractFactory(contractName);
-    const contract = await ContractFactory.deploy();
-
-    await contract.deployed();
-
-    console.log("contract", contractName, "deployed to:", contract.address);
-
-    if (taskArgs.verify) {
-      await hre.run("verify:verify", {
-        address: contract.address
-      });
-    }
-  });
-
-task("deployCnydAdmin", "Deploy CnydAdmin contract")
-  .addOptionalParam("verify", "Whether to verify contract, true|false", false, types.boolean)
-  .setAction(async (taskArgs) => {
-    const contractName = "CnydAdmin";
-    console.log("args: ", taskArgs)
-    // If this script is run directly using `node` you may want to call compile
-    // manually to make sure everything is compiled
-    await hre.run('compile');
-
-    const ContractFactory = await hre.ethers.getContractFactory(contractName);
-    const contract = await ContractFactory.deploy();
-
-    await contract.deployed();
-
-    console.log("contract", contractName, "deployed to:", contract.address);
-
-    if (taskArgs.verify) {
-      await hre.run("verify:verify", {
-        address: contract.address
-      });
-    }
-  });
+deployTask({ contractName: "CnydToken" });
+deployTask({ contractName: "CnydAdmin" });
 
 task("initCnydAdmin", "Initialize CnydAdmin contract")
-  .addParam("admin", "The address of CnydAdmin contract")
-  .addParam("token", "The address of CnydToken contract")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
   .addParam("approvers", "Address array of approvers, JSON array format", "[]", types.json)
+  .addOptionalParam("threshold", "The number of approvals to execute a proposal, default all approvers", undefined, types.int)
+  .addOptionalParam("safe", SAFE_PARAM)
   .setAction(async (taskArgs) => {
     const adminContractName = "CnydAdmin";
     const tokenContractName = "CnydToken";
 
     console.log("args: ", taskArgs)
+    taskArgs.admin = resolveAddress(hre, taskArgs.admin, adminContractName);
+    taskArgs.token = resolveAddress(hre, taskArgs.token, tokenContractName);
 
     if (!hre.ethers.utils.isAddress(taskArgs.admin)) {
       throw Error ('Invalid token address:', taskArgs.token)
@@ -86,6 +47,12 @@ task("initCnydAdmin", "Initialize CnydAdmin contract")
         throw Error ('Invalid approver address:', element)
       }
   });
+    if (taskArgs.threshold === undefined) {
+      taskArgs.threshold = taskArgs.approvers.length;
+    }
+    if (taskArgs.threshold < 1 || taskArgs.threshold > taskArgs.approvers.length) {
+      throw Error (`Invalid threshold: ${taskArgs.threshold}, must be in 1..${taskArgs.approvers.length}`)
+    }
 
     const adminContract = await hre.ethers.getContractAt(adminContractName, taskArgs.admin);
     const tokenContract = await hre.ethers.getContractAt(tokenContractName, taskArgs.token);
@@ -100,66 +67,32 @@ task("initCnydAdmin", "Initialize CnydAdmin contract")
       throw Error ('The owner of CnydToken is already CnydAdmin')
     }
 
+    // a Safe owning both proposes and takes the token in one batch
+    const owner = await adminContract.owner()
+    if (taskArgs.safe && curTokenOwner != owner) {
+      throw Error (`The owner ${curTokenOwner} of CnydToken and ${owner} of CnydAdmin differ, a single Safe batch can't init`)
+    }
+    const calls = []
     const curTokenProposedOwner = await tokenContract.proposedOwner()
     if (curTokenProposedOwner != taskArgs.admin) {
       console.log("Propose owner of CnydToken ...");
-      const tx = await tokenContract.proposeOwner(taskArgs.admin)
-      tx.wait(3);
+      calls.push({ contract: tokenContract, method: "proposeOwner", args: [taskArgs.admin] })
     }
 
-    console.log("Init CnydAdmin ...")
-    await adminContract.init(taskArgs.token, taskArgs.approvers)
-    
-    console.log("Init CnydAdmin completed")
+    console.log(`Init CnydAdmin with ${taskArgs.threshold} of ${taskArgs.approvers.length} approvers ...`)
+    calls.push({ contract: adminContract, method: "init", args: [taskArgs.token, taskArgs.approvers, taskArgs.threshold] })
+    const result = await sendOrExportCalls(hre, calls, { safe: taskArgs.safe, owner, name: "CnydAdmin init" })
+
+    if (!taskArgs.safe) console.log("Init CnydAdmin completed")
+    return result
 });
 
 // You need to export an object to set up your config
 // Go to https://hardhat.org/config/ to learn more
 
-const network_accounts = process.env.PRIVATE_KEY !== undefined ? [process.env.PRIVATE_KEY] : [];
-
-// chainId: https://chainlist.org/
-
-/**
- * @type import('hardhat/config').HardhatUserConfig
- */
-module.exports = {
-  solidity: {
-    version: "0.8.7",
-    settings: {
-      optimizer: {
-        enabled: true
-      }
-    }
-  },
-  networks: {
-    hardhat: {
-      initialBaseFeePerGas: 0, // workaround from https://github.com/sc-forks/solidity-coverage/issues/652#issuecomment-896330136 . Remove when that issue is closed.
-    },
-    goerli: {
-      url: process.env.GOERLI_URL || "",
-      accounts: network_accounts,
-    },
-    bsc_test: {
-      url: process.env.BSC_TEST_URL || "https://data-seed-prebsc-2-s3.binance.org:8545",
-      chainId: 97,
-      accounts: network_accounts,
-    },
-    bsc_main: {
-      url: process.env.BSC_MAIN_URL || "https://bsc-dataseed.binance.org/",
-      chainId: 56,
-      gasPrice: "auto",
-      accounts: network_accounts,
-    },
-  },
-  gasReporter: {
-    enabled: process.env.REPORT_GAS !== undefined,
-    currency: "USD",
-  },
-  etherscan: {
-    apiKey: process.env.ETHERSCAN_API_KEY,
-  },
-  mocha: {
-    timeout: 20000
-  },
-};
+module.exports = createConfig({
+  solidity: "0.8.7",
+  storageLayout: true,
+  // see tasks/crossChain.js
+  crossChainSupply: {},
+});
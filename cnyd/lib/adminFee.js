@@ -0,0 +1,97 @@
+const { BigNumber, constants, utils } = require("ethers");
+const { FEE_TIER_SIDES } = require("./proposals");
+
+/**
+ * The AdminFee math of CnydToken in JS, with the same integer rounding as the
+ * contract so that transfers can be quoted without calling the chain.
+ *
+ * `feeState` is a snapshot of the token fee settings:
+ *   {
+ *     adminFeeRatio: BigNumberish,  // CnydToken.adminFeeRatio()
+ *     feeRecipient: address,        // CnydToken.feeRecipient()
+ *     feeWhitelist: address[],      // accounts with CnydToken.isInFeeWhitelist() == true
+ *     feeTiers: { [address]: { side: "sender"|"recipient"|"both", ratio: BigNumberish } },
+ *                                   // CnydToken.getFeeTier() of the tiered accounts
+ *   }
+ */
+
+const RATIO_PRECISION = BigNumber.from(10000); // CnydToken._RATIO_PRECISION
+
+function isInFeeWhitelist(feeState, account) {
+  const address = utils.getAddress(account);
+  return (feeState.feeWhitelist || []).some(a => utils.getAddress(a) == address);
+}
+
+/**
+ * Returns the tier ratio of `account` applying on `side`, or undefined.
+ */
+function getTierRatio(feeState, account, side) {
+  const address = utils.getAddress(account);
+  const found = Object.entries(feeState.feeTiers || {}).find(([a]) => utils.getAddress(a) == address);
+  if (!found || (found[1].side != side && found[1].side != "both")) return undefined;
+  return BigNumber.from(found[1].ratio);
+}
+
+/**
+ * Mirrors `AdminFee._getAdminFeeRatioBy`: no fee without a fee recipient, then
+ * the sender tier of `from` or recipient tier of `to`, the lower if both, then
+ * no fee when `from` or `to` is in the fee whitelist, then the admin fee ratio.
+ */
+function getAdminFeeRatioBy(feeState, from, to) {
+  if (!feeState.feeRecipient || feeState.feeRecipient == constants.AddressZero) {
+    return BigNumber.from(0);
+  }
+  const tierRatios = [getTierRatio(feeState, from, "sender"), getTierRatio(feeState, to, "recipient")].filter(r => r);
+  if (tierRatios.length > 0) {
+    return tierRatios.reduce((min, r) => r.lt(min) ? r : min);
+  }
+  if (isInFeeWhitelist(feeState, from) || isInFeeWhitelist(feeState, to)) {
+    return BigNumber.from(0);
+  }
+  return BigNumber.from(feeState.adminFeeRatio || 0);
+}
+
+/**
+ * Mirrors `CnydToken.getReceivedAmount`.
+ */
+function getReceivedAmount(feeState, from, to, sentAmount) {
+  const ratio = getAdminFeeRatioBy(feeState, from, to);
+  const feeAmount = BigNumber.from(sentAmount).mul(ratio).div(RATIO_PRECISION);
+  return { receivedAmount: BigNumber.from(sentAmount).sub(feeAmount), feeAmount };
+}
+
+/**
+ * Mirrors `CnydToken.getSentAmount`.
+ */
+function getSentAmount(feeState, from, to, receivedAmount) {
+  const ratio = getAdminFeeRatioBy(feeState, from, to);
+  const sentAmount = BigNumber.from(receivedAmount).mul(RATIO_PRECISION).div(RATIO_PRECISION.sub(ratio));
+  return { sentAmount, feeAmount: sentAmount.sub(receivedAmount) };
+}
+
+/**
+ * Reads the fee state of `token` with the whitelist status and fee tiers of `accounts`.
+ */
+async function loadFeeState(token, accounts = []) {
+  const feeWhitelist = [];
+  const feeTiers = {};
+  for (const account of accounts) {
+    if (await token.isInFeeWhitelist(account)) feeWhitelist.push(account);
+    const [side, ratio] = await token.getFeeTier(account);
+    if (side != 0) feeTiers[account] = { side: FEE_TIER_SIDES[side], ratio };
+  }
+  return {
+    adminFeeRatio: await token.adminFeeRatio(),
+    feeRecipient: await token.feeRecipient(),
+    feeWhitelist,
+    feeTiers,
+  };
+}
+
+module.exports = {
+  RATIO_PRECISION,
+  getAdminFeeRatioBy,
+  getReceivedAmount,
+  getSentAmount,
+  loadFeeState,
+};
@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const { PROPOSAL_STATUSES } = require("./proposals");
+
+/**
+ * Scripts CnydAdmin governance scenarios in a compact DSL, one step per line:
+ *
+ *   proposer1 proposes mint 100 to user1
+ *   advance 7h
+ *   approver1 approves mint #1 -> revert 'not approvable'
+ *
+ * Actors are `owner`, `approver<N>`, `proposer<N>` and `user<N>` (1-based, the
+ * signers set up by `GovernanceHarness.setup`), plus the `token` and `admin`
+ * contracts. Amounts are in CNYD, approver indexes are the 0-based on-chain ones,
+ * proposals are addressed by their on-chain ID, `#1` being the first proposal.
+ *
+ * Actions:
+ *   <proposer> proposes mint <amount> to <actor>
+ *   <proposer> proposes burn <amount>
+ *   <proposer> proposes approver <index> <actor>
+ *   <proposer> proposes approver set <actor>,<actor>,... threshold <n>
+ *   <actor> approves|rejects mint #<id> [for <amount> to <actor>]
+ *   <actor> approves|rejects burn #<id> [for <amount>]
+ *   <actor> approves approver #<id> [for <index> <actor>]
+ *   <actor> approves|rejects approver set #<id>
+ *   <actor> executes|cancels mint #<id>
+ *   owner sets mint limit <amount> per <duration>
+ *   owner sets mint delay <duration>
+ *   <actor> transfers <amount> to <actor>
+ *   owner sets proposer <actor> enabled|disabled
+ *   advance <duration>            e.g. 6h, 5h59m, 30s, 1d
+ *   advance to next <duration>    to the start of the next epoch-aligned period, e.g. the next day
+ *
+ * An action succeeds unless followed by `-> revert '<reason>'`; `-> emit <Event>`
+ * also asserts an event of CnydAdmin or CnydToken. The data of approvals defaults
+ * to the data of the proposal.
+ *
+ * Assertions:
+ *   expect balance <actor> <amount>
+ *   expect supply <amount>
+ *   expect approver <index> <actor>
+ *   expect approvers <actor>,<actor>,...
+ *   expect threshold <n>
+ *   expect proposal #<id> pending|queued|executed|rejected|expired|cancelled [<n> approvals]
+ *   expect mintable <amount>
+ *   expect proposals of <proposer> #<id>,#<id>,...
+ */
+class GovernanceHarness {
+  /**
+   * @param admin the initialized CnydAdmin contract
+   * @param token the CnydToken contract owned by `admin`
+   * @param actors signers by actor name
+   */
+  constructor({ hre, admin, token, actors, decimals = 6 }) {
+    this.hre = hre;
+    this.admin = admin;
+    this.token = token;
+    this.actors = actors;
+    this.decimals = decimals;
+  }
+
+  /**
+   * Deploys CnydToken and CnydAdmin, initializes CnydAdmin with `threshold` of
+   * `approverCount` approvers and enables `proposerCount` proposers.
+   */
+  static async setup(hre, { approverCount = 3, threshold = approverCount, proposerCount = 3, userCount = 3 } = {}) {
+    const { ethers } = hre;
+    const accounts = await ethers.getSigners();
+    const actors = { owner: accounts[0] };
+    let next = 1;
+    const addActors = (role, count) => {
+      for (let i = 1; i <= count; i++) actors[`${role}${i}`] = accounts[next++];
+    };
+    addActors("approver", approverCount);
+    addActors("proposer", proposerCount);
+    addActors("user", userCount);
+
+    const token = await (await ethers.getContractFactory("CnydToken")).connect(actors.owner).deploy();
+    const admin = await (await ethers.getContractFactory("CnydAdmin")).connect(actors.owner).deploy();
+    await token.proposeOwner(admin.address);
+    const approvers = [];
+    for (let i = 1; i <= approverCount; i++) approvers.push(actors[`approver${i}`].address);
+    await admin.init(token.address, approvers, threshold);
+    for (let i = 1; i <= proposerCount; i++) {
+      await admin.setProposer(actors[`proposer${i}`].address, true);
+    }
+    return new GovernanceHarness({ hre, admin, token, actors, decimals: await token.decimals() });
+  }
+
+  /**
+   * Runs the steps of a scenario in order, the failing step is named in the error.
+   */
+  async run(steps) {
+    for (const [i, step] of steps.entries()) {
+      try {
+        await this.step(step);
+      } catch (e) {
+        e.message = `step ${i + 1} "${step}": ${e.message}`;
+        throw e;
+      }
+    }
+  }
+
+  async step(line) {
+    const [action, expectation] = line.trim().split(/\s*(?:->|→)\s*/);
+    if (action.startsWith("expect ")) {
+      return this._assert(action.slice("expect ".length));
+    }
+    let match;
+    if ((match = action.match(/^advance (\S+)$/))) {
+      return this.advance(parseDuration(match[1]));
+    }
+    if ((match = action.match(/^advance to next (\S+)$/))) {
+      const period = parseDuration(match[1]);
+      const { timestamp } = await this.hre.ethers.provider.getBlock("latest");
+      return this.advance(period - timestamp % period);
+    }
+    const [actor, ...words] = action.split(/\s+/);
+    const { contract, method, args } = await this._call(this.signer(actor), words.join(" "));
+    return this._expect(contract[method](...args), expectation);
+  }
+
+  /**
+   * Moves the chain time forward by `seconds` and mines a block.
+   */
+  async advance(seconds) {
+    await this.hre.network.provider.send("evm_increaseTime", [seconds]);
+    await this.hre.network.provider.send("evm_mine");
+  }
+
+  signer(name) {
+    const signer = this.actors[name];
+    if (!signer) throw Error(`Unknown actor: ${name}`);
+    return signer;
+  }
+
+  address(name) {
+    if (name == "token") return this.token.address;
+    if (name == "admin") return this.admin.address;
+    return this.signer(name).address;
+  }
+
+  addresses(names) {
+    return names.split(",").map(name => this.address(name));
+  }
+
+  amount(value) {
+    return this.hre.ethers.utils.parseUnits(value, this.decimals);
+  }
+
+  async _call(signer, words) {
+    const admin = this.admin.connect(signer);
+    let match;
+    if ((match = words.match(/^proposes mint (\S+) to (\S+)$/))) {
+      return { contract: admin, method: "proposeMint", args: [this.address(match[2]), this.amount(match[1])] };
+    }
+    if ((match = words.match(/^proposes burn (\S+)$/))) {
+      return { contract: admin, method: "proposeBurn", args: [this.amount(match[1])] };
+    }
+    if ((match = words.match(/^proposes approver (\d+) (\S+)$/))) {
+      return { contract: admin, method: "proposeApprover", args: [match[1], this.address(match[2])] };
+    }
+    if ((match = words.match(/^(approves|rejects) mint #(\d+)(?: for (\S+) to (\S+))?$/))) {
+      const id = match[2];
+      const [, data] = await this.admin.getMintProposal(id);
+      return {
+        contract: admin, method: "approveMint",
+        args: [id, match[1] == "approves", match[4] ? this.address(match[4]) : data.to,
+          match[3] ? this.amount(match[3]) : data.amount],
+      };
+    }
+    if ((match = words.match(/^(approves|rejects) burn #(\d+)(?: for (\S+))?$/))) {
+      const id = match[2];
+      const [, amount] = await this.admin.getBurnProposal(id);
+      return {
+        contract: admin, method: "approveBurn",
+        args: [id, match[1] == "approves", match[3] ? this.amount(match[3]) : amount],
+      };
+    }
+    if ((match = words.match(/^approves approver #(\d+)(?: for (\d+) (\S+))?$/))) {
+      const id = match[1];
+      const [, data] = await this.admin.getApproverProposal(id);
+      return {
+        contract: admin, method: "approveApprover",
+        args: [id, match[2] || data.index, match[3] ? this.address(match[3]) : data.newApprover],
+      };
+    }
+    if ((match = words.match(/^proposes approver set (\S+) threshold (\d+)$/))) {
+      return { contract: admin, method: "proposeApproverSet", args: [this.addresses(match[1]), match[2]] };
+    }
+    if ((match = words.match(/^(approves|rejects) approver set #(\d+)$/))) {
+      const id = match[2];
+      const [, data] = await this.admin.getApproverSetProposal(id);
+      return {
+        contract: admin, method: "approveApproverSet",
+        args: [id, match[1] == "approves", data.newApprovers, data.threshold],
+      };
+    }
+    if ((match = words.match(/^(executes|cancels) mint #(\d+)$/))) {
+      return { contract: admin, method: match[1] == "executes" ? "executeMint" : "cancelMint", args: [match[2]] };
+    }
+    if ((match = words.match(/^sets mint limit (\S+) per (\S+)$/))) {
+      return { contract: admin, method: "setMintLimit", args: [parseDuration(match[2]), this.amount(match[1])] };
+    }
+    if ((match = words.match(/^sets mint delay (\S+)$/))) {
+      return { contract: admin, method: "setMintDelay", args: [parseDuration(match[1])] };
+    }
+    if ((match = words.match(/^transfers (\S+) to (\S+)$/))) {
+      return { contract: this.token.connect(signer), method: "transfer", args: [this.address(match[2]), this.amount(match[1])] };
+    }
+    if ((match = words.match(/^sets proposer (\S+) (enabled|disabled)$/))) {
+      return { contract: admin, method: "setProposer", args: [this.address(match[1]), match[2] == "enabled"] };
+    }
+    throw Error(`Unknown action: ${words}`);
+  }
+
+  async _expect(call, expectation) {
+    let match;
+    if (expectation && (match = expectation.match(/^revert\s+['"](.*)['"]$/))) {
+      return expect(call).to.be.revertedWith(match[1]);
+    }
+    if (expectation && (match = expectation.match(/^emit\s+(\w+)$/))) {
+      const event = match[1];
+      const contract = Object.keys(this.admin.interface.events).some(e => e.startsWith(`${event}(`)) ? this.admin : this.token;
+      return expect(call).to.emit(contract, event);
+    }
+    if (expectation && expectation != "ok") {
+      throw Error(`Unknown expectation: ${expectation}`);
+    }
+    return (await call).wait();
+  }
+
+  async _assert(words) {
+    let match;
+    if ((match = words.match(/^balance (\S+) (\S+)$/))) {
+      return expect(await this.token.balanceOf(this.address(match[1]))).equal(this.amount(match[2]));
+    }
+    if ((match = words.match(/^supply (\S+)$/))) {
+      return expect(await this.token.totalSupply()).equal(this.amount(match[1]));
+    }
+    if ((match = words.match(/^approver (\d+) (\S+)$/))) {
+      return expect(await this.admin.approvers(match[1])).equal(this.address(match[2]));
+    }
+    if ((match = words.match(/^approvers (\S+)$/))) {
+      return expect(await this.admin.getApprovers()).to.deep.equal(this.addresses(match[1]));
+    }
+    if ((match = words.match(/^mintable (\S+)$/))) {
+      return expect(await this.admin.mintableAmount()).equal(this.amount(match[1]));
+    }
+    if ((match = words.match(/^threshold (\d+)$/))) {
+      return expect(await this.admin.APPROVED_THRESHOLD()).equal(Number(match[1]));
+    }
+    if ((match = words.match(/^proposal #(\d+) (\w+)(?: (\d+) approvals?)?$/))) {
+      const proposal = await this.admin.getProposal(match[1]);
+      expect(PROPOSAL_STATUSES[proposal.status], `status of proposal #${match[1]}`).equal(match[2]);
+      if (match[3] !== undefined) {
+        expect(proposal.approvers.length).equal(Number(match[3]));
+      }
+      return;
+    }
+    if ((match = words.match(/^proposals of (\S+) (\S+)$/))) {
+      const ids = await this.admin.getProposalIds(this.address(match[1]));
+      return expect(ids.map(id => `#${id}`).join(",")).equal(match[2]);
+    }
+    throw Error(`Unknown assertion: ${words}`);
+  }
+}
+
+/**
+ * Parses a duration like `6h`, `5h59m`, `30s` or `1d` into seconds.
+ */
+function parseDuration(text) {
+  const units = { d: 86400, h: 3600, m: 60, s: 1 };
+  const parts = text.match(/^(?:\d+[dhms])+$/) && text.match(/\d+[dhms]/g);
+  if (!parts) throw Error(`Invalid duration: ${text}`);
+  return parts.reduce((total, part) => total + Number(part.slice(0, -1)) * units[part.slice(-1)], 0);
+}
+
+module.exports = {
+  GovernanceHarness,
+  parseDuration,
+};
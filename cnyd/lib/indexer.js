@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber } = require("ethers");
+
+/**
+ * Stores decoded events as JSON lines in `<dir>/events.jsonl` and the sync
+ * checkpoint in `<dir>/checkpoint.json`.
+ */
+class JsonLinesStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.eventsFile = path.join(dir, "events.jsonl");
+    this.checkpointFile = path.join(dir, "checkpoint.json");
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  readCheckpoint() {
+    if (!fs.existsSync(this.checkpointFile)) return undefined;
+    return JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+  }
+
+  writeCheckpoint(checkpoint) {
+    // write then rename, so that a crash never leaves a partial checkpoint
+    fs.writeFileSync(this.checkpointFile + ".tmp", JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(this.checkpointFile + ".tmp", this.checkpointFile);
+  }
+
+  readEvents() {
+    if (!fs.existsSync(this.eventsFile)) return [];
+    return fs.readFileSync(this.eventsFile, "utf8").split("\n").filter(line => line).map(line => JSON.parse(line));
+  }
+
+  append(events) {
+    if (events.length == 0) return;
+    fs.appendFileSync(this.eventsFile, events.map(e => JSON.stringify(e) + "\n").join(""));
+  }
+
+  /**
+   * Removes all events from `blockNumber` on.
+   */
+  removeFrom(blockNumber) {
+    const events = this.readEvents().filter(e => e.blockNumber < blockNumber);
+    fs.writeFileSync(this.eventsFile, events.map(e => JSON.stringify(e) + "\n").join(""));
+  }
+}
+
+function formatArgs(parsedLog) {
+  const args = {};
+  parsedLog.eventFragment.inputs.forEach((input, i) => {
+    const value = parsedLog.args[i];
+    args[input.name] = BigNumber.isBigNumber(value) ? value.toString()
+      : Array.isArray(value) ? value.map(v => v.toString()) : value;
+  });
+  return args;
+}
+
+/**
+ * Indexes the events of a set of contracts into a store, from `startBlock` on.
+ * The hashes of the last `reorgDepth` indexed blocks are kept in the checkpoint;
+ * when one of them changes on chain, the events from that block on are removed
+ * and indexed again.
+ *
+ * @param provider ethers provider
+ * @param contracts `[{ name, contract }]`, the ethers contracts to index
+ * @param store a `JsonLinesStore`
+ */
+class EventIndexer {
+  constructor({ provider, contracts, store, startBlock = 0, reorgDepth = 12, batchSize = 2000 }) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+    this.stopped = false;
+    this.checkpoint = store.readCheckpoint() || { lastBlock: startBlock - 1, blockHashes: {} };
+    // drop the events appended after the last checkpoint, e.g. by a crash
+    store.removeFrom(this.checkpoint.lastBlock + 1);
+  }
+
+  async _checkReorg() {
+    const blockNumbers = Object.keys(this.checkpoint.blockHashes).map(Number).sort((a, b) => a - b);
+    for (const blockNumber of blockNumbers) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash == this.checkpoint.blockHashes[blockNumber]) continue;
+
+      console.log(`Reorg detected at block ${blockNumber}, re-indexing from it`);
+      this.store.removeFrom(blockNumber);
+      for (const n of blockNumbers.filter(n => n >= blockNumber)) {
+        delete this.checkpoint.blockHashes[n];
+      }
+      this.checkpoint.lastBlock = blockNumber - 1;
+      this.store.writeCheckpoint(this.checkpoint);
+      return blockNumber;
+    }
+    return undefined;
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const events = [];
+    const timestamps = {};
+    for (const { name, contract } of this.contracts) {
+      const logs = await contract.queryFilter("*", fromBlock, toBlock);
+      for (const log of logs.filter(l => l.event !== undefined)) {
+        if (timestamps[log.blockNumber] === undefined) {
+          timestamps[log.blockNumber] = (await log.getBlock()).timestamp;
+        }
+        events.push({
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          timestamp: timestamps[log.blockNumber],
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          contract: name,
+          address: contract.address,
+          event: log.event,
+          args: formatArgs(contract.interface.parseLog(log)),
+        });
+      }
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async _recordBlockHashes(fromBlock, toBlock) {
+    const hashes = this.checkpoint.blockHashes;
+    for (let n = Math.max(fromBlock, toBlock - this.reorgDepth + 1); n <= toBlock; n++) {
+      hashes[n] = (await this.provider.getBlock(n)).hash;
+    }
+    for (const n of Object.keys(hashes).map(Number)) {
+      if (n <= toBlock - this.reorgDepth) delete hashes[n];
+    }
+  }
+
+  /**
+   * Indexes all blocks up to the latest one, returns the number of new events.
+   */
+  async sync() {
+    await this._checkReorg();
+    const latest = await this.provider.getBlockNumber();
+    let count = 0;
+    while (this.checkpoint.lastBlock < latest && !this.stopped) {
+      const fromBlock = this.checkpoint.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, latest);
+      await this._recordBlockHashes(fromBlock, toBlock);
+      const events = await this._fetchEvents(fromBlock, toBlock);
+      // logs of another fork than the recorded hashes, the chain reorged in between
+      const hashes = this.checkpoint.blockHashes;
+      if (events.some(e => hashes[e.blockNumber] !== undefined && hashes[e.blockNumber] != e.blockHash)) {
+        console.log(`Reorg detected while indexing blocks ${fromBlock}-${toBlock}, fetching them again`);
+        continue;
+      }
+
+      await this.store.append(events);
+      this.checkpoint.lastBlock = toBlock;
+      this.store.writeCheckpoint(this.checkpoint);
+      count += events.length;
+      console.log(`Indexed blocks ${fromBlock}-${toBlock}, ${events.length} events`);
+    }
+    return count;
+  }
+
+  /**
+   * Syncs every `pollInterval` milliseconds until `stop()` is called.
+   */
+  async run(pollInterval = 5000) {
+    while (!this.stopped) {
+      await this.sync();
+      await new Promise(resolve => {
+        this._wakeUp = resolve;
+        this._timer = setTimeout(resolve, pollInterval);
+      });
+    }
+  }
+
+  /**
+   * Stops `run()` at once, the pending poll timer is cleared so that it doesn't
+   * keep the process alive.
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this._timer);
+    if (this._wakeUp) this._wakeUp();
+  }
+}
+
+module.exports = {
+  JsonLinesStore,
+  EventIndexer,
+};
@@ -0,0 +1,279 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const { BigNumber, utils } = require("ethers");
+const { EventIndexer } = require("./indexer");
+const { PROPOSAL_KINDS, PROPOSAL_STATUSES } = require("./proposals");
+
+/**
+ * The events watched on the AMAX/CNYD BEP20 tokens, which are not compiled here.
+ */
+const BEP20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event OwnershipProposed(address indexed newOwner)",
+  "event OwnershipTransferred(address indexed oldOwner, address indexed newOwner)",
+  "function decimals() view returns (uint8)",
+];
+
+// the events opening a proposal, by their `id` arg
+const PROPOSED_EVENTS = ["MintProposed", "BatchMintProposed", "BurnProposed", "ApproverProposed", "ApproverSetProposed", "FeeProposed"];
+
+// the delivered alert ids kept for dedupe
+const MAX_DELIVERED = 10000;
+
+/**
+ * Returns whether the indexed event `e` matches the event `rule`:
+ *   {
+ *     name: "large mint",
+ *     event: "MintApproved",     // the event name
+ *     contract: "CnydAdmin",     // optional, the contract name
+ *     args: { from: "0x..." },   // optional, args that must equal
+ *     minAmount: "100000",       // optional, in token units, the `amountArg` must be at least
+ *     amountArg: "amount",       // default "amount"
+ *   }
+ * `decimals` are the token decimals of the event contract.
+ */
+function matchEvent(rule, e, decimals) {
+  if (rule.event != e.event || (rule.contract && rule.contract != e.contract)) return false;
+  for (const [key, value] of Object.entries(rule.args || {})) {
+    const actual = e.args[key];
+    const same = utils.isAddress(value) && utils.isAddress(actual || "")
+      ? utils.getAddress(value) == utils.getAddress(actual) : String(value) == String(actual);
+    if (!same) return false;
+  }
+  if (rule.minAmount !== undefined) {
+    const amount = e.args[rule.amountArg || "amount"];
+    if (amount === undefined || BigNumber.from(amount).lt(utils.parseUnits(String(rule.minAmount), decimals))) return false;
+  }
+  return true;
+}
+
+function postJson(url, body) {
+  const data = JSON.stringify(body);
+  const client = url.startsWith("https:") ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(data) },
+      timeout: 10000,
+    }, res => {
+      res.resume();
+      res.on("end", () => res.statusCode < 300 ? resolve(res.statusCode)
+        : reject(Error(`Webhook ${url} responded ${res.statusCode}`)));
+    });
+    req.on("timeout", () => req.destroy(Error(`Webhook ${url} timed out`)));
+    req.on("error", reject);
+    req.end(data);
+  });
+}
+
+/**
+ * Creates the sink delivering alerts to:
+ *   { type: "webhook", url: "https://..." }   POSTs each alert as JSON
+ *   { type: "log", file: "alerts.jsonl" }     appends each alert as a JSON line
+ *   { type: "console" }
+ */
+function createSink(config) {
+  if (config.type == "webhook") {
+    return (alert) => postJson(config.url, alert);
+  }
+  if (config.type == "log") {
+    return async (alert) => fs.appendFileSync(config.file, JSON.stringify(alert) + "\n");
+  }
+  if (config.type == "console") {
+    return async (alert) => console.log(`ALERT [${alert.severity}] ${alert.message}`);
+  }
+  throw Error(`Unknown sink type: ${config.type}, must be webhook|log|console`);
+}
+
+/**
+ * Watches the events of a set of contracts on one chain, applies the alert
+ * rules to them and delivers the matching alerts to the sinks. Rules are event
+ * rules, see `matchEvent`, or expiring proposal rules:
+ *   { name: "proposal expiring", type: "expiringProposal", within: 3600 }
+ * alerting once for each CnydAdmin proposal pending without enough approvals
+ * `within` seconds of its expiry.
+ *
+ * The events are fetched by an `EventIndexer` with this monitor as its store;
+ * the checkpoint, the delivered alert ids and the open proposals are kept in
+ * `dir`, so that a restart neither misses nor repeats an alert.
+ *
+ * @param contracts `[{ name, contract, decimals }]`, the ethers contracts to watch
+ * @param sinks the sink configs, see `createSink`
+ */
+class Monitor {
+  constructor({ provider, contracts, rules, sinks, dir, startBlock = 0, reorgDepth = 12 }) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.rules = rules.map(rule => ({ severity: "high", ...rule }));
+    this.sinks = sinks.map(createSink);
+    this.stopped = false;
+    this.checkpointFile = path.join(dir, "checkpoint.json");
+    this.stateFile = path.join(dir, "state.json");
+    fs.mkdirSync(dir, { recursive: true });
+    this.state = fs.existsSync(this.stateFile) ? JSON.parse(fs.readFileSync(this.stateFile, "utf8"))
+      : { delivered: [], openProposals: {} };
+    // the blocks of the proposing events, by the contract address and the proposal id
+    this.state.proposalBlocks = this.state.proposalBlocks || {};
+    this.delivered = new Set(this.state.delivered);
+    this.indexer = new EventIndexer({ provider, contracts, store: this, startBlock, reorgDepth });
+    // keep the start block of the first run for the next ones
+    if (!this.readCheckpoint()) {
+      this.writeCheckpoint(this.indexer.checkpoint);
+    }
+  }
+
+  readCheckpoint() {
+    if (!fs.existsSync(this.checkpointFile)) return undefined;
+    return JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+  }
+
+  writeCheckpoint(checkpoint) {
+    fs.writeFileSync(this.checkpointFile + ".tmp", JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(this.checkpointFile + ".tmp", this.checkpointFile);
+  }
+
+  _writeState() {
+    this.state.delivered = [...this.delivered].slice(-MAX_DELIVERED);
+    fs.writeFileSync(this.stateFile + ".tmp", JSON.stringify(this.state, null, 2));
+    fs.renameSync(this.stateFile + ".tmp", this.stateFile);
+  }
+
+  /**
+   * Forgets the proposals opened at or after `blockNumber` on a reorg, the ones
+   * still proposed on the new fork are added back with their re-indexed events,
+   * which are matched again, the delivered ones are skipped.
+   */
+  removeFrom(blockNumber) {
+    for (const [address, open] of Object.entries(this.state.openProposals)) {
+      const blocks = this.state.proposalBlocks[address] || {};
+      this.state.openProposals[address] = open.filter(id => !(blocks[id] >= blockNumber));
+      for (const id of Object.keys(blocks).filter(id => blocks[id] >= blockNumber)) {
+        delete blocks[id];
+      }
+    }
+    this._writeState();
+  }
+
+  /**
+   * Delivers `alert` to every sink unless already delivered, a failing sink
+   * throws before the alert is recorded, so it's retried on the next sync.
+   */
+  async _deliver(alert) {
+    if (this.delivered.has(alert.id)) return false;
+    for (const sink of this.sinks) {
+      await sink(alert);
+    }
+    this.delivered.add(alert.id);
+    this._writeState();
+    return true;
+  }
+
+  async append(events) {
+    for (const e of events) {
+      const { decimals } = this.contracts.find(c => c.name == e.contract);
+      if (PROPOSED_EVENTS.includes(e.event)) {
+        const open = this.state.openProposals[e.address] || [];
+        if (!open.includes(e.args.id)) open.push(e.args.id);
+        this.state.openProposals[e.address] = open;
+        this.state.proposalBlocks[e.address] = { ...this.state.proposalBlocks[e.address], [e.args.id]: e.blockNumber };
+        this._writeState();
+      }
+      for (const rule of this.rules.filter(r => r.event && matchEvent(r, e, decimals))) {
+        const args = Object.entries(e.args).map(([key, value]) => `${key}=${value}`).join(", ");
+        await this._deliver({
+          id: `${rule.name}:${e.transactionHash}:${e.logIndex}`,
+          rule: rule.name,
+          severity: rule.severity,
+          message: `${rule.name}: ${e.contract}.${e.event}(${args}) in tx ${e.transactionHash}`,
+          ...e,
+        });
+      }
+    }
+  }
+
+  /**
+   * Checks the open proposals against the expiring proposal rules, and forgets
+   * the ones no longer pending.
+   */
+  async _checkProposals() {
+    const rules = this.rules.filter(r => r.type == "expiringProposal");
+    const now = (await this.provider.getBlock("latest")).timestamp;
+    for (const { name, contract } of this.contracts.filter(c => this.state.openProposals[c.contract.address])) {
+      const open = this.state.openProposals[contract.address];
+      const duration = (await contract.proposalDuration()).toNumber();
+      const threshold = (await contract.APPROVED_THRESHOLD()).toNumber();
+      for (const id of [...open]) {
+        const proposal = await contract.getProposal(id);
+        if (PROPOSAL_STATUSES[proposal.status] != "pending") {
+          open.splice(open.indexOf(id), 1);
+          delete (this.state.proposalBlocks[contract.address] || {})[id];
+          continue;
+        }
+        const expireTime = proposal.startTime.toNumber() + duration;
+        const kind = PROPOSAL_KINDS[proposal.kind];
+        for (const rule of rules.filter(r => expireTime - now <= r.within && proposal.approvers.length < threshold)) {
+          await this._deliver({
+            id: `${rule.name}:${contract.address}:${id}`,
+            rule: rule.name,
+            severity: rule.severity,
+            message: `${rule.name}: ${name} ${kind} proposal #${id} of ${proposal.proposer} expires at `
+              + `${new Date(expireTime * 1000).toISOString()} with ${proposal.approvers.length} of ${threshold} approvals`,
+            contract: name,
+            address: contract.address,
+            proposal: { id, kind, proposer: proposal.proposer, approvals: proposal.approvers.length, threshold, expireTime },
+            timestamp: now,
+          });
+        }
+      }
+      this._writeState();
+    }
+  }
+
+  /**
+   * Processes the new blocks and the open proposals, returns the number of new events.
+   */
+  async sync() {
+    const count = await this.indexer.sync();
+    await this._checkProposals();
+    return count;
+  }
+
+  /**
+   * Syncs every `pollInterval` milliseconds until `stop()` is called, a failed
+   * sync, e.g. an unreachable webhook, is retried on the next poll.
+   */
+  async run(pollInterval = 5000) {
+    while (!this.stopped) {
+      try {
+        await this.sync();
+      } catch (e) {
+        console.error(`Monitor sync failed, retry in ${pollInterval}ms: ${e.message}`);
+      }
+      await new Promise(resolve => {
+        this._wakeUp = resolve;
+        this._timer = setTimeout(resolve, pollInterval);
+      });
+    }
+  }
+
+  /**
+   * Stops `run()` at once, clearing the pending poll timer.
+   */
+  stop() {
+    this.stopped = true;
+    this.indexer.stop();
+    clearTimeout(this._timer);
+    if (this._wakeUp) this._wakeUp();
+  }
+}
+
+module.exports = {
+  BEP20_ABI,
+  matchEvent,
+  createSink,
+  Monitor,
+};
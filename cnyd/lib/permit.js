@@ -0,0 +1,76 @@
+const { BigNumber, utils } = require("ethers");
+
+/**
+ * EIP-2612 permits of CnydToken. The signed permit is a JSON-friendly object:
+ *   {
+ *     token: address, chainId: number,
+ *     owner: address, spender: address,
+ *     value: string, nonce: string, deadline: number,
+ *     v: number, r: bytes32, s: bytes32,
+ *   }
+ */
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Returns the `{ domain, types, message }` typed data of a permit, the domain
+ * version is "1" as of ERC20Permit.
+ */
+function buildPermitTypedData({ token, chainId, name, owner, spender, value, nonce, deadline }) {
+  return {
+    domain: { name, version: "1", chainId, verifyingContract: utils.getAddress(token) },
+    types: PERMIT_TYPES,
+    message: {
+      owner: utils.getAddress(owner),
+      spender: utils.getAddress(spender),
+      value: BigNumber.from(value).toString(),
+      nonce: BigNumber.from(nonce).toString(),
+      deadline: BigNumber.from(deadline).toNumber(),
+    },
+  };
+}
+
+/**
+ * Signs a permit of `value` to `spender` by `signer`, an ethers Wallet or
+ * JsonRpcSigner, reading the token name, the owner nonce and the chain id
+ * from `token` unless given.
+ */
+async function signPermit(signer, token, { spender, value, deadline, nonce, chainId }) {
+  const owner = await signer.getAddress();
+  const typedData = buildPermitTypedData({
+    token: token.address,
+    chainId: chainId !== undefined ? chainId : (await token.provider.getNetwork()).chainId,
+    name: await token.name(),
+    owner,
+    spender,
+    value,
+    nonce: nonce !== undefined ? nonce : await token.nonces(owner),
+    deadline,
+  });
+  const signature = await signer._signTypedData(typedData.domain, typedData.types, typedData.message);
+  const { v, r, s } = utils.splitSignature(signature);
+  return { token: typedData.domain.verifyingContract, chainId: typedData.domain.chainId, ...typedData.message, v, r, s };
+}
+
+/**
+ * Recovers the signer of a signed permit, given the token name.
+ */
+function recoverPermitSigner(permit, name) {
+  const { domain, types, message } = buildPermitTypedData({ ...permit, name });
+  return utils.verifyTypedData(domain, types, message, { v: permit.v, r: permit.r, s: permit.s });
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  buildPermitTypedData,
+  signPermit,
+  recoverPermitSigner,
+};
@@ -0,0 +1,43 @@
+const { utils } = require("ethers");
+
+/**
+ * The ProposalKind, ProposalStatus and FeeAction enums of CnydAdmin and the FeeTierSide
+ * enum of CnydToken, indexed by their on-chain value.
+ */
+const PROPOSAL_KINDS = ["none", "mint", "burn", "approver", "approverSet", "fee", "batchMint"];
+const PROPOSAL_STATUSES = ["none", "pending", "executed", "rejected", "expired", "queued", "cancelled"];
+const FEE_ACTIONS = ["none", "ratio", "recipient", "addWhitelist", "delWhitelist", "senderTier", "recipientTier", "bothTier", "delTier", "timelock"];
+const FEE_TIER_SIDES = ["none", "sender", "recipient", "both"];
+
+/**
+ * Describes the change of a fee proposal, e.g. `ratio 20`, `addWhitelist 0x.. 0x..`,
+ * `senderTier 10 0x.. 0x..` or `timelock 3600`.
+ */
+function describeFeeChange(data) {
+  const action = FEE_ACTIONS[data.action];
+  switch (action) {
+    case "ratio": return `ratio ${data.ratio}`;
+    case "recipient": return `recipient ${data.recipient}`;
+    case "timelock": return `timelock ${data.ratio}`;
+    case "senderTier":
+    case "recipientTier":
+    case "bothTier": return `${action} ${data.ratio} ${data.accounts.join(" ")}`;
+    default: return `${action} ${data.accounts.join(" ")}`;
+  }
+}
+
+/**
+ * The hash identifying a batch mint proposal, as computed by CnydAdmin.
+ */
+function hashBatchMint(tos, amounts) {
+  return utils.keccak256(utils.defaultAbiCoder.encode(["address[]", "uint256[]"], [tos, amounts]));
+}
+
+module.exports = {
+  PROPOSAL_KINDS,
+  PROPOSAL_STATUSES,
+  FEE_ACTIONS,
+  FEE_TIER_SIDES,
+  describeFeeChange,
+  hashBatchMint,
+};
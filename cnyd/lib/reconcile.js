@@ -0,0 +1,135 @@
+const { BigNumber, constants } = require("ethers");
+
+const ZERO = BigNumber.from(0);
+
+/**
+ * Calls `fn({ blockTag })`, or returns `defaultValue` when the contract has no
+ * code yet at `blockTag`.
+ */
+async function callAt(contract, blockTag, fn, defaultValue) {
+  if (blockTag < 0 || (await contract.provider.getCode(contract.address, blockTag)) == "0x") {
+    return defaultValue;
+  }
+  return fn({ blockTag });
+}
+
+function periodOf(timestamp, period) {
+  const date = new Date(timestamp * 1000).toISOString();
+  switch (period) {
+    case "day": return date.slice(0, 10);
+    case "month": return date.slice(0, 7);
+    case "none": return "all";
+    default: throw Error(`Invalid period: ${period}`);
+  }
+}
+
+/**
+ * Replays the supply, fee and force transfer events of CnydToken in
+ * [fromBlock, toBlock] and ties them out against the on-chain state, the fees
+ * are the AdminFeeCharged ones, not the transfers to the fee recipient:
+ *   - opening supply + minted - burned == closing supply
+ *   - every mint and burn was executed by an approved CnydAdmin proposal, batch mints included
+ *   - opening balance + replayed flows == closing balance, for every account touched
+ *
+ * @param token the CnydToken contract
+ * @param admin the CnydAdmin contract, optional, the proposal check is skipped without it
+ * @param period the period to total by, day|month|none
+ */
+async function reconcile({ token, admin, fromBlock, toBlock, period = "day" }) {
+  const provider = token.provider;
+  const openingTag = fromBlock - 1;
+
+  const tokenEvents = (await Promise.all(["Transfer", "ForceTransfer", "AdminFeeCharged"].map(
+    name => token.queryFilter(token.filters[name](), fromBlock, toBlock))))
+    .flat()
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const approvedTxs = { mint: new Set(), burn: new Set() };
+  if (admin) {
+    for (const name of ["MintExecuted", "BatchMintExecuted"]) {
+      for (const e of await admin.queryFilter(admin.filters[name](), fromBlock, toBlock)) {
+        approvedTxs.mint.add(e.transactionHash);
+      }
+    }
+    for (const e of await admin.queryFilter(admin.filters.BurnApproved(), fromBlock, toBlock)) {
+      if (e.args.approved) approvedTxs.burn.add(e.transactionHash);
+    }
+  }
+
+  const timestamps = {};
+  const periods = {};
+  const deltas = {};
+  const totals = { minted: ZERO, burned: ZERO, approvedMinted: ZERO, approvedBurned: ZERO, fees: ZERO, forceTransferred: ZERO };
+  const forceTransfers = [];
+  const mismatches = [];
+
+  const addTo = (key, record, amount) => {
+    totals[key] = totals[key].add(amount);
+    record[key] = record[key].add(amount);
+  };
+  const addDelta = (account, amount) => {
+    if (account != constants.AddressZero) deltas[account] = (deltas[account] || ZERO).add(amount);
+  };
+
+  for (const e of tokenEvents) {
+    if (timestamps[e.blockNumber] === undefined) {
+      timestamps[e.blockNumber] = (await provider.getBlock(e.blockNumber)).timestamp;
+    }
+    const key = periodOf(timestamps[e.blockNumber], period);
+    const record = periods[key] = periods[key] || { period: key, minted: ZERO, burned: ZERO, approvedMinted: ZERO,
+      approvedBurned: ZERO, fees: ZERO, forceTransferred: ZERO };
+
+    if (e.event == "AdminFeeCharged") {
+      addTo("fees", record, e.args.fee);
+    } else if (e.event == "ForceTransfer") {
+      addTo("forceTransferred", record, e.args.amount);
+      forceTransfers.push({ blockNumber: e.blockNumber, transactionHash: e.transactionHash,
+        from: e.args.from, to: e.args.to, amount: e.args.amount });
+    } else {
+      const { from, to, value } = e.args;
+      addDelta(from, value.mul(-1));
+      addDelta(to, value);
+      if (from == constants.AddressZero) {
+        addTo("minted", record, value);
+        if (approvedTxs.mint.has(e.transactionHash)) addTo("approvedMinted", record, value);
+        else if (admin) mismatches.push(`Mint of ${value} to ${to} in tx ${e.transactionHash} is not an approved proposal`);
+      } else if (to == constants.AddressZero) {
+        addTo("burned", record, value);
+        if (approvedTxs.burn.has(e.transactionHash)) addTo("approvedBurned", record, value);
+        else if (admin) mismatches.push(`Burn of ${value} in tx ${e.transactionHash} is not an approved proposal`);
+      }
+    }
+  }
+
+  const openingSupply = await callAt(token, openingTag, overrides => token.totalSupply(overrides), ZERO);
+  const closingSupply = await token.totalSupply({ blockTag: toBlock });
+  if (!openingSupply.add(totals.minted).sub(totals.burned).eq(closingSupply)) {
+    mismatches.push(`Opening supply ${openingSupply} + minted ${totals.minted} - burned ${totals.burned} != closing supply ${closingSupply}`);
+  }
+
+  const balances = [];
+  for (const [account, delta] of Object.entries(deltas)) {
+    const opening = await callAt(token, openingTag, overrides => token.balanceOf(account, overrides), ZERO);
+    const closing = await token.balanceOf(account, { blockTag: toBlock });
+    balances.push({ account, opening, delta, closing });
+    if (!opening.add(delta).eq(closing)) {
+      mismatches.push(`Balance of ${account}: opening ${opening} + replayed ${delta} != closing ${closing}`);
+    }
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    openingSupply,
+    closingSupply,
+    ...totals,
+    periods: Object.values(periods),
+    forceTransfers,
+    balances,
+    mismatches,
+  };
+}
+
+module.exports = {
+  reconcile,
+};
@@ -0,0 +1,143 @@
+const { constants, utils } = require("ethers");
+const { FEE_TIER_SIDES } = require("./proposals");
+const { snapshotAdmin } = require("./upgrade");
+
+/**
+ * The privileged roles of each contract kind, lists are compared as sets and
+ * tiers, `{ [address]: { side, ratio } }`, by the side and ratio of each account.
+ */
+const ROLES = {
+  CnydToken: { owner: "address", proposedOwner: "address", admin: "address", feeRecipient: "address", feeWhitelist: "list", feeTiers: "tiers" },
+  CnydAdmin: { owner: "address", proposedOwner: "address", token: "address", approvers: "list", threshold: "number", proposers: "list" },
+  Ownable: { owner: "address", proposedOwner: "address" },
+};
+
+const OWNABLE_ABI = [
+  "function owner() view returns (address)",
+  "function proposedOwner() view returns (address)",
+];
+
+/**
+ * Replays the FeeWhitelistAdded/Deleted events of `token` since `fromBlock`,
+ * keeping the accounts still in the whitelist.
+ */
+async function readFeeWhitelist(token, fromBlock = 0) {
+  const events = (await token.queryFilter(token.filters.FeeWhitelistAdded(), fromBlock))
+    .concat(await token.queryFilter(token.filters.FeeWhitelistDeleted(), fromBlock))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const candidates = new Set();
+  for (const e of events) {
+    for (const account of e.args.accounts) candidates.add(account);
+  }
+  const whitelist = [];
+  for (const account of candidates) {
+    if (await token.isInFeeWhitelist(account)) whitelist.push(account);
+  }
+  return whitelist.sort();
+}
+
+/**
+ * Replays the FeeTiersChanged events of `token` since `fromBlock`, keeping the
+ * accounts still in a fee tier with their current `{ side, ratio }`.
+ */
+async function readFeeTiers(token, fromBlock = 0) {
+  const events = await token.queryFilter(token.filters.FeeTiersChanged(), fromBlock);
+  const candidates = new Set();
+  for (const e of events) {
+    for (const account of e.args.accounts) candidates.add(account);
+  }
+  const tiers = {};
+  for (const account of [...candidates].sort()) {
+    const [side, ratio] = await token.getFeeTier(account);
+    if (side != 0) tiers[account] = { side: FEE_TIER_SIDES[side], ratio: ratio.toNumber() };
+  }
+  return tiers;
+}
+
+/**
+ * Reads the current roles of `contract`, an ethers contract of the `kind` ABI.
+ * @param fromBlock the block to look up the proposers, whitelist and fee tiers from, e.g. the deployment block
+ */
+async function snapshotRoles(kind, contract, fromBlock = 0) {
+  const roles = { owner: await contract.owner(), proposedOwner: await contract.proposedOwner() };
+  if (kind == "CnydToken") {
+    Object.assign(roles, {
+      admin: await contract.admin(),
+      feeRecipient: await contract.feeRecipient(),
+      feeWhitelist: await readFeeWhitelist(contract, fromBlock),
+      feeTiers: await readFeeTiers(contract, fromBlock),
+    });
+  } else if (kind == "CnydAdmin") {
+    const { token, approvers, threshold, proposers } = await snapshotAdmin(contract, fromBlock);
+    Object.assign(roles, { token, approvers, threshold, proposers });
+  } else if (kind != "Ownable") {
+    throw Error(`Unknown contract kind: ${kind}, must be one of ${Object.keys(ROLES).join("|")}`);
+  }
+  return roles;
+}
+
+function normalize(type, value) {
+  if (type == "list") return [...new Set((value || []).map(a => utils.getAddress(a)))].sort();
+  if (type == "address") return utils.getAddress(value || constants.AddressZero);
+  if (type == "tiers") {
+    return Object.fromEntries(Object.entries(value || {})
+      .map(([account, { side, ratio }]) => [utils.getAddress(account), `${side} ${ratio}`]));
+  }
+  return value;
+}
+
+/**
+ * Diffs the `actual` roles of a `kind` contract against the `expected` ones.
+ * An omitted address role is expected unset and an omitted list empty, so every
+ * holder must be signed off. A pending proposed owner is always reported.
+ * @return the list of problems
+ */
+function diffRoles(kind, expected, actual) {
+  const problems = [];
+  for (const [role, type] of Object.entries(ROLES[kind])) {
+    if (type == "number") {
+      if (expected[role] !== undefined && expected[role] != actual[role]) {
+        problems.push(`${role}: expected ${expected[role]}, got ${actual[role]}`);
+      }
+    } else if (type == "list") {
+      const want = normalize(type, expected[role]);
+      const got = normalize(type, actual[role]);
+      for (const account of got.filter(a => !want.includes(a))) {
+        problems.push(`${role}: unexpected holder ${account}`);
+      }
+      for (const account of want.filter(a => !got.includes(a))) {
+        problems.push(`${role}: missing expected holder ${account}`);
+      }
+    } else if (type == "tiers") {
+      const want = normalize(type, expected[role]);
+      const got = normalize(type, actual[role]);
+      for (const [account, tier] of Object.entries(got)) {
+        if (!want[account]) {
+          problems.push(`${role}: unexpected holder ${account}, ${tier}`);
+        } else if (want[account] != tier) {
+          problems.push(`${role}: ${account} expected ${want[account]}, got ${tier}`);
+        }
+      }
+      for (const account of Object.keys(want).filter(a => !got[a])) {
+        problems.push(`${role}: missing expected holder ${account}, ${want[account]}`);
+      }
+    } else if (role == "proposedOwner" && normalize(type, actual[role]) != constants.AddressZero) {
+      problems.push(`proposedOwner: pending ownership transfer to ${actual[role]}`);
+    } else if (normalize(type, expected[role]) != normalize(type, actual[role])) {
+      problems.push(`${role}: unexpected holder ${actual[role]}, expected ${normalize(type, expected[role])}`);
+    }
+  }
+  for (const role of Object.keys(expected).filter(r => !ROLES[kind][r])) {
+    problems.push(`${role}: not a role of ${kind}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  ROLES,
+  OWNABLE_ABI,
+  readFeeWhitelist,
+  readFeeTiers,
+  snapshotRoles,
+  diffRoles,
+};
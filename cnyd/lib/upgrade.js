@@ -0,0 +1,157 @@
+/**
+ * Returns the canonical signature of an ABI fragment, e.g. `transfer(address,uint256)`.
+ */
+function signatureOf(fragment) {
+  const types = (params) => (params || []).map(p => p.type.startsWith("tuple")
+    ? `(${types(p.components)})${p.type.slice("tuple".length)}`
+    : p.type).join(",");
+  return `${fragment.type} ${fragment.name || ""}(${types(fragment.inputs)})`;
+}
+
+function outputsOf(fragment) {
+  return JSON.stringify((fragment.outputs || []).map(o => o.type));
+}
+
+/**
+ * Compares the public ABI of the old and new contract. Removing a function or
+ * event, or changing the outputs or the mutability of a function, breaks the
+ * callers of the old contract, adding new ones doesn't.
+ * @return the list of breaking changes
+ */
+function compareAbi(oldAbi, newAbi) {
+  const newFragments = new Map(newAbi.map(f => [signatureOf(f), f]));
+  const problems = [];
+  for (const fragment of oldAbi) {
+    if (fragment.type == "constructor") continue;
+    const signature = signatureOf(fragment);
+    const newFragment = newFragments.get(signature);
+    if (!newFragment) {
+      problems.push(`ABI: ${signature} removed`);
+      continue;
+    }
+    if (fragment.type != "function") continue;
+    if (outputsOf(fragment) != outputsOf(newFragment)) {
+      problems.push(`ABI: ${signature} outputs changed from ${outputsOf(fragment)} to ${outputsOf(newFragment)}`);
+    }
+    if (fragment.stateMutability != newFragment.stateMutability) {
+      problems.push(`ABI: ${signature} mutability changed from ${fragment.stateMutability} to ${newFragment.stateMutability}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Describes a storage type by its label and size, including the members of
+ * structs, so that types with different AST ids compare equal.
+ */
+function describeType(types, typeId) {
+  const type = types[typeId];
+  let description = `${type.label}:${type.numberOfBytes}`;
+  if (type.members) {
+    description += `{${type.members.map(m => `${m.label}@${m.slot}.${m.offset}=${describeType(types, m.type)}`).join(",")}}`;
+  }
+  if (type.value) {
+    description += `=>${describeType(types, type.value)}`;
+  }
+  if (type.base) {
+    description += `[${describeType(types, type.base)}]`;
+  }
+  return description;
+}
+
+/**
+ * Compares the storage layout of the old and new contract. Every variable of the
+ * old layout must keep its name, slot, offset and type, new variables may only be
+ * appended.
+ * @return the list of breaking changes
+ */
+function compareStorageLayout(oldLayout, newLayout) {
+  const problems = [];
+  oldLayout.storage.forEach((oldVar, i) => {
+    const newVar = newLayout.storage[i];
+    const where = `${oldVar.label} (slot ${oldVar.slot}, offset ${oldVar.offset})`;
+    if (!newVar) {
+      problems.push(`storage: ${where} removed`);
+      return;
+    }
+    if (newVar.label != oldVar.label) {
+      problems.push(`storage: ${where} replaced by ${newVar.label}`);
+    } else if (newVar.slot != oldVar.slot || newVar.offset != oldVar.offset) {
+      problems.push(`storage: ${where} moved to slot ${newVar.slot}, offset ${newVar.offset}`);
+    } else if (describeType(oldLayout.types, oldVar.type) != describeType(newLayout.types, newVar.type)) {
+      problems.push(`storage: ${where} type changed from ${oldLayout.types[oldVar.type].label} to ${newLayout.types[newVar.type].label}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Checks that the new contract can replace the old one, both given as `{ abi, storageLayout }`.
+ * @return the list of breaking changes, empty if compatible
+ */
+function checkUpgrade(oldLayout, newLayout) {
+  if (!oldLayout.abi || !oldLayout.storageLayout) {
+    throw Error("The ABI and storage layout of the old contract are unknown");
+  }
+  if (!newLayout.storageLayout) {
+    throw Error("The storage layout of the new contract is not output, enable `storageLayout` in the config");
+  }
+  return compareAbi(oldLayout.abi, newLayout.abi).concat(compareStorageLayout(oldLayout.storageLayout, newLayout.storageLayout));
+}
+
+/**
+ * Reads a uint setting of CnydAdmin, undefined if the deployed version predates it.
+ * @param toNumber false to keep an amount as a decimal string
+ */
+async function readSetting(admin, name, toNumber = true) {
+  try {
+    const value = await admin[name]();
+    return toNumber ? value.toNumber() : value.toString();
+  } catch (e) {
+    if (e.code == "CALL_EXCEPTION") return undefined;
+    throw e;
+  }
+}
+
+/**
+ * Reads the migratable state of a CnydAdmin: the token, owner, approvers and
+ * threshold, proposers, proposal duration, mint limit and delay and fee timelock.
+ * @param fromBlock the block to look up the proposers from, e.g. the deployment block
+ */
+async function snapshotAdmin(admin, fromBlock = 0) {
+  const approvers = [];
+  const count = (await admin.APPROVER_COUNT()).toNumber();
+  for (let i = 0; i < count; i++) {
+    approvers.push(await admin.approvers(i));
+  }
+
+  const candidates = new Set();
+  for (const e of await admin.queryFilter(admin.filters.ProposerChanged(), fromBlock)) {
+    candidates.add(e.args.account);
+  }
+  const proposers = [];
+  for (const account of candidates) {
+    if (await admin.proposers(account)) proposers.push(account);
+  }
+
+  return {
+    address: admin.address,
+    token: await admin.token(),
+    owner: await admin.owner(),
+    approvers,
+    threshold: (await admin.APPROVED_THRESHOLD()).toNumber(),
+    proposers: proposers.sort(),
+    proposalDuration: (await admin.proposalDuration()).toNumber(),
+    mintPeriod: await readSetting(admin, "mintPeriod"),
+    mintCap: await readSetting(admin, "mintCap", false),
+    mintDelay: await readSetting(admin, "mintDelay"),
+    feeTimelock: await readSetting(admin, "feeTimelock"),
+  };
+}
+
+module.exports = {
+  compareAbi,
+  compareStorageLayout,
+  checkUpgrade,
+  snapshotAdmin,
+};
@@ -4,6 +4,7 @@
 // When running the script with `npx hardhat run <script>` you'll find the Hardhat
 // Runtime Environment's members available in the global scope.
 const hre = require("hardhat");
+const { saveDeployment } = require("amax-hardhat-common/deployment");
 
 const contractName = "CnydToken";
 
@@ -22,6 +23,7 @@ async function main() {
   await contract.deployed();
 
   console.log("contract", contractName, "deployed to:", contract.address);
+  await saveDeployment(hre, contractName, contract);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
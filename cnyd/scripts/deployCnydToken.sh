@@ -21,9 +21,9 @@ mkdir -p "${DEPLOY_DIR}"
 
 npx hardhat compile \
 && \
-npx hardhat run --network ${NETWORK} scripts/deploy.js | tee "${DEPLOY_DIR}/deploy.info" \
+npx hardhat run --network ${NETWORK} scripts/deployCnydToken.js | tee "${DEPLOY_DIR}/deploy.info" \
 && \
-export contract=$(cat "${DEPLOY_DIR}/deploy.info" | sed -n "s/contract CNYD deployed to: \(.*\)/\1/p") \
+export contract=$(node -p "require('./deployments/${NETWORK}.json').contracts.CnydToken.address") \
 && [[ "X${contract}" != "X" ]] && \
 npx hardhat verify --network ${NETWORK} ${contract} | tee -a "${DEPLOY_DIR}/deploy.info"  \
 && \
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { task } = require("hardhat/config");
+const { checkAddress, getSigner } = require("./utils");
+const { getDeployment } = require("amax-hardhat-common/deployment");
+
+/**
+ * Loads the bootstrap config from a JSON or YAML file:
+ *
+ *   token: "0x..."              # optional, deployed when omitted and not in the manifest
+ *   admin: "0x..."              # optional, deployed when omitted and not in the manifest
+ *   approvers: ["0x...", ...]   # the approver set
+ *   threshold: 2                # optional, the approvals to execute a proposal, default all approvers
+ *   proposers: ["0x...", ...]
+ *   proposalDuration: 21600     # optional, in second
+ *   feeRecipient: "0x..."       # optional, set before CnydAdmin takes over CnydToken
+ *   adminFeeRatio: 20           # optional, in ratioPrecision, at most CnydAdmin.MAX_ADMIN_FEE_RATIO
+ */
+function loadConfig(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const config = [".yml", ".yaml"].includes(path.extname(file)) ? yaml.safeLoad(content) : JSON.parse(content);
+
+  if (config.token) config.token = checkAddress(config.token, "token");
+  if (config.admin) config.admin = checkAddress(config.admin, "admin");
+  if (!Array.isArray(config.approvers)) {
+    throw Error("approvers must be an address array");
+  }
+  config.approvers = config.approvers.map(a => checkAddress(a, "approver"));
+  if (config.threshold === undefined) config.threshold = config.approvers.length;
+  if (!Number.isInteger(config.threshold) || config.threshold < 1 || config.threshold > config.approvers.length) {
+    throw Error(`threshold must be in 1..${config.approvers.length}`);
+  }
+  config.proposers = (config.proposers || []).map(a => checkAddress(a, "proposer"));
+  if (config.feeRecipient) config.feeRecipient = checkAddress(config.feeRecipient, "feeRecipient");
+  return config;
+}
+
+async function isDeployed(hre, address) {
+  return address !== undefined && (await hre.ethers.provider.getCode(address)) != "0x";
+}
+
+/**
+ * Returns the address of `contractName` from the config or the deployment manifest,
+ * if the contract has code on chain.
+ */
+async function findContract(hre, address, contractName) {
+  if (address) {
+    if (!await isDeployed(hre, address)) {
+      throw Error(`No ${contractName} contract found at ${address}`);
+    }
+    return address;
+  }
+  const deployment = getDeployment(hre, contractName);
+  if (deployment && await isDeployed(hre, deployment.address)) {
+    return deployment.address;
+  }
+  return undefined;
+}
+
+/**
+ * The bootstrap steps in order, each step is skipped when `isDone` reports its
+ * on-chain state is already in place.
+ */
+function buildSteps(hre, config, ctx) {
+  const send = async (txPromise) => (await txPromise).wait();
+  const loadContracts = async () => {
+    ctx.token = await hre.ethers.getContractAt("CnydToken", ctx.tokenAddress, ctx.signer);
+    ctx.admin = await hre.ethers.getContractAt("CnydAdmin", ctx.adminAddress, ctx.signer);
+  };
+  const steps = [
+    {
+      name: "deploy CnydToken",
+      isDone: async () => (ctx.tokenAddress = await findContract(hre, config.token, "CnydToken")) !== undefined,
+      run: async () => { ctx.tokenAddress = (await hre.run("deployCnydToken")).address; },
+    },
+    {
+      name: "deploy CnydAdmin",
+      isDone: async () => {
+        ctx.adminAddress = await findContract(hre, config.admin, "CnydAdmin");
+        return ctx.adminAddress !== undefined && (await loadContracts(), true);
+      },
+      run: async () => {
+        ctx.adminAddress = (await hre.run("deployCnydAdmin")).address;
+        await loadContracts();
+      },
+    },
+  ];
+
+  // the fee parameters are set while the signer is still the token admin, CnydAdmin
+  // only changes them through fee proposals
+  const setFee = (name, txPromise) => async () => {
+    if (await ctx.token.admin() == ctx.adminAddress) {
+      throw Error(`CnydToken is governed by CnydAdmin ${ctx.adminAddress}, ${name} by the proposeFeeChange task`);
+    }
+    return send(txPromise());
+  };
+  if (config.feeRecipient !== undefined) {
+    steps.push({
+      name: `set fee recipient ${config.feeRecipient}`,
+      isDone: async () => await ctx.token.feeRecipient() == config.feeRecipient,
+      run: setFee("propose the fee recipient", () => ctx.token.setFeeRecipient(config.feeRecipient)),
+    });
+  }
+  if (config.adminFeeRatio !== undefined) {
+    steps.push({
+      name: `set admin fee ratio ${config.adminFeeRatio}`,
+      isDone: async () => (await ctx.token.adminFeeRatio()).eq(config.adminFeeRatio),
+      run: setFee("propose the admin fee ratio", async () => {
+        const maxRatio = await ctx.admin.MAX_ADMIN_FEE_RATIO();
+        if (maxRatio.lt(config.adminFeeRatio)) {
+          throw Error(`adminFeeRatio ${config.adminFeeRatio} exceeds the max admin fee ratio ${maxRatio} of CnydAdmin`);
+        }
+        return ctx.token.setAdminFeeRatio(config.adminFeeRatio);
+      }),
+    });
+  }
+
+  steps.push(
+    {
+      name: "propose CnydAdmin as owner of CnydToken",
+      isDone: async () => await ctx.token.owner() == ctx.adminAddress || await ctx.token.proposedOwner() == ctx.adminAddress,
+      run: () => send(ctx.token.proposeOwner(ctx.adminAddress)),
+    },
+    {
+      name: "init CnydAdmin",
+      isDone: () => ctx.admin.isInit(),
+      run: () => send(ctx.admin.init(ctx.tokenAddress, config.approvers, config.threshold)),
+    },
+  );
+
+  for (const proposer of config.proposers) {
+    steps.push({
+      name: `set proposer ${proposer}`,
+      isDone: () => ctx.admin.proposers(proposer),
+      run: () => send(ctx.admin.setProposer(proposer, true)),
+    });
+  }
+  if (config.proposalDuration !== undefined) {
+    steps.push({
+      name: `set proposal duration ${config.proposalDuration}`,
+      isDone: async () => (await ctx.admin.proposalDuration()).eq(config.proposalDuration),
+      run: () => send(ctx.admin.setProposalDuration(config.proposalDuration)),
+    });
+  }
+  return steps;
+}
+
+async function buildReport(hre, config, ctx) {
+  const { token, admin } = ctx;
+  const report = [];
+  const check = (item, expected, actual) => report.push({ item, expected: String(expected), actual: String(actual), ok: String(expected) == String(actual) });
+
+  check("CnydToken.owner", admin.address, await token.owner());
+  check("CnydToken.proposedOwner", hre.ethers.constants.AddressZero, await token.proposedOwner());
+  check("CnydToken.admin", admin.address, await token.admin());
+  check("CnydAdmin.owner", ctx.signer.address, await admin.owner());
+  check("CnydAdmin.token", token.address, await admin.token());
+  const approvers = await admin.getApprovers();
+  check("CnydAdmin.approvers", config.approvers.join(" "), approvers.join(" "));
+  check("CnydAdmin.threshold", config.threshold, await admin.APPROVED_THRESHOLD());
+  for (const proposer of config.proposers) {
+    check(`CnydAdmin.proposers[${proposer}]`, true, await admin.proposers(proposer));
+  }
+  if (config.proposalDuration !== undefined) {
+    check("CnydAdmin.proposalDuration", config.proposalDuration, await admin.proposalDuration());
+  }
+  if (config.feeRecipient !== undefined) {
+    check("CnydToken.feeRecipient", config.feeRecipient, await token.feeRecipient());
+  }
+  if (config.adminFeeRatio !== undefined) {
+    check("CnydToken.adminFeeRatio", config.adminFeeRatio, await token.adminFeeRatio());
+  }
+  return report;
+}
+
+task("bootstrapCnyd", "Deploy and set up CnydToken and CnydAdmin step by step, resuming from completed steps")
+  .addParam("file", "The bootstrap config file, JSON or YAML format")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const config = loadConfig(taskArgs.file);
+    const ctx = { signer: await getSigner(hre) };
+
+    for (const step of buildSteps(hre, config, ctx)) {
+      if (await step.isDone()) {
+        console.log(`[skip] ${step.name}`);
+        continue;
+      }
+      console.log(`[run]  ${step.name} ...`);
+      await step.run();
+    }
+
+    const report = await buildReport(hre, config, ctx);
+    console.table(report);
+    const failed = report.filter(r => !r.ok);
+    if (failed.length > 0) {
+      throw Error(`Bootstrap verification failed: ${failed.map(r => r.item).join(", ")}`);
+    }
+    console.log("Bootstrap CNYD completed");
+    return report;
+  });
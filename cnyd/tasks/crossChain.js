@@ -0,0 +1,134 @@
+const { ethers } = require("ethers");
+const { extendConfig, task } = require("hardhat/config");
+const { getProvider } = require("./utils");
+
+/**
+ * `crossChainSupply` in hardhat.config.js lists the deployments of each asset
+ * across chains and the rule its combined supply must follow:
+ *
+ *   crossChainSupply: {
+ *     CNYD: {
+ *       deployments: [
+ *         { network: "goerli", address: "0x...", native: true },
+ *         { network: "bsc_main", address: "0x..." },
+ *       ],
+ *       // the bridged supply must equal the native tokens held by the bridge
+ *       lockedBy: ["0x..."],
+ *       // or the supply across all chains must equal a fixed amount
+ *       // expectedSupply: "1000000",
+ *       tolerance: "0",
+ *     },
+ *   }
+ *
+ * `network` is a network name of hardhat.config.js, amounts are in token units.
+ */
+extendConfig((config, userConfig) => {
+  config.crossChainSupply = userConfig.crossChainSupply || {};
+});
+
+const TOKEN_ABI = [
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function owner() view returns (address)",
+];
+
+async function checkAsset(hre, name, asset) {
+  const deployments = [];
+  for (const d of asset.deployments) {
+    const provider = getProvider(hre, d.network);
+    const token = new ethers.Contract(d.address, TOKEN_ABI, provider);
+    deployments.push({
+      network: d.network,
+      chainId: (await provider.getNetwork()).chainId,
+      address: d.address,
+      native: !!d.native,
+      token,
+      decimals: await token.decimals(),
+      totalSupply: await token.totalSupply(),
+      paused: await token.paused(),
+      owner: await token.owner(),
+    });
+  }
+  const decimals = deployments[0].decimals;
+  if (deployments.some(d => d.decimals != decimals)) {
+    throw Error(`The deployments of ${name} have different decimals`);
+  }
+
+  let rule, actual, expected;
+  const sum = (amounts) => amounts.reduce((a, b) => a.add(b), ethers.BigNumber.from(0));
+  if (asset.lockedBy) {
+    const natives = deployments.filter(d => d.native);
+    if (natives.length != 1) {
+      throw Error(`${name} needs exactly one native deployment to check the locked supply`);
+    }
+    rule = "bridged supply == locked native supply";
+    actual = sum(deployments.filter(d => !d.native).map(d => d.totalSupply));
+    expected = sum(await Promise.all(asset.lockedBy.map(holder => natives[0].token.balanceOf(holder))));
+  } else if (asset.expectedSupply !== undefined) {
+    rule = "total supply == expected supply";
+    actual = sum(deployments.map(d => d.totalSupply));
+    expected = ethers.utils.parseUnits(String(asset.expectedSupply), decimals);
+  }
+
+  const result = {
+    asset: name,
+    deployments: deployments.map(({ token, decimals, totalSupply, ...d }) => ({
+      ...d,
+      totalSupply: ethers.utils.formatUnits(totalSupply, decimals),
+    })),
+  };
+  if (rule) {
+    const drift = actual.sub(expected);
+    const tolerance = ethers.utils.parseUnits(String(asset.tolerance || "0"), decimals);
+    Object.assign(result, {
+      rule,
+      actual: ethers.utils.formatUnits(actual, decimals),
+      expected: ethers.utils.formatUnits(expected, decimals),
+      drift: ethers.utils.formatUnits(drift, decimals),
+      ok: drift.abs().lte(tolerance),
+    });
+  }
+  return result;
+}
+
+task("crossChainSupply", "Check the combined supply of the assets deployed across chains")
+  .addOptionalParam("asset", "The asset of crossChainSupply config to check, default all")
+  .addOptionalParam("format", "Output format, table|json", "table")
+  .setAction(async (taskArgs, hre) => {
+    if (!["table", "json"].includes(taskArgs.format)) {
+      throw Error(`Invalid format: ${taskArgs.format}, must be table|json`);
+    }
+    const assets = hre.config.crossChainSupply;
+    const names = taskArgs.asset ? [taskArgs.asset] : Object.keys(assets);
+    if (names.length == 0) {
+      throw Error("No asset configured in crossChainSupply of hardhat.config.js");
+    }
+
+    const results = [];
+    for (const name of names) {
+      if (!assets[name]) {
+        throw Error(`Asset ${name} is not configured in crossChainSupply of hardhat.config.js`);
+      }
+      results.push(await checkAsset(hre, name, assets[name]));
+    }
+
+    if (taskArgs.format == "json") {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const r of results) {
+        console.log(`${r.asset}:`);
+        console.table(r.deployments);
+        if (r.rule) {
+          console.log(`  ${r.rule}: actual ${r.actual}, expected ${r.expected}, drift ${r.drift} ${r.ok ? "OK" : "DRIFT"}`);
+        }
+      }
+    }
+
+    const drifted = results.filter(r => r.ok === false);
+    if (drifted.length > 0) {
+      throw Error(`Supply drift detected for ${drifted.map(r => `${r.asset} (${r.drift})`).join(", ")}`);
+    }
+    return results;
+  });
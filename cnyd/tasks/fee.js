@@ -0,0 +1,282 @@
+const { task, types } = require("hardhat/config");
+const { checkAddress, getLatestTimestamp, printEvents, readCsvRows } = require("./utils");
+const { loadAdmin, checkApprovable, checkApprover, checkProposer, printProposed, queryProposals } = require("./proposal");
+const { resolveAddress } = require("amax-hardhat-common/deployment");
+const { PROPOSAL_KINDS, PROPOSAL_STATUSES, FEE_TIER_SIDES, describeFeeChange } = require("../lib/proposals");
+const adminFee = require("../lib/adminFee");
+
+// the most accounts in one fee tier proposal
+const TIER_ACCOUNTS_PER_PROPOSAL = 100;
+
+/**
+ * Reads a fee tier table from a CSV file of `address,side,ratio` rows and an
+ * optional header, the side sender|recipient|both, or none to remove the tier,
+ * the ratio in ratioPrecision. Throws listing every invalid row by its line.
+ */
+function readFeeTiers(hre, file, maxRatio) {
+  const rows = readCsvRows(file);
+  if (rows.length > 0 && rows[0][0].toLowerCase() == "address") rows.shift();
+  const tiers = [];
+  const problems = [];
+  const seen = {};
+  rows.forEach(row => {
+    const [address, side, ratio = "0"] = row;
+    if (row.length < 2 || row.length > 3) {
+      problems.push(`line ${row.line}: expected address,side,ratio`);
+    } else if (!hre.ethers.utils.isAddress(address)) {
+      problems.push(`line ${row.line}: invalid address ${address}`);
+    } else if (!FEE_TIER_SIDES.includes(side)) {
+      problems.push(`line ${row.line}: invalid side ${side}, must be ${FEE_TIER_SIDES.slice(1).join("|")}|none`);
+    } else if (!/^\d+$/.test(ratio) || Number(ratio) > maxRatio || (side == "none" && Number(ratio) != 0)) {
+      problems.push(`line ${row.line}: invalid ratio ${ratio}, must be in 0..${side == "none" ? 0 : maxRatio}`);
+    } else {
+      const account = hre.ethers.utils.getAddress(address);
+      if (seen[account]) {
+        problems.push(`line ${row.line}: duplicated address ${account} of line ${seen[account]}`);
+      } else {
+        seen[account] = row.line;
+        tiers.push({ account, side, ratio: Number(ratio) });
+      }
+    }
+  });
+  if (rows.length == 0) {
+    problems.push("no rows");
+  }
+  if (problems.length > 0) {
+    throw Error(`Invalid fee tier file ${file}:\n  ${problems.join("\n  ")}`);
+  }
+  return tiers;
+}
+
+task("quoteTransfer", "Quote a CnydToken transfer locally and compare with the contract's view")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addParam("from", "The sender address")
+  .addParam("to", "The recipient address")
+  .addOptionalParam("send", "The amount to send, in CNYD")
+  .addOptionalParam("receive", "The amount the recipient should receive, in CNYD")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    if ((taskArgs.send === undefined) == (taskArgs.receive === undefined)) {
+      throw Error("Exactly one of --send and --receive is required");
+    }
+    const from = checkAddress(taskArgs.from, "from");
+    const to = checkAddress(taskArgs.to, "to");
+    const token = await hre.ethers.getContractAt("CnydToken", checkAddress(resolveAddress(hre, taskArgs.token, "CnydToken"), "token"));
+    const decimals = await token.decimals();
+    const feeState = await adminFee.loadFeeState(token, [from, to]);
+
+    let local, onChain;
+    if (taskArgs.send !== undefined) {
+      const sentAmount = hre.ethers.utils.parseUnits(taskArgs.send, decimals);
+      local = { sentAmount, ...adminFee.getReceivedAmount(feeState, from, to, sentAmount) };
+      const [receivedAmount, feeAmount] = await token.getReceivedAmount(from, to, sentAmount);
+      onChain = { sentAmount, receivedAmount, feeAmount };
+    } else {
+      const receivedAmount = hre.ethers.utils.parseUnits(taskArgs.receive, decimals);
+      local = { receivedAmount, ...adminFee.getSentAmount(feeState, from, to, receivedAmount) };
+      const [sentAmount, feeAmount] = await token.getSentAmount(from, to, receivedAmount);
+      onChain = { sentAmount, receivedAmount, feeAmount };
+    }
+
+    const quote = {};
+    let mismatch = false;
+    for (const key of ["sentAmount", "receivedAmount", "feeAmount"]) {
+      const same = local[key].eq(onChain[key]);
+      mismatch = mismatch || !same;
+      quote[key] = {
+        local: hre.ethers.utils.formatUnits(local[key], decimals),
+        contract: hre.ethers.utils.formatUnits(onChain[key], decimals),
+        match: same,
+      };
+    }
+    console.log("fee ratio:", `${adminFee.getAdminFeeRatioBy(feeState, from, to)}/${adminFee.RATIO_PRECISION}`);
+    console.table(quote);
+    if (mismatch) {
+      console.error("MISMATCH: the local quote differs from the contract's view");
+    }
+    return { local, onChain, mismatch };
+  });
+
+task("proposeFeeChange", "Propose to change the admin fee ratio, recipient or whitelist of CnydToken, or the fee timelock, through CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("ratio", "The new admin fee ratio, in ratioPrecision", undefined, types.int)
+  .addOptionalParam("recipient", "The new fee recipient address")
+  .addOptionalParam("addWhitelist", "Address array to add to the fee whitelist, JSON array format", undefined, types.json)
+  .addOptionalParam("delWhitelist", "Address array to delete from the fee whitelist, JSON array format", undefined, types.json)
+  .addOptionalParam("timelock", "The new fee timelock in seconds, applied after the current one", undefined, types.int)
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const changes = ["ratio", "recipient", "addWhitelist", "delWhitelist", "timelock"].filter(key => taskArgs[key] !== undefined);
+    if (changes.length != 1) {
+      throw Error("Exactly one of --ratio, --recipient, --addWhitelist, --delWhitelist and --timelock is required");
+    }
+    const { signer, admin } = await loadAdmin(hre, taskArgs);
+    await checkProposer(admin, signer.address);
+
+    let tx;
+    if (taskArgs.ratio !== undefined) {
+      const maxRatio = await admin.MAX_ADMIN_FEE_RATIO();
+      if (taskArgs.ratio < 0 || maxRatio.lt(taskArgs.ratio)) {
+        throw Error(`Invalid ratio: ${taskArgs.ratio}, must be in 0..${maxRatio}`);
+      }
+      console.log(`Propose the admin fee ratio ${taskArgs.ratio} ...`);
+      tx = admin.proposeAdminFeeRatio(taskArgs.ratio);
+    } else if (taskArgs.recipient !== undefined) {
+      const recipient = checkAddress(taskArgs.recipient, "recipient");
+      console.log(`Propose the fee recipient ${recipient} ...`);
+      tx = admin.proposeFeeRecipient(recipient);
+    } else if (taskArgs.timelock !== undefined) {
+      const maxTimelock = await admin.MAX_FEE_TIMELOCK();
+      if (taskArgs.timelock < 0 || maxTimelock.lt(taskArgs.timelock)) {
+        throw Error(`Invalid timelock: ${taskArgs.timelock}, must be in 0..${maxTimelock}`);
+      }
+      console.log(`Propose the fee timelock ${taskArgs.timelock}s ...`);
+      tx = admin.proposeFeeTimelock(taskArgs.timelock);
+    } else {
+      const added = taskArgs.addWhitelist !== undefined;
+      const accounts = (added ? taskArgs.addWhitelist : taskArgs.delWhitelist).map(a => checkAddress(a, "whitelist"));
+      if (accounts.length == 0) {
+        throw Error("Empty whitelist accounts");
+      }
+      console.log(`Propose to ${added ? "add" : "delete"} ${accounts.join(" ")} ${added ? "to" : "from"} the fee whitelist ...`);
+      tx = admin.proposeFeeWhitelist(accounts, added);
+    }
+    const receipt = await (await tx).wait();
+    printProposed(receipt, "FeeProposed");
+    return receipt;
+  });
+
+task("loadFeeTiers", "Propose the fee tiers of a CSV table through CnydAdmin, one fee proposal per side and ratio")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("csv", "The CSV file of address,side,ratio rows, side sender|recipient|both|none, ratio in ratioPrecision")
+  .addOptionalParam("dryRun", "Only validate the table and list the proposals, without proposing", false, types.boolean)
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, token } = await loadAdmin(hre, taskArgs);
+    const tiers = readFeeTiers(hre, taskArgs.csv, (await admin.MAX_ADMIN_FEE_RATIO()).toNumber());
+
+    // group the changed tiers by side and ratio, skipping the ones already set
+    const unchanged = [];
+    const groups = {};
+    for (const tier of tiers) {
+      const [side, ratio] = await token.getFeeTier(tier.account);
+      if (FEE_TIER_SIDES[side] == tier.side && ratio.eq(tier.ratio)) {
+        unchanged.push(tier.account);
+        continue;
+      }
+      const key = `${tier.side}:${tier.ratio}`;
+      groups[key] = groups[key] || { side: tier.side, ratio: tier.ratio, accounts: [] };
+      groups[key].accounts.push(tier.account);
+    }
+    const proposals = [];
+    for (const group of Object.values(groups)) {
+      for (let i = 0; i < group.accounts.length; i += TIER_ACCOUNTS_PER_PROPOSAL) {
+        proposals.push({ ...group, accounts: group.accounts.slice(i, i + TIER_ACCOUNTS_PER_PROPOSAL) });
+      }
+    }
+    console.log(`${tiers.length} tiers, ${unchanged.length} unchanged, ${proposals.length} proposals`);
+    if (proposals.length > 0) {
+      console.table(proposals.map(p => ({ side: p.side, ratio: p.ratio, accounts: p.accounts.length })));
+    }
+    if (taskArgs.dryRun || proposals.length == 0) {
+      return { unchanged, proposals };
+    }
+
+    await checkProposer(admin, signer.address);
+    for (const p of proposals) {
+      console.log(`Propose the ${p.side} tier ${p.ratio} of ${p.accounts.length} accounts ...`);
+      const receipt = await (await admin.proposeFeeTier(p.accounts, FEE_TIER_SIDES.indexOf(p.side), p.ratio)).wait();
+      p.id = printProposed(receipt, "FeeProposed");
+    }
+    return { unchanged, proposals };
+  });
+
+task("approveFeeChange", "Approve or oppose a pending fee change proposal of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the fee change proposal", undefined, types.int)
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addOptionalParam("signer", "The approver address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin } = await loadAdmin(hre, taskArgs);
+
+    await checkApprover(admin, signer.address);
+    const [proposal, data] = await admin.getFeeProposal(taskArgs.id);
+    await checkApprovable(hre, admin, "fee", taskArgs.id, proposal, signer.address);
+
+    console.log(`${taskArgs.approved ? "Approve" : "Oppose"} the fee change #${taskArgs.id} ${describeFeeChange(data)} ...`);
+    const receipt = await (await admin.approveFee(taskArgs.id, taskArgs.approved, data.action, data.ratio, data.recipient, data.accounts)).wait();
+    printEvents(receipt, "FeeApproved");
+    printEvents(receipt, "FeeQueued");
+    printEvents(receipt, "FeeExecuted");
+    return receipt;
+  });
+
+task("executeFeeChange", "Execute a queued fee change proposal of CnydAdmin after its timelock")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the fee change proposal", undefined, types.int)
+  .addOptionalParam("signer", "The executor address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin } = await loadAdmin(hre, taskArgs);
+
+    const [proposal, data] = await admin.getFeeProposal(taskArgs.id);
+    if (PROPOSAL_KINDS[proposal.kind] != "fee") {
+      throw Error(`No fee proposal #${taskArgs.id}`);
+    }
+    if (PROPOSAL_STATUSES[proposal.status] != "queued") {
+      throw Error(`The fee proposal #${taskArgs.id} is ${PROPOSAL_STATUSES[proposal.status]}, not queued`);
+    }
+    if (data.executeTime.gt(await getLatestTimestamp(hre))) {
+      throw Error(`The fee proposal #${taskArgs.id} is executable at ${new Date(data.executeTime.toNumber() * 1000).toISOString()}`);
+    }
+
+    console.log(`Execute the fee change #${taskArgs.id} ${describeFeeChange(data)} ...`);
+    const receipt = await (await admin.executeFee(taskArgs.id)).wait();
+    printEvents(receipt, "FeeExecuted");
+    return receipt;
+  });
+
+task("listFeeChanges", "Show the fee parameters of CnydToken and the pending and queued fee change proposals")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("format", "Output format, table|json", "table")
+  .setAction(async (taskArgs, hre) => {
+    if (!["table", "json"].includes(taskArgs.format)) {
+      throw Error(`Invalid format: ${taskArgs.format}`);
+    }
+    const { admin, token, decimals } = await loadAdmin(hre, taskArgs);
+    const current = {
+      adminFeeRatio: (await token.adminFeeRatio()).toNumber(),
+      maxAdminFeeRatio: (await admin.MAX_ADMIN_FEE_RATIO()).toNumber(),
+      ratioPrecision: (await token.ratioPrecision()).toNumber(),
+      feeRecipient: await token.feeRecipient(),
+      feeTimelock: (await admin.feeTimelock()).toNumber(),
+    };
+    const proposals = [];
+    for (const status of ["pending", "queued"]) {
+      const found = await queryProposals(hre, admin, decimals, { status });
+      proposals.push(...found.filter(p => p.kind == "fee"));
+    }
+    proposals.sort((a, b) => a.id - b.id);
+
+    if (taskArgs.format == "json") {
+      console.log(JSON.stringify({ current, proposals }, null, 2));
+    } else {
+      console.table(current);
+      if (proposals.length == 0) {
+        console.log("No pending fee changes");
+      } else {
+        console.table(proposals.map(p => ({
+          id: p.id,
+          status: p.status,
+          change: p.target,
+          signed: p.signed.join(" "),
+          missing: p.status == "pending" ? `${p.required} of ${p.missing.join(" ")}` : "",
+          executeTime: p.executeTime ? new Date(p.executeTime * 1000).toISOString() : "",
+        })));
+      }
+    }
+    return { current, proposals };
+  });
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { task } = require("hardhat/config");
+const { SAFE_PARAM, checkAddress, getSigner, readCsvRows, writeRecords } = require("./utils");
+const { getTokenAdmin } = require("./owner");
+const { resolveAddress } = require("amax-hardhat-common/deployment");
+const { sendOrExportCalls } = require("amax-hardhat-common/safe");
+
+/**
+ * Loads the addresses from a CSV file, the first column of each row, or a JSON
+ * file, an array of addresses or of `{ address }`. Throws listing every invalid address.
+ */
+function loadAddressList(file) {
+  let addresses;
+  if (path.extname(file) == ".json") {
+    addresses = JSON.parse(fs.readFileSync(file, "utf8")).map(item => typeof item == "string" ? item : item.address);
+  } else {
+    addresses = readCsvRows(file).map(row => row[0]).filter(cell => cell.toLowerCase() != "address");
+  }
+  const invalid = addresses.filter(a => !ethers.utils.isAddress(a) || a == ethers.constants.AddressZero);
+  if (invalid.length > 0) {
+    throw Error(`Invalid addresses in ${file}:\n  ${invalid.join("\n  ")}`);
+  }
+  return [...new Set(addresses.map(a => ethers.utils.getAddress(a)))];
+}
+
+async function loadToken(hre, taskArgs) {
+  const address = checkAddress(resolveAddress(hre, taskArgs.token, "CnydToken"), "token");
+  return hre.ethers.getContractAt("CnydToken", address);
+}
+
+function freezeTask(name, frozen) {
+  const action = frozen ? "freezeAccount" : "unfreezeAccount";
+  task(name, `${frozen ? "Freeze" : "Unfreeze"} the CnydToken accounts listed in a CSV or JSON file`)
+    .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+    .addParam("file", "The CSV or JSON file of addresses")
+    .addOptionalParam("out", "The result file, JSON or CSV by extension, default <file>.result.json")
+    .addOptionalParam("signer", "The signer address, default the first account")
+    .addOptionalParam("safe", SAFE_PARAM)
+    .setAction(async (taskArgs, hre) => {
+      console.log("args: ", taskArgs)
+      const addresses = loadAddressList(taskArgs.file);
+      const token = await loadToken(hre, taskArgs);
+      const { contract: freezer, owner } = await getTokenAdmin(hre, token, await getSigner(hre, taskArgs.signer), taskArgs.safe);
+      const out = taskArgs.out || `${taskArgs.file}.result.json`;
+
+      if (taskArgs.safe) {
+        const results = [];
+        for (const address of addresses) {
+          results.push({ address, status: await token.isAccountFrozen(address) == frozen ? "skipped" : "batched" });
+        }
+        const calls = results.filter(r => r.status == "batched").map(r => ({ contract: freezer, method: action, args: [r.address] }));
+        if (calls.length > 0) {
+          await sendOrExportCalls(hre, calls, { safe: taskArgs.safe, owner, name: `CnydToken ${name}` });
+        }
+        writeRecords(out, results);
+        console.log("Result written to:", out);
+        return results;
+      }
+
+      const results = [];
+      for (const address of addresses) {
+        if (await token.isAccountFrozen(address) == frozen) {
+          results.push({ address, status: "skipped" });
+          continue;
+        }
+        try {
+          const receipt = await (await freezer[action](address)).wait();
+          results.push({ address, status: frozen ? "frozen" : "unfrozen", transactionHash: receipt.transactionHash });
+          console.log(`${action} ${address}: ${receipt.transactionHash}`);
+        } catch (e) {
+          results.push({ address, status: "failed", error: e.message });
+          console.error(`${action} ${address} failed: ${e.message}`);
+        }
+        // keep the result file up to date, so that an interrupted run can be checked
+        writeRecords(out, results);
+      }
+      writeRecords(out, results);
+      console.log("Result written to:", out);
+
+      const failed = results.filter(r => r.status == "failed");
+      if (failed.length > 0) {
+        throw Error(`${failed.length} of ${addresses.length} accounts failed, see ${out}`);
+      }
+      return results;
+    });
+}
+
+freezeTask("freeze", true);
+freezeTask("unfreeze", false);
+
+task("frozenStatus", "Show the frozen status of the CnydToken accounts listed in a CSV or JSON file")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addParam("file", "The CSV or JSON file of addresses")
+  .addOptionalParam("out", "The result file, JSON or CSV by extension")
+  .setAction(async (taskArgs, hre) => {
+    const addresses = loadAddressList(taskArgs.file);
+    const token = await loadToken(hre, taskArgs);
+
+    const results = [];
+    for (const address of addresses) {
+      results.push({ address, frozen: await token.isAccountFrozen(address) });
+    }
+    if (taskArgs.out) {
+      writeRecords(taskArgs.out, results);
+      console.log("Result written to:", taskArgs.out);
+    } else {
+      console.table(results);
+    }
+    return results;
+  });
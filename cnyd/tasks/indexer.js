@@ -0,0 +1,41 @@
+const { task, types } = require("hardhat/config");
+const { checkAddress } = require("./utils");
+const { getDeployment, resolveAddress } = require("amax-hardhat-common/deployment");
+const { JsonLinesStore, EventIndexer } = require("../lib/indexer");
+
+task("indexEvents", "Index the events of CnydToken and CnydAdmin into a JSON lines store")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("out", "The store directory, default ./.index/<network>")
+  .addOptionalParam("fromBlock", "The block to start from, default the deploy block of CnydToken", undefined, types.int)
+  .addOptionalParam("reorgDepth", "The number of recent blocks re-checked for reorgs", 12, types.int)
+  .addOptionalParam("follow", "Whether to keep tailing new blocks, true|false", false, types.boolean)
+  .addOptionalParam("pollInterval", "The interval to poll new blocks when following, in ms", 5000, types.int)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const token = await hre.ethers.getContractAt("CnydToken", checkAddress(resolveAddress(hre, taskArgs.token, "CnydToken"), "token"));
+    const admin = await hre.ethers.getContractAt("CnydAdmin", checkAddress(resolveAddress(hre, taskArgs.admin, "CnydAdmin"), "admin"));
+
+    let startBlock = taskArgs.fromBlock;
+    if (startBlock === undefined) {
+      const deployment = getDeployment(hre, "CnydToken");
+      startBlock = deployment && deployment.address == token.address ? deployment.blockNumber : 0;
+    }
+
+    const indexer = new EventIndexer({
+      provider: hre.ethers.provider,
+      contracts: [{ name: "CnydToken", contract: token }, { name: "CnydAdmin", contract: admin }],
+      store: new JsonLinesStore(taskArgs.out || `./.index/${hre.network.name}`),
+      startBlock,
+      reorgDepth: taskArgs.reorgDepth,
+    });
+
+    if (!taskArgs.follow) {
+      await indexer.sync();
+      return indexer;
+    }
+    process.once("SIGINT", () => indexer.stop());
+    console.log("Following new blocks, press Ctrl+C to stop");
+    await indexer.run(taskArgs.pollInterval);
+    return indexer;
+  });
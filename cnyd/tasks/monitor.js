@@ -0,0 +1,100 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { checkAddress } = require("./utils");
+const { getDeployment } = require("amax-hardhat-common/deployment");
+const { BEP20_ABI, Monitor } = require("../lib/monitor");
+
+/**
+ * The rules file of the monitor task:
+ *
+ *   {
+ *     // default CnydToken and CnydAdmin of the deployment manifest
+ *     "contracts": [
+ *       { "name": "CnydToken", "kind": "CnydToken", "address": "0x..." },
+ *       { "name": "CnydAdmin", "kind": "CnydAdmin", "address": "0x..." },
+ *       { "name": "AMAX", "kind": "BEP20", "address": "0x...", "network": "bsc_main" }
+ *     ],
+ *     "rules": [
+ *       { "name": "large mint", "event": "MintApproved", "minAmount": "1000000" },
+ *       { "name": "BEP20 mint", "event": "Transfer", "contract": "AMAX",
+ *         "args": { "from": "0x0000000000000000000000000000000000000000" }, "minAmount": "1000000", "amountArg": "value" },
+ *       { "name": "force transfer", "event": "ForceTransfer" },
+ *       { "name": "ownership proposal", "event": "OwnershipProposed" },
+ *       { "name": "admin change", "event": "AdminChanged" },
+ *       { "name": "pause", "event": "Paused" },
+ *       { "name": "fee ratio change", "event": "AdminFeeRatioChanged", "severity": "medium" },
+ *       { "name": "proposal expiring", "type": "expiringProposal", "within": 3600 }
+ *     ],
+ *     "sinks": [
+ *       { "type": "webhook", "url": "https://..." },
+ *       { "type": "log", "file": "./alerts.jsonl" }
+ *     ]
+ *   }
+ *
+ * Contracts with a `network` other than the current one are skipped, run the
+ * monitor once per network. See lib/monitor.js for the rules and sinks.
+ */
+
+async function loadContracts(hre, contracts) {
+  if (!contracts) {
+    contracts = ["CnydToken", "CnydAdmin"].filter(name => getDeployment(hre, name))
+      .map(name => ({ name, kind: name, address: getDeployment(hre, name).address }));
+  }
+  const loaded = [];
+  for (const c of contracts.filter(c => !c.network || c.network == hre.network.name)) {
+    const address = checkAddress(c.address, c.name);
+    let contract, decimals;
+    if (c.kind == "BEP20") {
+      contract = await hre.ethers.getContractAt(BEP20_ABI, address);
+      decimals = await contract.decimals();
+    } else if (c.kind == "CnydToken" || c.kind == "CnydAdmin") {
+      contract = await hre.ethers.getContractAt(c.kind, address);
+      const token = c.kind == "CnydAdmin" ? await hre.ethers.getContractAt("CnydToken", await contract.token()) : contract;
+      decimals = await token.decimals();
+    } else {
+      throw Error(`Unknown contract kind of ${c.name}: ${c.kind}, must be CnydToken|CnydAdmin|BEP20`);
+    }
+    loaded.push({ name: c.name, contract, decimals });
+  }
+  if (loaded.length == 0) {
+    throw Error(`No contract to monitor on network ${hre.network.name}`);
+  }
+  return loaded;
+}
+
+task("monitor", "Watch CnydToken, CnydAdmin and the BEP20 tokens, and deliver alerts for the events matching the rules")
+  .addParam("rules", "The JSON file of the contracts, alert rules and sinks")
+  .addOptionalParam("out", "The state directory of the checkpoint and delivered alerts, default ./.monitor/<network>")
+  .addOptionalParam("fromBlock", "The block to start from on the first run, default the next block", undefined, types.int)
+  .addOptionalParam("reorgDepth", "The number of recent blocks re-checked for reorgs", 12, types.int)
+  .addOptionalParam("pollInterval", "The interval to poll new blocks, in ms", 5000, types.int)
+  .addOptionalParam("once", "Whether to process the new blocks once and exit, e.g. from a cron job, true|false", false, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const rules = JSON.parse(fs.readFileSync(taskArgs.rules, "utf8"));
+    if (!rules.rules || rules.rules.length == 0) {
+      throw Error(`No rule in ${taskArgs.rules}`);
+    }
+    const contracts = await loadContracts(hre, rules.contracts);
+    const startBlock = taskArgs.fromBlock !== undefined ? taskArgs.fromBlock : await hre.ethers.provider.getBlockNumber() + 1;
+
+    const monitor = new Monitor({
+      provider: hre.ethers.provider,
+      contracts,
+      rules: rules.rules,
+      sinks: rules.sinks || [{ type: "console" }],
+      dir: taskArgs.out || `./.monitor/${hre.network.name}`,
+      startBlock,
+      reorgDepth: taskArgs.reorgDepth,
+    });
+    console.log(`Monitoring ${contracts.map(c => `${c.name} ${c.contract.address}`).join(", ")}`);
+
+    if (taskArgs.once) {
+      await monitor.sync();
+      return monitor;
+    }
+    process.once("SIGINT", () => monitor.stop());
+    console.log("Following new blocks, press Ctrl+C to stop");
+    await monitor.run(taskArgs.pollInterval);
+    return monitor;
+  });
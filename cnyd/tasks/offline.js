@@ -0,0 +1,145 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { checkAddress } = require("./utils");
+const { loadAdmin, checkApprovable, checkApprover } = require("./proposal");
+
+/**
+ * Offline signing flow for approver actions:
+ *   1. `buildApproveTx` builds the unsigned transaction on an online machine
+ *   2. `signTx` signs it on the offline machine holding the approver key
+ *   3. `broadcastTx` sends the signed transaction from an online machine
+ */
+
+const toJson = (value) => JSON.stringify(value, (key, v) =>
+  v && v.type == "BigNumber" ? ethers.BigNumber.from(v.hex).toString() : v, 2) + "\n";
+
+function parsedArgs(e) {
+  const args = {};
+  e.eventFragment.inputs.forEach((input, i) => { args[input.name] = e.args[i].toString(); });
+  return args;
+}
+
+async function populateApproveCall(hre, admin, taskArgs, from) {
+  const id = taskArgs.id;
+  switch (taskArgs.action) {
+    case "mint": {
+      await checkApprover(admin, from);
+      const [proposal, data] = await admin.getMintProposal(id);
+      await checkApprovable(hre, admin, "mint", id, proposal, from);
+      return admin.populateTransaction.approveMint(id, taskArgs.approved, data.to, data.amount);
+    }
+    case "burn": {
+      await checkApprover(admin, from);
+      const [proposal, amount] = await admin.getBurnProposal(id);
+      await checkApprovable(hre, admin, "burn", id, proposal, from);
+      return admin.populateTransaction.approveBurn(id, taskArgs.approved, amount);
+    }
+    case "approver": {
+      await checkApprover(admin, from);
+      const [proposal, data] = await admin.getApproverProposal(id);
+      await checkApprovable(hre, admin, "approver", id, proposal, from);
+      return admin.populateTransaction.approveApprover(id, data.index, data.newApprover);
+    }
+    default:
+      throw Error(`Invalid action: ${taskArgs.action}`);
+  }
+}
+
+function describeCall(hre, tx) {
+  const iface = hre.artifacts.readArtifactSync("CnydAdmin").abi;
+  const parsed = new hre.ethers.utils.Interface(iface).parseTransaction({ data: tx.data });
+  const args = parsed.functionFragment.inputs.map((input, i) => `${input.name}=${parsed.args[i].toString()}`);
+  return `CnydAdmin(${tx.to}).${parsed.name}(${args.join(", ")})`;
+}
+
+task("buildApproveTx", "Build an unsigned approveMint|approveBurn|approveApprover transaction for offline signing")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("action", "The proposal to approve, mint|burn|approver")
+  .addParam("id", "The ID of the proposal", undefined, types.int)
+  .addParam("from", "The approver address who will sign the transaction")
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addParam("out", "The file to write the unsigned transaction to")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const from = checkAddress(taskArgs.from, "from");
+    const { admin } = await loadAdmin(hre, { admin: taskArgs.admin, signer: from });
+    const call = await populateApproveCall(hre, admin, taskArgs, from);
+
+    const provider = hre.ethers.provider;
+    const tx = {
+      to: call.to,
+      data: call.data,
+      value: 0,
+      chainId: (await provider.getNetwork()).chainId,
+      nonce: await provider.getTransactionCount(from, "pending"),
+      gasLimit: (await provider.estimateGas({ from, to: call.to, data: call.data })).mul(120).div(100),
+    };
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas) {
+      tx.type = 2;
+      tx.maxFeePerGas = feeData.maxFeePerGas;
+      tx.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    } else {
+      tx.gasPrice = feeData.gasPrice;
+    }
+
+    const unsigned = { from, description: describeCall(hre, tx), tx };
+    fs.writeFileSync(taskArgs.out, toJson(unsigned));
+    console.log("Unsigned transaction written to:", taskArgs.out);
+    console.log(unsigned.description);
+    return unsigned;
+  });
+
+task("signTx", "Sign an unsigned transaction file, no network access needed")
+  .addParam("in", "The unsigned transaction file built by buildApproveTx")
+  .addParam("out", "The file to write the signed transaction to")
+  .addOptionalParam("keyEnv", "The env variable holding the private key of the signer", "PRIVATE_KEY")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const unsigned = JSON.parse(fs.readFileSync(taskArgs.in, "utf8"));
+    const privateKey = process.env[taskArgs.keyEnv];
+    if (!privateKey) {
+      throw Error(`env "${taskArgs.keyEnv}" not set`);
+    }
+    const wallet = new hre.ethers.Wallet(privateKey);
+    if (wallet.address != unsigned.from) {
+      throw Error(`The private key is of ${wallet.address}, but the transaction is to be signed by ${unsigned.from}`);
+    }
+    const description = describeCall(hre, unsigned.tx);
+    if (description != unsigned.description) {
+      throw Error(`The transaction data does not match its description: ${unsigned.description}`);
+    }
+
+    console.log("Sign:", description);
+    const signedTx = await wallet.signTransaction(unsigned.tx);
+    const signed = { ...unsigned, hash: hre.ethers.utils.keccak256(signedTx), signedTx };
+    fs.writeFileSync(taskArgs.out, toJson(signed));
+    console.log("Signed transaction written to:", taskArgs.out);
+    return signed;
+  });
+
+task("broadcastTx", "Broadcast a signed transaction file and print the emitted events")
+  .addParam("in", "The signed transaction file built by signTx")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const signed = JSON.parse(fs.readFileSync(taskArgs.in, "utf8"));
+    const parsedTx = hre.ethers.utils.parseTransaction(signed.signedTx);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (parsedTx.chainId != chainId) {
+      throw Error(`The transaction is signed for chain ${parsedTx.chainId}, but network ${hre.network.name} is chain ${chainId}`);
+    }
+
+    console.log("Broadcast:", signed.description);
+    const receipt = await (await hre.ethers.provider.sendTransaction(signed.signedTx)).wait();
+    console.log("Transaction mined:", receipt.transactionHash, "block:", receipt.blockNumber);
+
+    const admin = await hre.ethers.getContractAt("CnydAdmin", parsedTx.to);
+    const events = receipt.logs
+      .filter(log => log.address == admin.address)
+      .map(log => admin.interface.parseLog(log));
+    for (const e of events) {
+      console.log(`event ${e.name}:`, parsedArgs(e));
+    }
+    return { receipt, events };
+  });
@@ -0,0 +1,174 @@
+const { task, types } = require("hardhat/config");
+const { SAFE_PARAM, checkAddress, getSigner } = require("./utils");
+const { loadOwnedAdmin } = require("./proposal");
+const { resolveAddress } = require("amax-hardhat-common/deployment");
+const { sendOrExportCalls } = require("amax-hardhat-common/safe");
+
+/**
+ * Returns the CnydAdmin governing `token`, or undefined when the token admin is
+ * an account, e.g. the deployer before the handover or a Safe.
+ */
+async function getGoverningAdmin(hre, token, signer) {
+  const admin = await token.admin();
+  if (await hre.ethers.provider.getCode(admin) == "0x") return undefined;
+  const cnydAdmin = await hre.ethers.getContractAt("CnydAdmin", admin, signer);
+  try {
+    return await cnydAdmin.token() == token.address ? cnydAdmin : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Returns `{ contract, owner }`, the contract to send the admin calls of `token`
+ * to and the account that must send them: CnydToken and its admin, or the
+ * governing CnydAdmin and its owner. Unless exporting a Safe batch, the owner
+ * must be the signer.
+ */
+async function getTokenAdmin(hre, token, signer, safe) {
+  const cnydAdmin = await getGoverningAdmin(hre, token, signer);
+  const [contract, owner] = cnydAdmin ? [cnydAdmin, await cnydAdmin.owner()] : [token.connect(signer), await token.admin()];
+  if (!safe && owner != signer.address) {
+    throw Error(`${signer.address} is neither the admin of CnydToken nor the owner of its CnydAdmin ${await token.admin()}`);
+  }
+  return { contract, owner };
+}
+
+async function loadToken(hre, taskArgs) {
+  const signer = await getSigner(hre, taskArgs.signer);
+  const address = checkAddress(resolveAddress(hre, taskArgs.token, "CnydToken"), "token");
+  return { signer, token: await hre.ethers.getContractAt("CnydToken", address, signer) };
+}
+
+task("setProposer", "Enable or disable a proposer of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("account", "The proposer address")
+  .addOptionalParam("enabled", "Whether to enable or disable the proposer, true|false", true, types.boolean)
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin, owner } = await loadOwnedAdmin(hre, taskArgs);
+    const account = checkAddress(taskArgs.account, "proposer");
+    if (await admin.proposers(account) == taskArgs.enabled) {
+      throw Error(`The proposer ${account} is already ${taskArgs.enabled ? "enabled" : "disabled"}`);
+    }
+    return sendOrExportCalls(hre, [{ contract: admin, method: "setProposer", args: [account, taskArgs.enabled] }],
+      { safe: taskArgs.safe, owner, name: "CnydAdmin setProposer" });
+  });
+
+task("setProposalDuration", "Set how long the proposals of CnydAdmin can be approved")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("duration", "The proposal duration in second", undefined, types.int)
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    if (taskArgs.duration <= 0) {
+      throw Error(`Invalid duration: ${taskArgs.duration}`);
+    }
+    const { admin, owner } = await loadOwnedAdmin(hre, taskArgs);
+    return sendOrExportCalls(hre, [{ contract: admin, method: "setProposalDuration", args: [taskArgs.duration] }],
+      { safe: taskArgs.safe, owner, name: "CnydAdmin setProposalDuration" });
+  });
+
+task("proposeTokenOwner", "Propose a new owner of CnydToken through CnydAdmin, e.g. a new CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("newOwner", "The proposed owner address")
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin, owner } = await loadOwnedAdmin(hre, taskArgs);
+    const newOwner = checkAddress(taskArgs.newOwner, "new owner");
+    return sendOrExportCalls(hre, [{ contract: admin, method: "proposeTokenOwner", args: [newOwner] }],
+      { safe: taskArgs.safe, owner, name: "CnydAdmin proposeTokenOwner" });
+  });
+
+task("setFeeTimelock", "Set the fee timelock of CnydAdmin before its init, then it's changed by the proposeFeeChange task")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("timelock", "The fee timelock in seconds", undefined, types.int)
+  .addOptionalParam("signer", "The signer address, default the first account")
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const signer = await getSigner(hre, taskArgs.signer);
+    const adminAddress = checkAddress(resolveAddress(hre, taskArgs.admin, "CnydAdmin"), "admin");
+    const admin = await hre.ethers.getContractAt("CnydAdmin", adminAddress, signer);
+    if (await admin.isInit()) {
+      throw Error(`CnydAdmin ${admin.address} is init, propose the timelock by the proposeFeeChange task`);
+    }
+    const maxTimelock = await admin.MAX_FEE_TIMELOCK();
+    if (taskArgs.timelock < 0 || maxTimelock.lt(taskArgs.timelock)) {
+      throw Error(`Invalid timelock: ${taskArgs.timelock}, must be in 0..${maxTimelock}`);
+    }
+    const owner = await admin.owner();
+    if (!taskArgs.safe && owner != signer.address) {
+      throw Error(`The signer ${signer.address} is not the owner ${owner} of CnydAdmin, export a Safe batch by --safe`);
+    }
+    return sendOrExportCalls(hre, [{ contract: admin, method: "setFeeTimelock", args: [taskArgs.timelock] }],
+      { safe: taskArgs.safe, owner, name: "CnydAdmin setFeeTimelock" });
+  });
+
+task("forceTransfer", "Force a transfer of CNYD from an account, directly or through its CnydAdmin, e.g. to recover frozen funds")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addParam("from", "The account to transfer from")
+  .addParam("to", "The recipient address")
+  .addParam("amount", "The amount to transfer, in CNYD")
+  .addOptionalParam("signer", "The signer address, default the first account")
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, token } = await loadToken(hre, taskArgs);
+    const from = checkAddress(taskArgs.from, "from");
+    const to = checkAddress(taskArgs.to, "to");
+    const amount = hre.ethers.utils.parseUnits(taskArgs.amount, await token.decimals());
+    const balance = await token.balanceOf(from);
+    if (amount.lte(0) || amount.gt(balance)) {
+      throw Error(`Invalid amount: ${taskArgs.amount}, must be positive and at most the balance of ${from}`);
+    }
+    const { contract, owner } = await getTokenAdmin(hre, token, signer, taskArgs.safe);
+    return sendOrExportCalls(hre, [{ contract, method: "forceTransfer", args: [from, to, amount] }],
+      { safe: taskArgs.safe, owner, name: "CnydToken forceTransfer" });
+  });
+
+function pauseTask(name, paused) {
+  task(name, `${paused ? "Pause" : "Unpause"} CnydToken, directly or through its CnydAdmin`)
+    .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+    .addOptionalParam("signer", "The signer address, default the first account")
+    .addOptionalParam("safe", SAFE_PARAM)
+    .setAction(async (taskArgs, hre) => {
+      console.log("args: ", taskArgs)
+      const { signer, token } = await loadToken(hre, taskArgs);
+      if (await token.paused() == paused) {
+        throw Error(`CnydToken is already ${paused ? "paused" : "unpaused"}`);
+      }
+      const { contract, owner } = await getTokenAdmin(hre, token, signer, taskArgs.safe);
+      return sendOrExportCalls(hre, [{ contract, method: name }], { safe: taskArgs.safe, owner, name: `CnydToken ${name}` });
+    });
+}
+
+pauseTask("pause", true);
+pauseTask("unpause", false);
+
+task("setAdminFeeRatio", "Set the admin fee ratio of CnydToken by its admin, before CnydAdmin takes it over")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addParam("ratio", "The admin fee ratio, in ratioPrecision", undefined, types.int)
+  .addOptionalParam("signer", "The signer address, default the first account")
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, token } = await loadToken(hre, taskArgs);
+    const precision = await token.ratioPrecision();
+    if (taskArgs.ratio < 0 || precision.lte(taskArgs.ratio)) {
+      throw Error(`Invalid ratio: ${taskArgs.ratio}, must be less than ${precision}`);
+    }
+    const cnydAdmin = await getGoverningAdmin(hre, token, signer);
+    if (cnydAdmin) {
+      throw Error(`CnydToken is governed by CnydAdmin ${cnydAdmin.address}, propose the ratio by the proposeFeeChange task`);
+    }
+    const { contract, owner } = await getTokenAdmin(hre, token, signer, taskArgs.safe);
+    return sendOrExportCalls(hre, [{ contract, method: "setAdminFeeRatio", args: [taskArgs.ratio] }],
+      { safe: taskArgs.safe, owner, name: "CnydToken setAdminFeeRatio" });
+  });
+
+module.exports = {
+  getTokenAdmin,
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { checkAddress, getSigner, getLatestTimestamp, printEvents } = require("./utils");
+const { resolveAddress } = require("amax-hardhat-common/deployment");
+const { signPermit, recoverPermitSigner } = require("../lib/permit");
+
+async function loadToken(hre, address, signer) {
+  return hre.ethers.getContractAt("CnydToken", checkAddress(resolveAddress(hre, address, "CnydToken"), "token"), signer);
+}
+
+/**
+ * Checks that the signed `permit` can be submitted by `relayer` now, and
+ * returns the reason if not.
+ */
+async function checkPermit(hre, token, permit, relayer) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (permit.chainId != chainId) {
+    return `The permit is signed for chain ${permit.chainId}, but network ${hre.network.name} is chain ${chainId}`;
+  }
+  if (permit.token != token.address) {
+    return `The permit is signed for token ${permit.token}, not ${token.address}`;
+  }
+  if (permit.spender != relayer) {
+    return `The permit is to spender ${permit.spender}, but the relayer is ${relayer}`;
+  }
+  const signer = recoverPermitSigner(permit, await token.name());
+  if (signer != permit.owner) {
+    return `The permit is signed by ${signer}, not the owner ${permit.owner}`;
+  }
+  const now = await getLatestTimestamp(hre);
+  if (permit.deadline < now) {
+    return `The permit expired at ${new Date(permit.deadline * 1000).toISOString()}`;
+  }
+  const nonce = await token.nonces(permit.owner);
+  if (!nonce.eq(permit.nonce)) {
+    return `The permit nonce ${permit.nonce} is not the current nonce ${nonce} of ${permit.owner}, it's used or outdated`;
+  }
+  if (await token.paused()) {
+    return "CnydToken is paused";
+  }
+  for (const account of [permit.owner, permit.spender]) {
+    if (await token.isAccountFrozen(account)) {
+      return `The account ${account} is frozen`;
+    }
+  }
+}
+
+task("signPermit", "Sign an EIP-2612 permit of CnydToken by a user, to be submitted by a relayer with the permitTransfer task")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addParam("spender", "The relayer address allowed to spend")
+  .addParam("value", "The allowance, in CNYD")
+  .addOptionalParam("validFor", "The seconds the permit is valid for", 3600, types.int)
+  .addParam("out", "The file to write the signed permit to")
+  .addOptionalParam("keyEnv", "The env variable holding the private key of the user", "PRIVATE_KEY")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const privateKey = process.env[taskArgs.keyEnv];
+    if (!privateKey) {
+      throw Error(`env "${taskArgs.keyEnv}" not set`);
+    }
+    const wallet = new hre.ethers.Wallet(privateKey, hre.ethers.provider);
+    const token = await loadToken(hre, taskArgs.token);
+    const value = hre.ethers.utils.parseUnits(taskArgs.value, await token.decimals());
+    const deadline = await getLatestTimestamp(hre) + taskArgs.validFor;
+
+    const permit = await signPermit(wallet, token, { spender: checkAddress(taskArgs.spender, "spender"), value, deadline });
+    fs.writeFileSync(taskArgs.out, JSON.stringify(permit, null, 2) + "\n");
+    console.log(`Permit of ${taskArgs.value} CNYD by ${permit.owner} to ${permit.spender}, nonce ${permit.nonce}, `
+      + `valid until ${new Date(deadline * 1000).toISOString()}, written to: ${taskArgs.out}`);
+    return permit;
+  });
+
+task("permitTransfer", "Submit a signed permit and transfer from the user by the relayer, who pays the gas")
+  .addParam("in", "The signed permit file built by signPermit")
+  .addParam("to", "The recipient address")
+  .addOptionalParam("amount", "The amount to send, in CNYD, the fee is deducted from it, default the permit value")
+  .addOptionalParam("signer", "The relayer address, the permit spender, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const permit = JSON.parse(fs.readFileSync(taskArgs.in, "utf8"));
+    const relayer = await getSigner(hre, taskArgs.signer);
+    const token = await loadToken(hre, permit.token, relayer);
+    const decimals = await token.decimals();
+    const to = checkAddress(taskArgs.to, "to");
+    const amount = taskArgs.amount === undefined ? hre.ethers.BigNumber.from(permit.value)
+      : hre.ethers.utils.parseUnits(taskArgs.amount, decimals);
+
+    const problem = await checkPermit(hre, token, permit, relayer.address);
+    if (problem) {
+      throw Error(problem);
+    }
+    if (amount.gt(permit.value)) {
+      throw Error(`The amount ${taskArgs.amount} exceeds the permit value ${hre.ethers.utils.formatUnits(permit.value, decimals)}`);
+    }
+    if (await token.isAccountFrozen(to)) {
+      throw Error(`The recipient ${to} is frozen`);
+    }
+    const balance = await token.balanceOf(permit.owner);
+    if (balance.lt(amount)) {
+      throw Error(`Insufficient balance of ${permit.owner}: ${hre.ethers.utils.formatUnits(balance, decimals)}`);
+    }
+
+    const [receivedAmount, feeAmount] = await token.getReceivedAmount(permit.owner, to, amount);
+    console.log(`Transfer ${hre.ethers.utils.formatUnits(amount, decimals)} CNYD from ${permit.owner} to ${to}, `
+      + `received ${hre.ethers.utils.formatUnits(receivedAmount, decimals)}, fee ${hre.ethers.utils.formatUnits(feeAmount, decimals)}`);
+
+    console.log("Submit the permit ...");
+    const permitReceipt = await (await token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s)).wait();
+    printEvents(permitReceipt, "Approval");
+    console.log("Transfer from the user ...");
+    const transferReceipt = await (await token.transferFrom(permit.owner, to, amount)).wait();
+    printEvents(transferReceipt, "Transfer");
+    return { permitReceipt, transferReceipt, receivedAmount, feeAmount };
+  });
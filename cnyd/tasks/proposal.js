@@ -0,0 +1,609 @@
+const { task, types } = require("hardhat/config");
+const { SAFE_PARAM, checkAddress, getSigner, getLatestTimestamp, printEvents, readCsvRows } = require("./utils");
+const { sendOrExportCalls } = require("amax-hardhat-common/safe");
+const { getDeployment, resolveAddress } = require("amax-hardhat-common/deployment");
+const { PROPOSAL_KINDS, PROPOSAL_STATUSES, describeFeeChange, hashBatchMint } = require("../lib/proposals");
+
+async function loadAdmin(hre, taskArgs) {
+  const signer = await getSigner(hre, taskArgs.signer);
+  const adminAddress = checkAddress(resolveAddress(hre, taskArgs.admin, "CnydAdmin"), "admin");
+  const admin = await hre.ethers.getContractAt("CnydAdmin", adminAddress, signer);
+  if (!await admin.isInit()) {
+    throw Error(`CnydAdmin ${admin.address} is not init`);
+  }
+  const token = await hre.ethers.getContractAt("CnydToken", await admin.token(), signer);
+  const decimals = await token.decimals();
+  return { signer, admin, token, decimals };
+}
+
+/**
+ * Loads CnydAdmin and checks that the signer is its owner, unless exporting a Safe batch.
+ */
+async function loadOwnedAdmin(hre, taskArgs) {
+  const loaded = await loadAdmin(hre, taskArgs);
+  const owner = await loaded.admin.owner();
+  if (!taskArgs.safe && owner != loaded.signer.address) {
+    throw Error(`The signer ${loaded.signer.address} is not the owner ${owner} of CnydAdmin, export a Safe batch by --safe`);
+  }
+  return { ...loaded, owner };
+}
+
+/**
+ * Throws unless proposal `id` is a pending `kind` proposal that can still be
+ * approved by `approver` at the latest block.
+ */
+async function checkApprovable(hre, admin, kind, id, proposal, approver) {
+  if (PROPOSAL_KINDS[proposal.kind] != kind) {
+    throw Error(`No ${kind} proposal #${id}`);
+  }
+  if (PROPOSAL_STATUSES[proposal.status] == "expired") {
+    const expireTime = proposal.startTime.add(await admin.proposalDuration());
+    throw Error(`The ${kind} proposal #${id} expired at ${new Date(expireTime.toNumber() * 1000).toISOString()}`);
+  }
+  if (PROPOSAL_STATUSES[proposal.status] != "pending") {
+    throw Error(`The ${kind} proposal #${id} is ${PROPOSAL_STATUSES[proposal.status]}`);
+  }
+  if (proposal.approvers.includes(approver)) {
+    throw Error(`The ${kind} proposal #${id} has already been approved by ${approver}`);
+  }
+}
+
+async function checkProposer(admin, proposer) {
+  if (!await admin.proposers(proposer)) {
+    throw Error(`${proposer} is not a proposer`);
+  }
+}
+
+/**
+ * Prints the `eventName` events of a propose transaction and returns the new proposal ID.
+ */
+function printProposed(receipt, eventName) {
+  const [event] = printEvents(receipt, eventName);
+  console.log(`Proposal ID: ${event.args.id}`);
+  return event.args.id.toNumber();
+}
+
+async function getApprovers(admin) {
+  const count = await admin.APPROVER_COUNT();
+  const approvers = [];
+  for (let i = 0; i < count; i++) {
+    approvers.push(await admin.approvers(i));
+  }
+  return approvers;
+}
+
+async function checkApprover(admin, account) {
+  if (!(await getApprovers(admin)).includes(account)) {
+    throw Error(`${account} is not an approver`);
+  }
+}
+
+// the proposals read per call of queryProposals, except the pending and queued ones
+const PAGE_SIZE = 100;
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds % 3600 / 60);
+  return `${h}h ${m}m ${seconds % 60}s`;
+}
+
+/**
+ * Returns the proposals of CnydAdmin with their approval progress, optionally
+ * only those of `proposer` and in `status`, `all` for any status. Not every
+ * proposal of the history is read:
+ *   - pending: the latest ones back to the first expired, as the IDs are in the start order
+ *   - queued: the ones of the MintQueued and FeeQueued events since `fromBlock`,
+ *     default the deployment block of CnydAdmin
+ *   - else: a page of `limit` IDs from `fromId`, default the latest ones
+ */
+async function queryProposals(hre, admin, decimals, { proposer, status = "pending", fromId, limit = PAGE_SIZE, fromBlock } = {}) {
+  if (status != "all" && !PROPOSAL_STATUSES.includes(status)) {
+    throw Error(`Invalid status: ${status}`);
+  }
+  let ids;
+  if (proposer) {
+    ids = (await admin.getProposalIds(proposer)).map(id => id.toNumber());
+  } else {
+    const count = (await admin.proposalCount()).toNumber();
+    ids = Array.from({ length: count }, (_, i) => i + 1);
+  }
+  if (status == "queued") {
+    if (fromBlock === undefined) {
+      const deployment = getDeployment(hre, "CnydAdmin");
+      fromBlock = deployment && deployment.address == admin.address ? deployment.blockNumber : 0;
+    }
+    const queued = new Set();
+    for (const name of ["MintQueued", "FeeQueued"]) {
+      for (const e of await admin.queryFilter(admin.filters[name](), fromBlock)) {
+        queued.add(e.args.id.toNumber());
+      }
+    }
+    ids = ids.filter(id => queued.has(id));
+  } else if (status == "pending") {
+    ids.reverse();
+  } else {
+    const start = fromId === undefined ? Math.max(ids.length - limit, 0) : ids.findIndex(id => id >= fromId);
+    ids = start < 0 ? [] : ids.slice(start, start + limit);
+  }
+
+  const approvers = await getApprovers(admin);
+  const threshold = (await admin.APPROVED_THRESHOLD()).toNumber();
+  const duration = await admin.proposalDuration();
+  const now = await getLatestTimestamp(hre);
+  const formatAmount = (amount) => hre.ethers.utils.formatUnits(amount, decimals);
+
+  const proposals = [];
+  for (const id of ids) {
+    const proposal = await admin.getProposal(id);
+    // the older ones are expired too
+    if (status == "pending" && proposal.startTime.add(duration).lt(now)) break;
+    if (status != "all" && PROPOSAL_STATUSES[proposal.status] != status) continue;
+
+    const kind = PROPOSAL_KINDS[proposal.kind];
+    let target;
+    let amount;
+    let executeTime;
+    if (kind == "mint") {
+      const [, data] = await admin.getMintProposal(id);
+      [target, amount] = [data.to, formatAmount(data.amount)];
+      executeTime = data.executeTime.toNumber() || undefined;
+    } else if (kind == "batchMint") {
+      const [, data] = await admin.getBatchMintProposal(id);
+      [target, amount] = [`${data.count} recipients, hash ${data.hash}`, formatAmount(data.total)];
+      executeTime = data.executeTime.toNumber() || undefined;
+    } else if (kind == "burn") {
+      const [, burnAmount] = await admin.getBurnProposal(id);
+      [target, amount] = [await admin.token(), formatAmount(burnAmount)];
+    } else if (kind == "approver") {
+      const [, data] = await admin.getApproverProposal(id);
+      target = `approvers[${data.index}] = ${data.newApprover}`;
+    } else if (kind == "approverSet") {
+      const [, data] = await admin.getApproverSetProposal(id);
+      target = `${data.threshold} of ${data.newApprovers.join(" ")}`;
+    } else {
+      const [, data] = await admin.getFeeProposal(id);
+      target = describeFeeChange(data);
+      executeTime = data.executeTime.toNumber() || undefined;
+    }
+    const expireTime = proposal.startTime.add(duration).toNumber();
+    proposals.push({
+      id,
+      kind,
+      status: PROPOSAL_STATUSES[proposal.status],
+      proposer: proposal.proposer,
+      target,
+      amount,
+      signed: proposal.approvers,
+      missing: approvers.filter(a => !proposal.approvers.includes(a)),
+      // the signers no longer approvers don't count
+      required: Math.max(threshold - proposal.approvers.filter(a => approvers.includes(a)).length, 0),
+      expireTime,
+      timeLeft: Math.max(expireTime - now, 0),
+      executeTime,
+    });
+  }
+  return status == "pending" ? proposals.reverse() : proposals;
+}
+
+/**
+ * Reads a batch mint from a CSV file of `address,amount` rows, the amounts in
+ * CNYD and an optional header, and returns `{ tos, amounts, total, hash }`.
+ * Throws listing every invalid row by its line. A recipient listed twice is
+ * refused although the contract would mint to it twice, as it's likelier a
+ * copy-paste mistake than intended, the amounts are to be merged into one row.
+ */
+function readBatchMint(hre, file, decimals, maxSize) {
+  const rows = readCsvRows(file);
+  if (rows.length > 0 && rows[0][0].toLowerCase() == "address") rows.shift();
+  const tos = [];
+  const amounts = [];
+  const problems = [];
+  const seen = {};
+  rows.forEach(row => {
+    const [address, value] = row;
+    if (row.length != 2) {
+      problems.push(`line ${row.line}: expected address,amount`);
+    } else if (!hre.ethers.utils.isAddress(address) || hre.ethers.BigNumber.from(address).eq(0)) {
+      problems.push(`line ${row.line}: invalid address ${address}`);
+    } else {
+      const to = hre.ethers.utils.getAddress(address);
+      let amount;
+      try {
+        amount = hre.ethers.utils.parseUnits(value, decimals);
+      } catch (e) {
+        amount = undefined;
+      }
+      if (!amount || amount.lte(0)) {
+        problems.push(`line ${row.line}: invalid amount ${value}`);
+      } else if (seen[to]) {
+        problems.push(`line ${row.line}: duplicated address ${to} of line ${seen[to]}`);
+      } else {
+        seen[to] = row.line;
+        tos.push(to);
+        amounts.push(amount);
+      }
+    }
+  });
+  if (rows.length == 0) {
+    problems.push("no rows");
+  } else if (rows.length > maxSize) {
+    problems.push(`${rows.length} rows exceed the max batch size ${maxSize}, split the file`);
+  }
+  if (problems.length > 0) {
+    throw Error(`Invalid batch mint file ${file}:\n  ${problems.join("\n  ")}`);
+  }
+  const total = amounts.reduce((sum, amount) => sum.add(amount), hre.ethers.BigNumber.from(0));
+  return { tos, amounts, total, hash: hashBatchMint(tos, amounts) };
+}
+
+/**
+ * Returns the list of batch mint proposal `id`, from its BatchMintProposed event.
+ */
+async function getBatchMintList(admin, id) {
+  const [event] = await admin.queryFilter(admin.filters.BatchMintProposed(id));
+  if (!event) {
+    throw Error(`No BatchMintProposed event of #${id}, pass the proposed file by --csv`);
+  }
+  return { tos: event.args.tos, amounts: event.args.amounts };
+}
+
+task("proposeMint", "Propose to mint CNYD through CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("to", "The address to mint to")
+  .addParam("amount", "Amount to mint, in CNYD, e.g. 100.5")
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, decimals } = await loadAdmin(hre, taskArgs);
+    const to = checkAddress(taskArgs.to, "to");
+    const amount = hre.ethers.utils.parseUnits(taskArgs.amount, decimals);
+
+    await checkProposer(admin, signer.address);
+
+    console.log(`Propose to mint ${taskArgs.amount} CNYD to ${to} ...`);
+    const receipt = await (await admin.proposeMint(to, amount)).wait();
+    printProposed(receipt, "MintProposed");
+    return receipt;
+  });
+
+task("approveMint", "Approve or oppose a pending mint proposal of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the mint proposal", undefined, types.int)
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addOptionalParam("signer", "The approver address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, decimals } = await loadAdmin(hre, taskArgs);
+
+    await checkApprover(admin, signer.address);
+    const [proposal, data] = await admin.getMintProposal(taskArgs.id);
+    await checkApprovable(hre, admin, "mint", taskArgs.id, proposal, signer.address);
+
+    console.log(`${taskArgs.approved ? "Approve" : "Oppose"} mint #${taskArgs.id} of ${hre.ethers.utils.formatUnits(data.amount, decimals)} CNYD to ${data.to} ...`);
+    const receipt = await (await admin.approveMint(taskArgs.id, taskArgs.approved, data.to, data.amount)).wait();
+    printEvents(receipt, "MintApproved");
+    printEvents(receipt, "MintQueued");
+    printEvents(receipt, "MintExecuted");
+    return receipt;
+  });
+
+task("executeMint", "List the queued mint proposals of CnydAdmin and execute the matured ones")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("id", "Only execute the mint proposal of this ID", undefined, types.int)
+  .addOptionalParam("dryRun", "Only list the queued mints, without sending any transaction", false, types.boolean)
+  .addOptionalParam("signer", "The executor address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin, decimals } = await loadAdmin(hre, taskArgs);
+    const now = await getLatestTimestamp(hre);
+
+    const queued = (await queryProposals(hre, admin, decimals, { status: "queued" }))
+      .filter(p => p.kind == "mint" && (taskArgs.id === undefined || p.id == taskArgs.id));
+    if (taskArgs.id !== undefined && queued.length == 0) {
+      throw Error(`No queued mint proposal #${taskArgs.id}`);
+    }
+    if (queued.length == 0) {
+      console.log("No queued mints");
+      return [];
+    }
+    console.table(queued.map(p => ({
+      id: p.id,
+      to: p.target,
+      amount: p.amount,
+      executeTime: new Date(p.executeTime * 1000).toISOString(),
+      matured: p.executeTime <= now,
+    })));
+    if (!(await admin.mintCap()).eq(0)) {
+      console.log(`Mintable in the current period: ${hre.ethers.utils.formatUnits(await admin.mintableAmount(), decimals)} CNYD`);
+    }
+
+    const matured = queued.filter(p => p.executeTime <= now);
+    if (taskArgs.dryRun) {
+      console.log(`Dry run, ${matured.length} matured mints not executed`);
+      return [];
+    }
+    if (taskArgs.id !== undefined && matured.length == 0) {
+      throw Error(`The mint proposal #${taskArgs.id} is executable at ${new Date(queued[0].executeTime * 1000).toISOString()}`);
+    }
+    const receipts = [];
+    for (const p of matured) {
+      if ((await admin.mintableAmount()).lt(hre.ethers.utils.parseUnits(p.amount, decimals))) {
+        if (taskArgs.id !== undefined) {
+          throw Error(`The mint proposal #${p.id} exceeds the mint cap of the current period`);
+        }
+        console.log(`Skip mint #${p.id}, it exceeds the mint cap of the current period`);
+        continue;
+      }
+      console.log(`Execute mint #${p.id} of ${p.amount} CNYD to ${p.target} ...`);
+      const receipt = await (await admin.executeMint(p.id)).wait();
+      printEvents(receipt, "MintExecuted");
+      receipts.push(receipt);
+    }
+    return receipts;
+  });
+
+task("cancelMint", "Cancel a queued mint or batch mint proposal of CnydAdmin during its execution delay")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the mint proposal", undefined, types.int)
+  .addOptionalParam("signer", "The approver or owner address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin } = await loadAdmin(hre, taskArgs);
+    if (await admin.owner() != signer.address) {
+      await checkApprover(admin, signer.address);
+    }
+    const [proposal] = await admin.getMintProposal(taskArgs.id);
+    if (!["mint", "batchMint"].includes(PROPOSAL_KINDS[proposal.kind]) || PROPOSAL_STATUSES[proposal.status] != "queued") {
+      throw Error(`No queued mint proposal #${taskArgs.id}`);
+    }
+
+    console.log(`Cancel mint #${taskArgs.id} ...`);
+    const receipt = await (await admin.cancelMint(taskArgs.id)).wait();
+    printEvents(receipt, "MintCancelled");
+    return receipt;
+  });
+
+task("proposeBatchMint", "Propose to mint CNYD to the accounts of a CSV file in one proposal of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("csv", "The CSV file of address,amount rows, the amounts in CNYD")
+  .addOptionalParam("dryRun", "Only validate the file and print its hash, without proposing", false, types.boolean)
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, decimals } = await loadAdmin(hre, taskArgs);
+    const batch = readBatchMint(hre, taskArgs.csv, decimals, (await admin.MAX_BATCH_MINT_SIZE()).toNumber());
+    const total = hre.ethers.utils.formatUnits(batch.total, decimals);
+    console.log(`Batch mint of ${batch.tos.length} recipients, total ${total} CNYD`);
+    console.log(`Batch hash, to be confirmed by the approvers: ${batch.hash}`);
+    const mintCap = await admin.mintCap();
+    if (!mintCap.eq(0) && batch.total.gt(mintCap)) {
+      console.log(`Warning: the total exceeds the mint cap ${hre.ethers.utils.formatUnits(mintCap, decimals)} CNYD per period, it can not be executed`);
+    }
+    if (taskArgs.dryRun) {
+      return batch;
+    }
+
+    await checkProposer(admin, signer.address);
+    const receipt = await (await admin.proposeBatchMint(batch.tos, batch.amounts)).wait();
+    const [event] = receipt.events.filter(e => e.event === "BatchMintProposed");
+    console.log(`Proposal ID: ${event.args.id}`);
+    return { ...batch, id: event.args.id.toNumber(), receipt };
+  });
+
+task("approveBatchMint", "Approve or oppose a pending batch mint proposal of CnydAdmin by its hash")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the batch mint proposal", undefined, types.int)
+  .addParam("hash", "The batch hash printed by proposeBatchMint, confirmed against the proposal")
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addOptionalParam("signer", "The approver address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, decimals } = await loadAdmin(hre, taskArgs);
+
+    await checkApprover(admin, signer.address);
+    const [proposal, data] = await admin.getBatchMintProposal(taskArgs.id);
+    await checkApprovable(hre, admin, "batchMint", taskArgs.id, proposal, signer.address);
+    if (data.hash != taskArgs.hash.toLowerCase()) {
+      throw Error(`The hash ${taskArgs.hash} does not match the batch mint proposal #${taskArgs.id} of hash ${data.hash}`);
+    }
+
+    console.log(`${taskArgs.approved ? "Approve" : "Oppose"} batch mint #${taskArgs.id} of ${data.count} recipients, total ${hre.ethers.utils.formatUnits(data.total, decimals)} CNYD ...`);
+    const receipt = await (await admin.approveBatchMint(taskArgs.id, taskArgs.approved, data.hash)).wait();
+    printEvents(receipt, "BatchMintApproved");
+    printEvents(receipt, "MintQueued");
+    return receipt;
+  });
+
+task("executeBatchMint", "Execute a queued batch mint proposal of CnydAdmin once its delay has passed")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the batch mint proposal", undefined, types.int)
+  .addOptionalParam("csv", "The proposed CSV file, default the list of the BatchMintProposed event")
+  .addOptionalParam("signer", "The executor address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin, decimals } = await loadAdmin(hre, taskArgs);
+    const [proposal, data] = await admin.getBatchMintProposal(taskArgs.id);
+    if (PROPOSAL_KINDS[proposal.kind] != "batchMint" || PROPOSAL_STATUSES[proposal.status] != "queued") {
+      throw Error(`No queued batch mint proposal #${taskArgs.id}`);
+    }
+    if (data.executeTime.gt(await getLatestTimestamp(hre))) {
+      throw Error(`The batch mint proposal #${taskArgs.id} is executable at ${new Date(data.executeTime.toNumber() * 1000).toISOString()}`);
+    }
+    if ((await admin.mintableAmount()).lt(data.total)) {
+      throw Error(`The batch mint proposal #${taskArgs.id} exceeds the mint cap of the current period`);
+    }
+    const { tos, amounts } = taskArgs.csv
+      ? readBatchMint(hre, taskArgs.csv, decimals, (await admin.MAX_BATCH_MINT_SIZE()).toNumber())
+      : await getBatchMintList(admin, taskArgs.id);
+    if (hashBatchMint(tos, amounts) != data.hash) {
+      throw Error(`The batch does not match the hash ${data.hash} of proposal #${taskArgs.id}`);
+    }
+
+    console.log(`Execute batch mint #${taskArgs.id} of ${data.count} recipients, total ${hre.ethers.utils.formatUnits(data.total, decimals)} CNYD ...`);
+    const receipt = await (await admin.executeBatchMint(taskArgs.id, tos, amounts)).wait();
+    printEvents(receipt, "BatchMintExecuted");
+    return receipt;
+  });
+
+task("setMintLimit", "Set the per-period mint cap and the mint execution delay of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("period", "The cap period in second, e.g. 86400 for a daily cap", undefined, types.int)
+  .addOptionalParam("cap", "The amount to mint per period, in CNYD, 0 for no cap")
+  .addOptionalParam("delay", "The delay in second between the last approval and the mint, 0 for none", undefined, types.int)
+  .addOptionalParam("safe", SAFE_PARAM)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { admin, decimals, owner } = await loadOwnedAdmin(hre, taskArgs);
+    if ((taskArgs.period === undefined) != (taskArgs.cap === undefined)) {
+      throw Error("--period and --cap must be set together");
+    }
+    const calls = [];
+    if (taskArgs.cap !== undefined) {
+      const cap = hre.ethers.utils.parseUnits(taskArgs.cap, decimals);
+      if (!cap.eq(0) && taskArgs.period <= 0) {
+        throw Error(`Invalid period: ${taskArgs.period}`);
+      }
+      console.log(`Set the mint cap ${taskArgs.cap} CNYD per ${taskArgs.period} seconds`);
+      calls.push({ contract: admin, method: "setMintLimit", args: [taskArgs.period, cap] });
+    }
+    if (taskArgs.delay !== undefined) {
+      console.log(`Set the mint delay ${taskArgs.delay} seconds`);
+      calls.push({ contract: admin, method: "setMintDelay", args: [taskArgs.delay] });
+    }
+    const result = await sendOrExportCalls(hre, calls, { safe: taskArgs.safe, owner, name: "CnydAdmin setMintLimit" });
+    for (const receipt of result.receipts || []) {
+      printEvents(receipt, "MintLimitChanged");
+      printEvents(receipt, "MintDelayChanged");
+    }
+    return result;
+  });
+
+task("proposeBurn", "Propose to burn the CNYD held by CnydToken contract through CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("amount", "Amount to burn, in CNYD, e.g. 100.5")
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, token, decimals } = await loadAdmin(hre, taskArgs);
+    const amount = hre.ethers.utils.parseUnits(taskArgs.amount, decimals);
+
+    await checkProposer(admin, signer.address);
+    if ((await token.balanceOf(token.address)).lt(amount)) {
+      throw Error(`Burn amount exceeds the balance of CnydToken contract ${token.address}`);
+    }
+
+    console.log(`Propose to burn ${taskArgs.amount} CNYD ...`);
+    const receipt = await (await admin.proposeBurn(amount)).wait();
+    printProposed(receipt, "BurnProposed");
+    return receipt;
+  });
+
+task("approveBurn", "Approve or oppose a pending burn proposal of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the burn proposal", undefined, types.int)
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addOptionalParam("signer", "The approver address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin, decimals } = await loadAdmin(hre, taskArgs);
+
+    await checkApprover(admin, signer.address);
+    const [proposal, amount] = await admin.getBurnProposal(taskArgs.id);
+    await checkApprovable(hre, admin, "burn", taskArgs.id, proposal, signer.address);
+
+    console.log(`${taskArgs.approved ? "Approve" : "Oppose"} burn #${taskArgs.id} of ${hre.ethers.utils.formatUnits(amount, decimals)} CNYD ...`);
+    const receipt = await (await admin.approveBurn(taskArgs.id, taskArgs.approved, amount)).wait();
+    printEvents(receipt, "BurnApproved");
+    return receipt;
+  });
+
+task("proposeApproverSet", "Propose to replace the approver set and threshold of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("approvers", "Address array of the new approvers, JSON array format", undefined, types.json)
+  .addParam("threshold", "The number of approvals to execute a proposal", undefined, types.int)
+  .addOptionalParam("signer", "The proposer address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin } = await loadAdmin(hre, taskArgs);
+    const approvers = taskArgs.approvers.map(a => checkAddress(a, "approver"));
+    if (new Set(approvers).size != approvers.length) {
+      throw Error("Duplicated approvers");
+    }
+    if (taskArgs.threshold < 1 || taskArgs.threshold > approvers.length) {
+      throw Error(`Invalid threshold: ${taskArgs.threshold}, must be in 1..${approvers.length}`);
+    }
+
+    await checkProposer(admin, signer.address);
+
+    console.log(`Propose the approver set ${taskArgs.threshold} of ${approvers.join(" ")} ...`);
+    const receipt = await (await admin.proposeApproverSet(approvers, taskArgs.threshold)).wait();
+    printProposed(receipt, "ApproverSetProposed");
+    return receipt;
+  });
+
+task("approveApproverSet", "Approve or oppose a pending approver set proposal of CnydAdmin")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addParam("id", "The ID of the approver set proposal", undefined, types.int)
+  .addOptionalParam("approved", "Whether to approve the proposal, true|false", true, types.boolean)
+  .addOptionalParam("signer", "The approver address, default the first account")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const { signer, admin } = await loadAdmin(hre, taskArgs);
+
+    await checkApprover(admin, signer.address);
+    const [proposal, data] = await admin.getApproverSetProposal(taskArgs.id);
+    await checkApprovable(hre, admin, "approverSet", taskArgs.id, proposal, signer.address);
+
+    console.log(`${taskArgs.approved ? "Approve" : "Oppose"} the approver set #${taskArgs.id} ${data.threshold} of ${data.newApprovers.join(" ")} ...`);
+    const receipt = await (await admin.approveApproverSet(taskArgs.id, taskArgs.approved, data.newApprovers, data.threshold)).wait();
+    printEvents(receipt, "ApproverSetApproved");
+    printEvents(receipt, "ApprovedThresholdChanged");
+    return receipt;
+  });
+
+task("listProposals", "List the proposals of CnydAdmin, by default the pending ones")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("proposer", "Only list the proposals of this proposer")
+  .addOptionalParam("status", "Only list the proposals in this status, pending|queued|executed|rejected|expired|cancelled|all", "pending")
+  .addOptionalParam("fromId", "The first proposal ID of the page to list, except for the pending and queued ones, default the latest page", undefined, types.int)
+  .addOptionalParam("limit", "The number of proposal IDs of the page", PAGE_SIZE, types.int)
+  .addOptionalParam("format", "Output format, table|json", "table")
+  .setAction(async (taskArgs, hre) => {
+    if (!["table", "json"].includes(taskArgs.format)) {
+      throw Error(`Invalid format: ${taskArgs.format}`);
+    }
+    const { admin, decimals } = await loadAdmin(hre, taskArgs);
+    const proposer = taskArgs.proposer && checkAddress(taskArgs.proposer, "proposer");
+    const proposals = await queryProposals(hre, admin, decimals, {
+      proposer, status: taskArgs.status, fromId: taskArgs.fromId, limit: taskArgs.limit,
+    });
+
+    if (taskArgs.format == "json") {
+      console.log(JSON.stringify(proposals, null, 2));
+    } else if (proposals.length == 0) {
+      console.log("No proposals found");
+    } else {
+      console.table(proposals.map(p => ({
+        id: p.id,
+        kind: p.kind,
+        status: p.status,
+        proposer: p.proposer,
+        target: p.target,
+        amount: p.amount || "",
+        signed: p.signed.join(" "),
+        missing: `${p.required} of ${p.missing.join(" ")}`,
+        timeLeft: formatDuration(p.timeLeft),
+      })));
+    }
+    return proposals;
+  });
+
+module.exports = {
+  loadAdmin,
+  loadOwnedAdmin,
+  checkApprovable,
+  checkApprover,
+  checkProposer,
+  printProposed,
+  queryProposals,
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const { BigNumber } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { checkAddress } = require("./utils");
+const { getDeployment, resolveAddress } = require("amax-hardhat-common/deployment");
+const { reconcile } = require("../lib/reconcile");
+
+const AMOUNT_KEYS = ["minted", "burned", "approvedMinted", "approvedBurned", "fees", "forceTransferred"];
+
+function formatReport(report, format) {
+  return JSON.parse(JSON.stringify(report, (key, v) =>
+    v && v.type == "BigNumber" ? format(BigNumber.from(v.hex)) : v));
+}
+
+function toCsv(report) {
+  const lines = [["period", ...AMOUNT_KEYS].join(",")];
+  for (const p of report.periods) {
+    lines.push([p.period, ...AMOUNT_KEYS.map(k => p[k])].join(","));
+  }
+  lines.push("");
+  lines.push("item,value");
+  for (const key of ["fromBlock", "toBlock", "openingSupply", "closingSupply", ...AMOUNT_KEYS]) {
+    lines.push(`${key},${report[key]}`);
+  }
+  lines.push(`mismatches,${report.mismatches.length}`);
+  for (const m of report.mismatches) {
+    lines.push(`mismatch,"${m.replace(/"/g, '""')}"`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+task("reconcile", "Reconcile CnydToken supply, mints, burns and fees over a block range, fails when they don't tie out")
+  .addOptionalParam("token", "The address of CnydToken contract, default from the deployment manifest")
+  .addOptionalParam("admin", "The address of CnydAdmin contract, default from the deployment manifest, the proposal check is skipped without any")
+  .addOptionalParam("fromBlock", "The first block of the range, default the deploy block of CnydToken", undefined, types.int)
+  .addOptionalParam("toBlock", "The last block of the range, default the latest block", undefined, types.int)
+  .addOptionalParam("period", "The period to total by, day|month|none", "day")
+  .addOptionalParam("format", "The report format, json|csv", "json")
+  .addOptionalParam("out", "The file to write the report to, default stdout")
+  .setAction(async (taskArgs, hre) => {
+    if (!["json", "csv"].includes(taskArgs.format)) {
+      throw Error(`Invalid format: ${taskArgs.format}`);
+    }
+    const token = await hre.ethers.getContractAt("CnydToken", checkAddress(resolveAddress(hre, taskArgs.token, "CnydToken"), "token"));
+    const adminDeployment = getDeployment(hre, "CnydAdmin");
+    const adminAddress = taskArgs.admin || (adminDeployment && adminDeployment.address);
+    const admin = adminAddress && await hre.ethers.getContractAt("CnydAdmin", checkAddress(adminAddress, "admin"));
+    const decimals = await token.decimals();
+
+    let fromBlock = taskArgs.fromBlock;
+    if (fromBlock === undefined) {
+      const deployment = getDeployment(hre, "CnydToken");
+      fromBlock = deployment && deployment.address == token.address ? deployment.blockNumber : 0;
+    }
+    const toBlock = taskArgs.toBlock === undefined ? await hre.ethers.provider.getBlockNumber() : taskArgs.toBlock;
+
+    const report = await reconcile({ token, admin, fromBlock, toBlock, period: taskArgs.period });
+    const formatted = formatReport(report, amount => hre.ethers.utils.formatUnits(amount, decimals));
+    const output = taskArgs.format == "csv" ? toCsv(formatted) : JSON.stringify(formatted, null, 2) + "\n";
+    if (taskArgs.out) {
+      fs.writeFileSync(taskArgs.out, output);
+      console.log("Reconciliation report written to:", taskArgs.out);
+    } else {
+      process.stdout.write(output);
+    }
+
+    if (report.mismatches.length > 0) {
+      throw Error(`Reconciliation failed with ${report.mismatches.length} mismatches:\n  ${report.mismatches.join("\n  ")}`);
+    }
+    return report;
+  });
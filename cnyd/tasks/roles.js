@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { task } = require("hardhat/config");
+const { checkAddress, getProvider } = require("./utils");
+const { ROLES, OWNABLE_ABI, snapshotRoles, diffRoles } = require("../lib/roles");
+
+/**
+ * The expected-roles file, checked in and signed off by security, lists the
+ * deployments across chains and the holders of their privileged roles:
+ *
+ *   {
+ *     "deployments": [
+ *       {
+ *         "network": "goerli",             // a network of hardhat.config.js, default the current one
+ *         "contract": "CnydToken",         // CnydToken|CnydAdmin|Ownable, the latter for the BEP20/ERC20 tokens
+ *         "address": "0x...",
+ *         "fromBlock": 0,                  // the block to look up the change events from, e.g. the deployment block
+ *         "roles": {
+ *           "owner": "0x...", "admin": "0x...", "feeRecipient": "0x...", "feeWhitelist": ["0x..."],
+ *           "feeTiers": { "0x...": { "side": "sender", "ratio": 10 } }  // side sender|recipient|both
+ *         }
+ *       },
+ *       {
+ *         "network": "goerli", "contract": "CnydAdmin", "address": "0x...",
+ *         "roles": { "owner": "0x...", "token": "0x...", "approvers": ["0x...", "0x...", "0x..."], "threshold": 2, "proposers": ["0x..."] }
+ *       }
+ *     ]
+ *   }
+ *
+ * An omitted role is expected unset or empty, `proposedOwner` must always be unset.
+ * The checked-in file lists no deployment until security signs off the mainnet
+ * ones, the audit then reports nothing to audit and returns no result.
+ */
+const DEFAULT_EXPECTED = "expected-roles.json";
+
+async function loadContract(hre, kind, address, provider) {
+  const abi = kind == "Ownable" ? OWNABLE_ABI : (await hre.artifacts.readArtifact(kind)).abi;
+  return new ethers.Contract(address, abi, provider);
+}
+
+/**
+ * Checks that CnydToken and its CnydAdmin point at each other: the token owner
+ * and admin are the same account, and when that is a CnydAdmin, it governs the token.
+ */
+async function checkTokenAdminLink(hre, kind, contract, roles, provider) {
+  const problems = [];
+  if (kind == "CnydToken") {
+    if (roles.owner != roles.admin) {
+      problems.push(`owner ${roles.owner} and admin ${roles.admin} of the token differ`);
+    } else if (await provider.getCode(roles.owner) != "0x") {
+      const admin = await loadContract(hre, "CnydAdmin", roles.owner, provider);
+      const token = await admin.token();
+      if (token != contract.address) {
+        problems.push(`the token is owned by CnydAdmin ${roles.owner}, which governs token ${token}`);
+      }
+    }
+  } else if (kind == "CnydAdmin") {
+    const token = await loadContract(hre, "CnydToken", roles.token, provider);
+    const [owner, admin] = [await token.owner(), await token.admin()];
+    if (owner != contract.address || admin != contract.address) {
+      problems.push(`token ${roles.token} is owned by ${owner} and administered by ${admin}, not by this CnydAdmin`);
+    }
+  }
+  return problems;
+}
+
+task("auditRoles", "Rebuild the privileged roles of the deployments and diff them against the expected-roles file")
+  .addOptionalParam("expected", `The expected-roles JSON file, default ${DEFAULT_EXPECTED} of the project root`)
+  .addOptionalParam("format", "Output format, table|json", "table")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const file = taskArgs.expected || path.join(hre.config.paths.root, DEFAULT_EXPECTED);
+    if (!fs.existsSync(file)) {
+      throw Error(`Expected-roles file ${file} not found, pass it by --expected`);
+    }
+    const { deployments = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (deployments.length == 0) {
+      console.log(`No deployment listed in ${file}, nothing to audit`);
+      return [];
+    }
+
+    const results = [];
+    for (const d of deployments) {
+      if (!ROLES[d.contract]) {
+        throw Error(`Unknown contract ${d.contract} of ${d.address}, must be one of ${Object.keys(ROLES).join("|")}`);
+      }
+      const network = d.network || hre.network.name;
+      const provider = getProvider(hre, network);
+      const address = checkAddress(d.address, d.contract);
+      if (await provider.getCode(address) == "0x") {
+        results.push({ network, contract: d.contract, address, problems: [`no contract deployed on ${network}`] });
+        continue;
+      }
+      const contract = await loadContract(hre, d.contract, address, provider);
+      const roles = await snapshotRoles(d.contract, contract, d.fromBlock || 0);
+      const problems = diffRoles(d.contract, d.roles || {}, roles)
+        .concat(await checkTokenAdminLink(hre, d.contract, contract, roles, provider));
+      results.push({ network, contract: d.contract, address, roles, problems });
+    }
+
+    if (taskArgs.format == "json") {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const r of results) {
+        console.log(`${r.contract} ${r.address} on ${r.network}: ${r.problems.length == 0 ? "OK" : "DRIFT"}`);
+        for (const problem of r.problems) {
+          console.log(`  ${problem}`);
+        }
+      }
+    }
+
+    const drifted = results.filter(r => r.problems.length > 0);
+    if (drifted.length > 0) {
+      throw Error(`Role drift detected against ${file}:\n  ` + drifted
+        .flatMap(r => r.problems.map(p => `${r.contract} ${r.address} on ${r.network}: ${p}`)).join("\n  "));
+    }
+    return results;
+  });
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { SAFE_PARAM, getSigner } = require("./utils");
+const { queryProposals } = require("./proposal");
+const { checkUpgrade, snapshotAdmin } = require("../lib/upgrade");
+const { getContractLayout, getDeployment, moveDeployment, resolveAddress, saveDeployment } = require("amax-hardhat-common/deployment");
+const { sendOrExportCalls } = require("amax-hardhat-common/safe");
+
+const contractName = "CnydAdmin";
+// the manifest name of the new CnydAdmin until the migration completes
+const migrationName = "CnydAdminMigration";
+
+/**
+ * Returns the `{ abi, storageLayout }` of the deployed CnydAdmin at `address`,
+ * from the `baseline` file or else the deployment manifest.
+ */
+function loadOldLayout(hre, address, baseline) {
+  if (baseline) {
+    return JSON.parse(fs.readFileSync(baseline, "utf8"));
+  }
+  const deployment = getDeployment(hre, contractName);
+  if (!deployment || deployment.address != address || !deployment.storageLayout) {
+    throw Error(`The ABI and storage layout of ${contractName} ${address} are not in the deployment manifest, ` +
+      "generate a baseline with the contractLayout task from the deployed sources and pass it by --baseline");
+  }
+  return deployment;
+}
+
+function compareSnapshots(expected, actual) {
+  const problems = [];
+  for (const key of ["token", "approvers", "threshold", "proposers", "proposalDuration", "mintPeriod", "mintCap", "mintDelay", "feeTimelock"]) {
+    // a setting the old CnydAdmin predates keeps the default
+    if (expected[key] === undefined) continue;
+    if (JSON.stringify(expected[key]) != JSON.stringify(actual[key])) {
+      problems.push(`${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Applies the settings of the old CnydAdmin `snapshot` to the not yet init new one,
+ * as the fee timelock can't be set once init.
+ */
+async function configureAdmin(newAdmin, snapshot) {
+  if (!(await newAdmin.proposalDuration()).eq(snapshot.proposalDuration)) {
+    await (await newAdmin.setProposalDuration(snapshot.proposalDuration)).wait();
+  }
+  if (snapshot.mintCap !== undefined &&
+    (!(await newAdmin.mintPeriod()).eq(snapshot.mintPeriod) || !(await newAdmin.mintCap()).eq(snapshot.mintCap))) {
+    console.log(`Set the mint limit to ${snapshot.mintCap} per ${snapshot.mintPeriod}s ...`);
+    await (await newAdmin.setMintLimit(snapshot.mintPeriod, snapshot.mintCap)).wait();
+  }
+  if (snapshot.mintDelay !== undefined && !(await newAdmin.mintDelay()).eq(snapshot.mintDelay)) {
+    console.log(`Set the mint delay to ${snapshot.mintDelay}s ...`);
+    await (await newAdmin.setMintDelay(snapshot.mintDelay)).wait();
+  }
+  if (snapshot.feeTimelock !== undefined && !(await newAdmin.feeTimelock()).eq(snapshot.feeTimelock)) {
+    console.log(`Set the fee timelock to ${snapshot.feeTimelock}s ...`);
+    await (await newAdmin.setFeeTimelock(snapshot.feeTimelock)).wait();
+  }
+}
+
+task("contractLayout", "Write the ABI and storage layout of a compiled contract, as a baseline for migrateCnydAdmin")
+  .addOptionalParam("contract", "The contract name", contractName)
+  .addParam("out", "The JSON file to write")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    await hre.run("compile");
+    const layout = await getContractLayout(hre, taskArgs.contract);
+    fs.writeFileSync(taskArgs.out, JSON.stringify(layout, null, 2) + "\n");
+    console.log(`Layout of ${taskArgs.contract} written to: ${taskArgs.out}`);
+    return layout;
+  });
+
+task("migrateCnydAdmin", "Replace CnydAdmin by a newly deployed one, migrating its approvers, threshold, proposers, proposal duration, mint limit and delay, fee timelock and the token ownership")
+  .addOptionalParam("admin", "The address of the old CnydAdmin contract, default from the deployment manifest")
+  .addOptionalParam("baseline", "The ABI and storage layout JSON of the old CnydAdmin, see the contractLayout task, default from the deployment manifest")
+  .addOptionalParam("fromBlock", "The block to look up the proposers from, default the old CnydAdmin deployment block", undefined, types.int)
+  .addOptionalParam("dropPending", "Whether to migrate although proposals are pending or queued, they are lost and must be proposed again", false, types.boolean)
+  .addOptionalParam("resume", "Whether to resume an interrupted migration with the new CnydAdmin it deployed, instead of deploying one", false, types.boolean)
+  .addOptionalParam("dryRun", "Only check and print the snapshot, without sending any transaction", false, types.boolean)
+  .addOptionalParam("safe", SAFE_PARAM + ", the signer deploys and configures the new CnydAdmin, the Safe takes it and the token over")
+  .addOptionalParam("verify", "Whether to verify the new contract, true|false", false, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const signer = await getSigner(hre);
+    const oldAddress = resolveAddress(hre, taskArgs.admin, contractName);
+    const oldDeployment = getDeployment(hre, contractName);
+    const fromBlock = taskArgs.fromBlock !== undefined ? taskArgs.fromBlock
+      : oldDeployment && oldDeployment.address == oldAddress ? oldDeployment.blockNumber : 0;
+
+    // refuse breaking changes before touching anything
+    await hre.run("compile");
+    const oldLayout = loadOldLayout(hre, oldAddress, taskArgs.baseline);
+    const problems = checkUpgrade(oldLayout, await getContractLayout(hre, contractName));
+    if (problems.length > 0) {
+      throw Error(`Breaking changes of ${contractName}, refuse to migrate:\n  ${problems.join("\n  ")}`);
+    }
+
+    const oldAdmin = await hre.ethers.getContractAt(contractName, oldAddress, signer);
+    const snapshot = await snapshotAdmin(oldAdmin, fromBlock);
+    console.log("Snapshot of the old CnydAdmin:", snapshot);
+
+    if (!(await oldAdmin.isInit())) {
+      throw Error(`The old CnydAdmin ${oldAddress} is not initialized`);
+    }
+    const token = await hre.ethers.getContractAt("CnydToken", snapshot.token, signer);
+
+    let newAdmin;
+    let newDeployment = getDeployment(hre, migrationName);
+    if (taskArgs.resume) {
+      if (!newDeployment) {
+        throw Error(`No interrupted migration to resume, no ${migrationName} deployment found in the manifest`);
+      }
+      newAdmin = await hre.ethers.getContractAt(contractName, newDeployment.address, signer);
+    }
+    // the Safe executed the handover batch, only the verification is left
+    const handedOver = newAdmin && await newAdmin.isInit();
+
+    let pending = [];
+    if (!handedOver) {
+      if (!taskArgs.safe && snapshot.owner != signer.address) {
+        throw Error(`The signer ${signer.address} is not the owner of the old CnydAdmin, owner: ${snapshot.owner}, export a Safe batch by --safe`);
+      }
+      if (await token.owner() != oldAddress) {
+        throw Error(`The old CnydAdmin ${oldAddress} is not the owner of CnydToken ${snapshot.token}`);
+      }
+      // the queued ones are approved but executed later by the old CnydAdmin, which can't once it lost the token.
+      // Neither is re-created on the new CnydAdmin: the approvals are transactions of the approvers on the old
+      // one, which the owner can't replay in their name, so they are dropped and proposed and approved again.
+      const decimals = await token.decimals();
+      pending = (await queryProposals(hre, oldAdmin, decimals, { fromBlock }))
+        .concat(await queryProposals(hre, oldAdmin, decimals, { status: "queued", fromBlock }));
+      if (pending.length > 0) {
+        console.table(pending.map(p => ({ id: p.id, kind: p.kind, status: p.status, proposer: p.proposer, target: p.target, amount: p.amount })));
+        if (!taskArgs.dropPending) {
+          throw Error(`${pending.length} proposals are pending or queued on the old CnydAdmin, ` +
+            "approve, execute or cancel them or let them expire first, or pass --dropPending true");
+        }
+        console.log(`Dropping ${pending.length} pending or queued proposals, they must be proposed again on the new CnydAdmin`);
+      }
+      if (newAdmin && await newAdmin.owner() != signer.address) {
+        throw Error(`The new CnydAdmin ${newAdmin.address} is not owned by the signer ${signer.address}`);
+      }
+    }
+    if (taskArgs.dryRun) {
+      console.log("Dry run, no transaction sent");
+      return { snapshot, pending };
+    }
+
+    if (!newAdmin) {
+      console.log("Deploy the new CnydAdmin ...");
+      newAdmin = await (await hre.ethers.getContractFactory(contractName, signer)).deploy();
+      await newAdmin.deployed();
+      console.log("contract", contractName, "deployed to:", newAdmin.address);
+      newDeployment = await saveDeployment(hre, migrationName, newAdmin, [], contractName);
+    }
+
+    // the new CnydAdmin is fully configured before the init transaction hands the
+    // token over, until then the old one still governs and the migration resumes
+    if (!handedOver) {
+      try {
+        await configureAdmin(newAdmin, snapshot);
+        for (const proposer of snapshot.proposers) {
+          if (await newAdmin.proposers(proposer)) continue;
+          console.log("Enable proposer", proposer, "...");
+          await (await newAdmin.setProposer(proposer, true)).wait();
+        }
+        if (taskArgs.safe) {
+          // the Safe takes the new CnydAdmin and the token over in one batch
+          if (await newAdmin.proposedOwner() != snapshot.owner) {
+            console.log("Propose the old CnydAdmin owner as the owner of the new one ...");
+            await (await newAdmin.proposeOwner(snapshot.owner)).wait();
+          }
+          const { batch } = await sendOrExportCalls(hre, [
+            { contract: newAdmin, method: "takeOwnership" },
+            { contract: oldAdmin, method: "proposeTokenOwner", args: [newAdmin.address] },
+            { contract: newAdmin, method: "init", args: [snapshot.token, snapshot.approvers, snapshot.threshold] },
+          ], { safe: taskArgs.safe, owner: snapshot.owner, name: "CnydAdmin migration" });
+          console.log("Execute the batch by the Safe, then complete the migration by --resume true");
+          return { oldAdmin, newAdmin, snapshot, pending, batch };
+        }
+        if (await token.proposedOwner() != newAdmin.address) {
+          console.log("Propose the new CnydAdmin as the owner of CnydToken ...");
+          await (await oldAdmin.proposeTokenOwner(newAdmin.address)).wait();
+        }
+        console.log("Init the new CnydAdmin ...");
+        await (await newAdmin.init(snapshot.token, snapshot.approvers, snapshot.threshold)).wait();
+      } catch (e) {
+        throw Error(`Migration to ${newAdmin.address} interrupted before the handover, the old CnydAdmin still governs the token, ` +
+          `resume by --resume true: ${e.message}`);
+      }
+    }
+
+    const migrated = await snapshotAdmin(newAdmin, newDeployment.blockNumber);
+    const mismatches = compareSnapshots(snapshot, migrated);
+    if (migrated.owner != snapshot.owner) mismatches.push(`owner: expected ${snapshot.owner}, got ${migrated.owner}`);
+    if (await token.owner() != newAdmin.address) mismatches.push(`token owner: ${await token.owner()}`);
+    if (await token.admin() != newAdmin.address) mismatches.push(`token admin: ${await token.admin()}`);
+    if (mismatches.length > 0) {
+      throw Error(`Migration to ${newAdmin.address} incomplete:\n  ${mismatches.join("\n  ")}`);
+    }
+
+    moveDeployment(hre, migrationName, contractName);
+    console.log(`CnydAdmin migrated from ${oldAddress} to ${newAdmin.address}`);
+
+    if (taskArgs.verify) {
+      await hre.run("verify:verify", {
+        address: newAdmin.address,
+        constructorArguments: [],
+      });
+    }
+    return { oldAdmin, newAdmin, snapshot, pending };
+  });
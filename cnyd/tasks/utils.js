@@ -0,0 +1,148 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const SAFE_PARAM = "Write a Safe Transaction Builder batch to this JSON file instead of sending, for the Safe owner to execute";
+
+function checkAddress(address, name) {
+  if (!ethers.utils.isAddress(address)) {
+    throw Error(`Invalid ${name} address: ${address}`);
+  }
+  return ethers.utils.getAddress(address);
+}
+
+/**
+ * Returns the signer of `address`, or the first configured account when
+ * `address` is omitted.
+ */
+async function getSigner(hre, address) {
+  if (address) {
+    return hre.ethers.getSigner(checkAddress(address, "signer"));
+  }
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw Error(`No account configured for network ${hre.network.name}`);
+  }
+  return signer;
+}
+
+/**
+ * Returns the provider of the hardhat network `networkName`, which must be
+ * configured with a url unless it is the current network.
+ */
+function getProvider(hre, networkName) {
+  if (networkName == hre.network.name) {
+    return hre.ethers.provider;
+  }
+  const networkConfig = hre.config.networks[networkName];
+  if (!networkConfig || !networkConfig.url) {
+    throw Error(`Network ${networkName} is not configured with a url in hardhat.config.js`);
+  }
+  return new ethers.providers.JsonRpcProvider(networkConfig.url);
+}
+
+async function getLatestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Prints the decoded `eventName` events of a transaction receipt.
+ */
+function printEvents(receipt, eventName) {
+  const events = (receipt.events || []).filter(e => e.event === eventName);
+  for (const e of events) {
+    const args = {};
+    for (const key of Object.keys(e.args).filter(k => isNaN(k))) {
+      const value = e.args[key];
+      args[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    }
+    console.log(`event ${eventName}:`, args);
+  }
+  return events;
+}
+
+/**
+ * Reads a CSV file into rows of trimmed cells, skipping blank and `#` comment lines.
+ * A cell may be quoted as written by `csvCell`, with commas, line breaks and doubled
+ * quotes inside, and is kept as is. Every row has the 1-based `line` it starts at.
+ */
+function readCsvRows(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  row.line = line;
+  const endCell = () => {
+    row.push(quoted ? cell : cell.trim());
+    cell = "";
+    quoted = false;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c == '"' && text[i + 1] == '"') {
+        cell += c;
+        i++;
+      } else if (c == '"') {
+        inQuotes = false;
+      } else {
+        if (c == "\n") line++;
+        cell += c;
+      }
+    } else if (c == "#" && row.length == 0 && !quoted && cell.trim() == "") {
+      while (i + 1 < text.length && text[i + 1] != "\n") i++;
+    } else if (c == '"' && !quoted && cell.trim() == "") {
+      cell = "";
+      quoted = inQuotes = true;
+    } else if (c == ",") {
+      endCell();
+    } else if (c == "\n") {
+      endCell();
+      rows.push(row);
+      row = [];
+      row.line = ++line;
+    } else if (quoted && c.trim() != "") {
+      throw Error(`Invalid CSV file ${file}: unexpected ${c} after a quoted cell`);
+    } else if (!quoted && c != "\r") {
+      cell += c;
+    }
+  }
+  if (inQuotes) {
+    throw Error(`Invalid CSV file ${file}: unterminated quoted cell`);
+  }
+  endCell();
+  rows.push(row);
+  // blank and comment lines
+  return rows.filter(r => r.length > 1 || r[0] != "");
+}
+
+function csvCell(value) {
+  const text = value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes `records` as JSON, or as CSV when `file` ends with `.csv`.
+ */
+function writeRecords(file, records) {
+  if (file.endsWith(".csv")) {
+    const keys = [...new Set(records.flatMap(r => Object.keys(r)))];
+    const lines = records.map(r => keys.map(k => csvCell(r[k])).join(","));
+    fs.writeFileSync(file, [keys.join(","), ...lines].join("\n") + "\n");
+  } else {
+    fs.writeFileSync(file, JSON.stringify(records, null, 2) + "\n");
+  }
+}
+
+module.exports = {
+  SAFE_PARAM,
+  checkAddress,
+  getSigner,
+  getProvider,
+  getLatestTimestamp,
+  printEvents,
+  readCsvRows,
+  writeRecords,
+};
@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const adminFee = require("../lib/adminFee");
+
+const B = BigNumber.from;
+
+describe("AdminFee lib", function () {
+  let accounts;
+  let owner;
+  let feeRecipient;
+  let users;
+
+  let cnydToken;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    feeRecipient = accounts[1];
+    users = accounts.slice(2, 5);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+  });
+
+  async function expectSameAsContract(from, to, amounts) {
+    const feeState = await adminFee.loadFeeState(cnydToken, [from, to]);
+    for (const amount of amounts) {
+      const [receivedAmount, feeAmount] = await cnydToken.getReceivedAmount(from, to, amount);
+      expect(adminFee.getReceivedAmount(feeState, from, to, amount)).to.deep.equal({ receivedAmount, feeAmount });
+      const [sentAmount, sentFeeAmount] = await cnydToken.getSentAmount(from, to, amount);
+      expect(adminFee.getSentAmount(feeState, from, to, amount)).to.deep.equal({ sentAmount, feeAmount: sentFeeAmount });
+    }
+  }
+
+  it("test quotes match the contract", async function () {
+    const amounts = [1, 49, 50, 51, 9999, 10000, 1020_408163, B(2).pow(128)];
+
+    // no fee recipient, no fee
+    await cnydToken.setAdminFeeRatio(200);
+    await expectSameAsContract(users[0].address, users[1].address, amounts);
+
+    await cnydToken.setFeeRecipient(feeRecipient.address);
+    for (const ratio of [1, 200, 333, 5000, 9999]) {
+      await cnydToken.setAdminFeeRatio(ratio);
+      await expectSameAsContract(users[0].address, users[1].address, amounts);
+    }
+
+    await cnydToken.addFeeWhitelist([users[1].address]);
+    await expectSameAsContract(users[0].address, users[1].address, amounts);
+    await expectSameAsContract(users[1].address, users[2].address, amounts);
+  });
+
+  it("test sent amount round trip", async function () {
+    const feeState = { adminFeeRatio: 200, feeRecipient: feeRecipient.address, feeWhitelist: [] };
+    for (let receivedAmount = 1; receivedAmount < 10000; receivedAmount++) {
+      const { sentAmount } = adminFee.getSentAmount(feeState, users[0].address, users[1].address, receivedAmount);
+      expect(adminFee.getReceivedAmount(feeState, users[0].address, users[1].address, sentAmount).receivedAmount).equal(receivedAmount);
+    }
+  });
+
+  it("test quoteTransfer task", async function () {
+    await cnydToken.setFeeRecipient(feeRecipient.address);
+    await cnydToken.setAdminFeeRatio(200);
+
+    const { local, mismatch } = await hre.run("quoteTransfer", {
+      token: cnydToken.address, from: users[0].address, to: users[1].address, receive: "1000",
+    });
+    expect(mismatch).equal(false);
+    expect(local.sentAmount).equal(1020_408163);
+    expect(local.feeAmount).equal(20_408163);
+
+    const quote = await hre.run("quoteTransfer", {
+      token: cnydToken.address, from: users[0].address, to: users[1].address, send: "1020.408163",
+    });
+    expect(quote.mismatch).equal(false);
+    expect(quote.local.receivedAmount).equal(1000_000000);
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { diffRoles } = require("../lib/roles");
+
+describe("Audit roles task", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+  let feeRecipient;
+
+  let token;
+  let admin;
+  let ownable;
+  let dir;
+  let file;
+
+  function expectedRoles() {
+    return {
+      deployments: [
+        {
+          network: "hardhat",
+          contract: "CnydToken",
+          address: token.address,
+          roles: {
+            owner: admin.address,
+            admin: admin.address,
+            feeRecipient: feeRecipient.address,
+            feeWhitelist: [users[0].address],
+            feeTiers: { [users[1].address]: { side: "sender", ratio: 10 } },
+          },
+        },
+        {
+          contract: "CnydAdmin",
+          address: admin.address,
+          roles: {
+            owner: owner.address,
+            token: token.address,
+            approvers: approvers.map(a => a.address),
+            threshold: 3,
+            proposers: [proposers[0].address],
+          },
+        },
+        { contract: "Ownable", address: ownable.address, roles: { owner: users[2].address } },
+      ],
+    };
+  }
+
+  async function audit(expected) {
+    fs.writeFileSync(file, JSON.stringify(expected));
+    let error;
+    const results = await hre.run("auditRoles", { expected: file }).catch(e => { error = e; });
+    return { results, error };
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+    feeRecipient = accounts[12];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+    file = path.join(dir, "expected-roles.json");
+
+    const CnydToken = await ethers.getContractFactory("CnydToken");
+    token = await CnydToken.connect(owner).deploy();
+    await token.setFeeRecipient(feeRecipient.address);
+    await token.addFeeWhitelist([users[0].address, users[1].address]);
+    await token.delFeeWhitelist([users[1].address]);
+    await token.setFeeTiers([users[1].address, users[2].address], 1, 10);
+    await token.setFeeTiers([users[2].address], 0, 0);
+
+    admin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    await token.proposeOwner(admin.address);
+    await admin.init(token.address, approvers.map(a => a.address), approvers.length);
+    await admin.setProposer(proposers[0].address, true);
+    await admin.setProposer(proposers[1].address, true);
+    await admin.setProposer(proposers[1].address, false);
+
+    // stands in for a BEP20/ERC20 token
+    ownable = await CnydToken.connect(owner).deploy();
+    await ownable.proposeOwner(users[2].address);
+    await ownable.connect(users[2]).takeOwnership();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("test auditRoles matches the expected roles", async function () {
+    const { results, error } = await audit(expectedRoles());
+    expect(error).equal(undefined);
+    expect(results.map(r => r.problems)).to.deep.equal([[], [], []]);
+    expect(results[0].roles.feeWhitelist).to.deep.equal([users[0].address]);
+    expect(results[0].roles.feeTiers).to.deep.equal({ [users[1].address]: { side: "sender", ratio: 10 } });
+    expect(results[1].roles.proposers).to.deep.equal([proposers[0].address]);
+    expect(results[1].network).equal("hardhat");
+  });
+
+  it("test auditRoles detects drift", async function () {
+    await admin.setProposer(proposers[2].address, true);
+    await admin.proposeOwner(users[1].address);
+    const expected = expectedRoles();
+    delete expected.deployments[0].roles.feeRecipient;
+    expected.deployments[0].roles.feeTiers = { [users[1].address.toLowerCase()]: { side: "both", ratio: 10 }, [users[0].address]: { side: "recipient", ratio: 5 } };
+    expected.deployments[2].roles.owner = users[1].address;
+
+    const { error } = await audit(expected);
+    expect(error.message).to.contain("Role drift detected");
+    expect(error.message).to.contain(`CnydToken ${token.address} on hardhat: feeRecipient: unexpected holder ${feeRecipient.address}`);
+    expect(error.message).to.contain(`CnydToken ${token.address} on hardhat: feeTiers: ${users[1].address} expected both 10, got sender 10`);
+    expect(error.message).to.contain(`CnydToken ${token.address} on hardhat: feeTiers: missing expected holder ${users[0].address}, recipient 5`);
+    expect(error.message).to.contain(`CnydAdmin ${admin.address} on hardhat: proposers: unexpected holder ${proposers[2].address}`);
+    expect(error.message).to.contain(`CnydAdmin ${admin.address} on hardhat: proposedOwner: pending ownership transfer to ${users[1].address}`);
+    expect(error.message).to.contain(`Ownable ${ownable.address} on hardhat: owner: unexpected holder ${users[2].address}`);
+  });
+
+  it("test auditRoles detects a token and admin mismatch", async function () {
+    await admin.proposeTokenOwner(owner.address);
+    await token.connect(owner).takeOwnership();
+    const expected = expectedRoles();
+    expected.deployments[0].roles.owner = owner.address;
+
+    const { error } = await audit(expected);
+    expect(error.message).to.contain(`owner ${owner.address} and admin ${admin.address} of the token differ`);
+    expect(error.message).to.contain(`token ${token.address} is owned by ${owner.address} and administered by ${admin.address}, not by this CnydAdmin`);
+  });
+
+  it("test auditRoles without deployments", async function () {
+    let { results, error } = await audit({ deployments: [] });
+    expect(error).equal(undefined);
+    expect(results).to.deep.equal([]);
+    ({ results, error } = await audit({}));
+    expect(results).to.deep.equal([]);
+
+    // the checked-in file lists none yet
+    expect(await hre.run("auditRoles")).to.deep.equal([]);
+
+    error = undefined;
+    await hre.run("auditRoles", { expected: path.join(dir, "missing.json") }).catch(e => { error = e; });
+    expect(error.message).to.contain(`Expected-roles file ${path.join(dir, "missing.json")} not found`);
+  });
+
+  it("test diffRoles", async function () {
+    const [a, b, c] = users.map(u => u.address);
+    const zero = ethers.constants.AddressZero;
+    expect(diffRoles("Ownable", { owner: a.toLowerCase() }, { owner: a, proposedOwner: zero })).to.deep.equal([]);
+
+    const actual = { owner: a, proposedOwner: zero, token: c, approvers: [c, b], threshold: 1, proposers: [] };
+    expect(diffRoles("CnydAdmin", { owner: a, token: c, approvers: [a, b], threshold: 2, extra: a }, actual)).to.deep.equal([
+      `approvers: unexpected holder ${c}`,
+      `approvers: missing expected holder ${a}`,
+      "threshold: expected 2, got 1",
+      "extra: not a role of CnydAdmin",
+    ]);
+    // the threshold is only checked when expected
+    expect(diffRoles("CnydAdmin", { owner: a, token: c, approvers: [b, c] }, actual)).to.deep.equal([]);
+
+    const token = { owner: a, proposedOwner: zero, admin: a, feeRecipient: zero, feeWhitelist: [], feeTiers: { [b]: { side: "both", ratio: 20 } } };
+    expect(diffRoles("CnydToken", { owner: a, admin: a }, token)).to.deep.equal([`feeTiers: unexpected holder ${b}, both 20`]);
+    expect(diffRoles("CnydToken", { owner: a, admin: a, feeTiers: { [b.toLowerCase()]: { side: "both", ratio: 20 } } }, token)).to.deep.equal([]);
+  });
+});
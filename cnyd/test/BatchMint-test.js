@@ -0,0 +1,239 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const { hashBatchMint } = require("../lib/proposals");
+
+const B = BigNumber.from;
+
+async function expectRejected(promise, message) {
+  let error;
+  await promise.catch(e => { error = e; });
+  expect(error, `expected to be rejected with "${message}"`).to.be.an("error");
+  expect(error.message).to.include(message);
+}
+
+describe("Batch mint", function () {
+  // global variants
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  // distinct recipient addresses, without funding any account
+  const recipients = (count) => Array.from({ length: count },
+    (_, i) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(0x1000 + i), 20)));
+
+  async function approveAll(id, hash) {
+    let receipt;
+    for (const approver of approvers) {
+      receipt = await (await cnydAdmin.connect(approver).approveBatchMint(id, true, hash)).wait();
+    }
+    return receipt;
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("test batch mint proposal", async function () {
+    const tos = users.map(u => u.address);
+    const amounts = [B(100_000000), B(200_000000), B(300_500000)];
+    const hash = hashBatchMint(tos, amounts);
+
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts))
+      .to.emit(cnydAdmin, "BatchMintProposed").withArgs(1, proposers[0].address, hash, tos, amounts, 600_500000);
+    const [proposal, data] = await cnydAdmin.getBatchMintProposal(1);
+    expect(proposal.kind).equal(6);
+    expect(data.hash).equal(hash);
+    expect(data.count).equal(3);
+    expect(data.total).equal(600_500000);
+
+    const wrongHash = hashBatchMint(tos, [B(100_000000), B(200_000000), B(300_000000)]);
+    await expect(cnydAdmin.connect(approvers[0]).approveBatchMint(1, true, wrongHash))
+      .to.be.revertedWith("MintProposal: proposal data mismatch");
+    await expect(cnydAdmin.connect(approvers[0]).approveMint(1, true, tos[0], amounts[0]))
+      .to.be.revertedWith("MintProposal: proposal is not approvable");
+    await expect(cnydAdmin.connect(approvers[0]).approveBatchMint(1, true, hash))
+      .to.emit(cnydAdmin, "BatchMintApproved").withArgs(1, approvers[0].address, proposers[0].address, true, hash, 600_500000);
+    await expect(cnydAdmin.connect(approvers[0]).approveBatchMint(1, true, hash))
+      .to.be.revertedWith("MintProposal: approver has already approved");
+    await cnydAdmin.connect(approvers[1]).approveBatchMint(1, true, hash);
+    // queued at the last approval, nothing minted yet
+    await expect(cnydAdmin.connect(approvers[2]).approveBatchMint(1, true, hash)).to.emit(cnydAdmin, "MintQueued");
+    expect((await cnydAdmin.getProposal(1)).status).equal(5);
+    expect(await cnydToken.totalSupply()).equal(0);
+
+    // anyone executes with the proposed list
+    await expect(cnydAdmin.connect(users[0]).executeBatchMint(1, tos.slice(1), amounts.slice(1)))
+      .to.be.revertedWith("MintProposal: proposal data mismatch");
+    await expect(cnydAdmin.connect(users[0]).executeMint(1)).to.be.revertedWith("MintProposal: proposal is not queued");
+    await expect(cnydAdmin.connect(users[0]).executeBatchMint(1, tos, amounts))
+      .to.emit(cnydAdmin, "BatchMintExecuted").withArgs(1, hash, 3, 600_500000);
+    for (let i = 0; i < tos.length; i++) {
+      expect(await cnydToken.balanceOf(tos[i])).equal(amounts[i]);
+    }
+    expect((await cnydAdmin.getProposal(1)).status).equal(2);
+    await expect(cnydAdmin.executeBatchMint(1, tos, amounts)).to.be.revertedWith("MintProposal: proposal is not queued");
+
+    // an opposed batch is rejected
+    await cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts);
+    await cnydAdmin.connect(approvers[0]).approveBatchMint(2, false, hash);
+    expect((await cnydAdmin.getProposal(2)).status).equal(3);
+  });
+
+  it("test invalid batch mint proposals", async function () {
+    const tos = users.map(u => u.address);
+    await expect(cnydAdmin.connect(users[0]).proposeBatchMint(tos, [1, 2, 3]))
+      .to.be.revertedWith("Governable: caller is not a proposer");
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint([], []))
+      .to.be.revertedWith("MintProposal: invalid batch length");
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, [1, 2]))
+      .to.be.revertedWith("MintProposal: invalid batch length");
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint([tos[0], ethers.constants.AddressZero], [1, 2]))
+      .to.be.revertedWith("MintProposal: zero account not allowed");
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, [1, 0, 3]))
+      .to.be.revertedWith("MintProposal: zero amount not allowed");
+  });
+
+  it("test batch mint delay, cap and cancel", async function () {
+    const tos = users.map(u => u.address);
+    const amounts = [B(400_000000), B(300_000000), B(300_000000)];
+    const hash = hashBatchMint(tos, amounts);
+    await cnydAdmin.setMintDelay(600);
+    await cnydAdmin.setMintLimit(86400, 1500_000000);
+
+    await cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts);
+    await approveAll(1, hash);
+    await expect(cnydAdmin.executeBatchMint(1, tos, amounts)).to.be.revertedWith("MintProposal: delay not passed");
+    await network.provider.send("evm_increaseTime", [600]);
+    await network.provider.send("evm_mine");
+
+    // the total counts against the cap
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 600_000000);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(2, true, users[0].address, 600_000000);
+    }
+    await network.provider.send("evm_increaseTime", [600]);
+    await cnydAdmin.executeMint(2);
+    await expect(cnydAdmin.executeBatchMint(1, tos, amounts)).to.be.revertedWith("MintProposal: mint cap exceeded");
+    await cnydAdmin.setMintLimit(86400, 1600_000000);
+    await cnydAdmin.executeBatchMint(1, tos, amounts);
+    expect(await cnydAdmin.mintableAmount()).equal(0);
+
+    // cancelled during the delay
+    await cnydAdmin.setMintLimit(0, 0);
+    await cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts);
+    await approveAll(3, hash);
+    await expect(cnydAdmin.connect(users[0]).cancelMint(3)).to.be.revertedWith("Governable: caller is not an approver or owner");
+    await expect(cnydAdmin.connect(approvers[0]).cancelMint(3)).to.emit(cnydAdmin, "MintCancelled").withArgs(3, approvers[0].address);
+    await network.provider.send("evm_increaseTime", [600]);
+    await expect(cnydAdmin.executeBatchMint(3, tos, amounts)).to.be.revertedWith("MintProposal: proposal is not queued");
+  });
+
+  it("test large batch within the gas limit", async function () {
+    const max = (await cnydAdmin.MAX_BATCH_MINT_SIZE()).toNumber();
+    const tos = recipients(max + 1);
+    const amounts = tos.map((_, i) => B(i + 1).mul(1_000000));
+    await expect(cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts))
+      .to.be.revertedWith("MintProposal: batch too large");
+
+    tos.pop();
+    amounts.pop();
+    const hash = hashBatchMint(tos, amounts);
+    const proposed = await (await cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts)).wait();
+    // approving costs the same for any batch size
+    const approved = await approveAll(1, hash);
+    const executed = await (await cnydAdmin.executeBatchMint(1, tos, amounts)).wait();
+
+    const { gasLimit } = await ethers.provider.getBlock("latest");
+    console.log(`gas of ${max} recipients: propose ${proposed.gasUsed}, approve ${approved.gasUsed}, execute ${executed.gasUsed}, block gas limit ${gasLimit}`);
+    expect(approved.gasUsed).lt(200_000);
+    for (const receipt of [proposed, executed]) {
+      expect(receipt.gasUsed).lt(gasLimit.div(2));
+    }
+    expect(await cnydToken.totalSupply()).equal(B(max * (max + 1) / 2).mul(1_000000));
+    expect(await cnydToken.balanceOf(tos[max - 1])).equal(B(max).mul(1_000000));
+  });
+
+  it("test batch mint tasks", async function () {
+    const csv = path.join(dir, "mint.csv");
+    const write = (lines) => fs.writeFileSync(csv, ["address,amount", ...lines].join("\n"));
+    const adminArgs = { admin: cnydAdmin.address };
+
+    write(["# the lines are reported by their number in the file", `${users[0].address},1`, "0x1234,2", `${users[1].address},0`, `${users[2].address},abc`,
+      `${users[0].address.toLowerCase()},3`, `${ethers.constants.AddressZero},4`, `${users[1].address}`,
+      `"${users[2].address}","1,000"`]);
+    await expectRejected(hre.run("proposeBatchMint", { ...adminArgs, csv, signer: proposers[0].address }),
+      [
+        `Invalid batch mint file ${csv}:`,
+        "  line 4: invalid address 0x1234",
+        "  line 5: invalid amount 0",
+        "  line 6: invalid amount abc",
+        `  line 7: duplicated address ${users[0].address} of line 3`,
+        `  line 8: invalid address ${ethers.constants.AddressZero}`,
+        "  line 9: expected address,amount",
+        "  line 10: invalid amount 1,000",
+      ].join("\n"));
+    fs.writeFileSync(csv, recipients(201).map(to => `${to},1`).join("\n"));
+    await expectRejected(hre.run("proposeBatchMint", { ...adminArgs, csv }), "201 rows exceed the max batch size 200, split the file");
+
+    // quoted cells as written by `writeRecords`
+    write([`${users[0].address},100.5`, ` "${users[1].address}" , "20"`, `# a "comment`, `${users[2].address},0.000001`]);
+    const tos = users.map(u => u.address);
+    const amounts = [B(100_500000), B(20_000000), B(1)];
+    const hash = hashBatchMint(tos, amounts);
+    const dryRun = await hre.run("proposeBatchMint", { ...adminArgs, csv, dryRun: true });
+    expect(dryRun.hash).equal(hash);
+    expect(dryRun.total).equal(120_500001);
+    expect(await cnydAdmin.proposalCount()).equal(0);
+    await expectRejected(hre.run("proposeBatchMint", { ...adminArgs, csv, signer: users[0].address }), `${users[0].address} is not a proposer`);
+
+    const { id } = await hre.run("proposeBatchMint", { ...adminArgs, csv, signer: proposers[0].address });
+    expect(id).equal(1);
+    const [proposed] = await hre.run("listProposals", { ...adminArgs });
+    expect(proposed).to.deep.include({ kind: "batchMint", target: `3 recipients, hash ${hash}`, amount: "120.500001" });
+
+    const approve = (approver, args = {}) => hre.run("approveBatchMint", { ...adminArgs, id, hash, signer: approver.address, ...args });
+    await expectRejected(approve(approvers[0], { hash: dryRun.hash.replace(/.$/, "0") }), "does not match the batch mint proposal #1");
+    await expectRejected(hre.run("approveMint", { ...adminArgs, id, signer: approvers[0].address }), "No mint proposal #1");
+    await expectRejected(hre.run("executeBatchMint", { ...adminArgs, id }), "No queued batch mint proposal #1");
+    for (const approver of approvers) {
+      await approve(approver);
+    }
+    await expectRejected(approve(approvers[0]), "The batchMint proposal #1 is queued");
+
+    // a different file is refused
+    const other = path.join(dir, "other.csv");
+    fs.writeFileSync(other, `${users[0].address},100.5\n${users[1].address},20`);
+    await expectRejected(hre.run("executeBatchMint", { ...adminArgs, id, csv: other }), `The batch does not match the hash ${hash} of proposal #1`);
+    // the list is recovered from the proposal event
+    const receipt = await hre.run("executeBatchMint", { ...adminArgs, id });
+    expect(receipt.events.filter(e => e.event === "BatchMintExecuted")).length(1);
+    for (let i = 0; i < tos.length; i++) {
+      expect(await cnydToken.balanceOf(tos[i])).equal(amounts[i]);
+    }
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Bootstrap task", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let feeRecipient;
+
+  let cnydToken;
+  let cnydAdmin;
+  let configFile;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 7);
+    feeRecipient = accounts[8];
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-")), "bootstrap.yml");
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(configFile), { recursive: true, force: true });
+  });
+
+  const writeConfig = (adminFeeRatio) => fs.writeFileSync(configFile, [
+    `token: "${cnydToken.address}"`,
+    `admin: "${cnydAdmin.address}"`,
+    "approvers:",
+    ...approvers.map(a => `  - "${a.address}"`),
+    "proposers:",
+    ...proposers.map(a => `  - "${a.address}"`),
+    "proposalDuration: 7200",
+    `feeRecipient: "${feeRecipient.address}"`,
+    `adminFeeRatio: ${adminFeeRatio}`,
+  ].join("\n"));
+
+  it("test bootstrap and resume", async function () {
+    // the fee recipient is set, then the fee ratio fails before CnydAdmin takes over
+    writeConfig(10000);
+    let error;
+    await hre.run("bootstrapCnyd", { file: configFile }).catch(e => { error = e; });
+    expect(error.message).to.include("exceeds the max admin fee ratio");
+    expect(await cnydToken.owner()).equal(owner.address);
+    expect(await cnydToken.feeRecipient()).equal(feeRecipient.address);
+
+    writeConfig(20);
+    let report = await hre.run("bootstrapCnyd", { file: configFile });
+    expect(report.every(r => r.ok)).equal(true);
+    expect(await cnydToken.owner()).equal(cnydAdmin.address);
+    expect(await cnydToken.adminFeeRatio()).equal(20);
+    expect(await cnydAdmin.proposers(proposers[1].address)).equal(true);
+    expect(await cnydAdmin.proposalDuration()).equal(7200);
+    expect(await cnydAdmin.approvers(2)).equal(approvers[2].address);
+
+    // nothing is sent on resume
+    const blockNumber = await ethers.provider.getBlockNumber();
+    await hre.run("bootstrapCnyd", { file: configFile });
+    expect(await ethers.provider.getBlockNumber()).equal(blockNumber);
+
+    // CnydAdmin changes the fee only through proposals
+    writeConfig(30);
+    error = undefined;
+    await hre.run("bootstrapCnyd", { file: configFile }).catch(e => { error = e; });
+    expect(error.message).to.include("propose the admin fee ratio by the proposeFeeChange task");
+    expect(await cnydToken.adminFeeRatio()).equal(20);
+  });
+
+  it("test bootstrap with JSON config", async function () {
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    const jsonFile = configFile.replace(/yml$/, "json");
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      token: cnydToken.address,
+      admin: cnydAdmin.address,
+      approvers: approvers.map(a => a.address),
+    }));
+
+    const report = await hre.run("bootstrapCnyd", { file: jsonFile });
+    expect(report.every(r => r.ok)).equal(true);
+    expect(await cnydToken.admin()).equal(cnydAdmin.address);
+  });
+});
@@ -8,6 +8,10 @@ const { ethers } = require("hardhat");
 
 const B = BigNumber.from;
 
+// ProposalKind and ProposalStatus of Governable
+const [MINT, BURN, APPROVER] = [1, 2, 3];
+const [PENDING, EXECUTED, REJECTED, EXPIRED, QUEUED] = [1, 2, 3, 4, 5];
+
 describe("CnydAdmin", function () {
   // global variants
   let accounts;    
@@ -51,13 +55,22 @@ describe("CnydAdmin", function () {
     await cnydToken.proposeOwner(cnydAdmin.address);
     expect(await cnydToken.proposedOwner()).equal(cnydAdmin.address);
 
-    await cnydAdmin.init(cnydToken.address, initApprovers);
+    await cnydAdmin.init(cnydToken.address, initApprovers, 3);
     expect(await cnydToken.owner()).equal(cnydAdmin.address);
 
     await cnydAdmin.connect(owner).setProposer(proposers[0].address, true);
     expect(await cnydAdmin.proposers(proposers[0].address)).equal(true);
   });
 
+  async function approveFee(id, signers = approvers) {
+    const [, data] = await cnydAdmin.getFeeProposal(id);
+    let receipt;
+    for (const approver of signers) {
+      receipt = await (await cnydAdmin.connect(approver).approveFee(id, true, data.action, data.ratio, data.recipient, data.accounts)).wait();
+    }
+    return receipt;
+  }
+
   it("test Mint and Burn Proposal", async function () {
 
     const proposeMintReceipt = await (await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 10000_000000)).wait(1);
@@ -66,16 +79,21 @@ describe("CnydAdmin", function () {
 
     let blockTime = B((await ethers.provider.getBlock(proposeMintReceipt.blockNumber)).timestamp);
 
-    expect(proposeMintReceipt.events[0].args).to.deep.equal([proposers[0].address, users[0].address, B(10000_000000)]);
-    expect(await cnydAdmin.getMintProposal(proposers[0].address)).to.deep.equal([users[0].address, B(10000_000000), blockTime, []]);
-    await cnydAdmin.connect(approvers[0]).approveMint(proposers[0].address, true, users[0].address, 10000_000000);
-    await cnydAdmin.connect(approvers[1]).approveMint(proposers[0].address, true, users[0].address, 10000_000000);
-    expect((await cnydAdmin.getMintProposal(proposers[0].address))[3]).to.deep.equal([approvers[0].address, approvers[1].address]);
+    expect(proposeMintReceipt.events[0].args).to.deep.equal([B(1), proposers[0].address, users[0].address, B(10000_000000)]);
+    expect(await cnydAdmin.proposalCount()).equal(1);
+    expect(await cnydAdmin.getProposalIds(proposers[0].address)).to.deep.equal([B(1)]);
+    expect(await cnydAdmin.getMintProposal(1)).to.deep.equal([
+      [MINT, PENDING, proposers[0].address, blockTime, []], [users[0].address, B(10000_000000), B(0)]]);
+    await cnydAdmin.connect(approvers[0]).approveMint(1, true, users[0].address, 10000_000000);
+    await cnydAdmin.connect(approvers[1]).approveMint(1, true, users[0].address, 10000_000000);
+    expect((await cnydAdmin.getProposal(1)).approvers).to.deep.equal([approvers[0].address, approvers[1].address]);
 
     const mintApproveReceipt = await (await cnydAdmin.connect(approvers[2]).approveMint(
-        proposers[0].address, true, users[0].address, 10000_000000)).wait();
+        1, true, users[0].address, 10000_000000)).wait();
 
     expect(mintApproveReceipt.events[0].event).to.equal('MintApproved');
+    expect(mintApproveReceipt.events[0].args.id).equal(1);
+    expect((await cnydAdmin.getProposal(1)).status).equal(EXECUTED);
     expect(await cnydToken.balanceOf(users[0].address)).equal(10000_000000);
     expect(await cnydToken.totalSupply()).equal(10000_000000);
 
@@ -88,17 +106,17 @@ describe("CnydAdmin", function () {
     const proposeBurnReceipt = await (await cnydAdmin.connect(proposers[0]).proposeBurn(100_000000)).wait(1);
     expect(proposeBurnReceipt.events.length).to.equal(1);
     expect(proposeBurnReceipt.events[0].event).to.equal('BurnProposed');
-    expect(proposeBurnReceipt.events[0].args).to.deep.equal([proposers[0].address, B(100_000000)]);
+    expect(proposeBurnReceipt.events[0].args).to.deep.equal([B(2), proposers[0].address, B(100_000000)]);
 
     blockTime = B((await ethers.provider.getBlock(proposeBurnReceipt.blockNumber)).timestamp);
 
-    expect(await cnydAdmin.getBurnProposal(proposers[0].address)).to.deep.equal([B(100_000000), blockTime, []]);
-    await cnydAdmin.connect(approvers[0]).approveBurn(proposers[0].address, true, 100_000000);
-    await cnydAdmin.connect(approvers[1]).approveBurn(proposers[0].address, true, 100_000000);
-    expect((await cnydAdmin.getBurnProposal(proposers[0].address))[2]).to.deep.equal([approvers[0].address, approvers[1].address]);
+    expect(await cnydAdmin.getBurnProposal(2)).to.deep.equal([[BURN, PENDING, proposers[0].address, blockTime, []], B(100_000000)]);
+    await cnydAdmin.connect(approvers[0]).approveBurn(2, true, 100_000000);
+    await cnydAdmin.connect(approvers[1]).approveBurn(2, true, 100_000000);
+    expect((await cnydAdmin.getProposal(2)).approvers).to.deep.equal([approvers[0].address, approvers[1].address]);
 
     const burnApproveReceipt = await (await cnydAdmin.connect(approvers[2]).approveBurn(
-        proposers[0].address, true, 100_000000)).wait();
+        2, true, 100_000000)).wait();
 
     expect(burnApproveReceipt.events[0].event).to.equal('BurnApproved');
     expect(await cnydToken.balanceOf(cnydToken.address)).equal(900_000000);
@@ -117,20 +135,74 @@ describe("CnydAdmin", function () {
 
     let blockTime = B((await ethers.provider.getBlock(proposeApproverReceipt.blockNumber)).timestamp);
 
-    expect(proposeApproverReceipt.events[0].args).to.deep.equal([proposers[0].address, B(2), users[0].address]);
-    expect(await cnydAdmin.getApproverProposal(proposers[0].address)).to.deep.equal([B(2), users[0].address, blockTime, []]);
-    await cnydAdmin.connect(approvers[0]).approveApprover(proposers[0].address, B(2), users[0].address);
-    await cnydAdmin.connect(approvers[1]).approveApprover(proposers[0].address, B(2), users[0].address);
-    expect((await cnydAdmin.getApproverProposal(proposers[0].address))[3]).to.deep.equal([approvers[0].address, approvers[1].address]);
+    expect(proposeApproverReceipt.events[0].args).to.deep.equal([B(1), proposers[0].address, B(2), users[0].address]);
+    expect(await cnydAdmin.getApproverProposal(1)).to.deep.equal([
+      [APPROVER, PENDING, proposers[0].address, blockTime, []], [B(2), users[0].address]]);
+    await cnydAdmin.connect(approvers[0]).approveApprover(1, B(2), users[0].address);
+    await cnydAdmin.connect(approvers[1]).approveApprover(1, B(2), users[0].address);
+    expect((await cnydAdmin.getProposal(1)).approvers).to.deep.equal([approvers[0].address, approvers[1].address]);
 
-    const approveReceipt = await (await cnydAdmin.connect(owner).approveApprover(
-        proposers[0].address, B(2), users[0].address)).wait();
+    await expect(cnydAdmin.connect(owner).approveApprover(1, B(2), users[0].address))
+      .to.be.revertedWith("Governable: caller is not an approver");
+    const approveReceipt = await (await cnydAdmin.connect(approvers[2]).approveApprover(
+        1, B(2), users[0].address)).wait();
 
     expect(approveReceipt.events[0].event).to.equal('ApproverApproved');
     expect(await cnydAdmin.approvers(2)).equal(users[0].address);
   });
 
 
+  it("test concurrent proposals", async function () {
+
+    await cnydAdmin.connect(owner).setProposer(proposers[1].address, true);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 100_000000);
+    await cnydAdmin.connect(proposers[1]).proposeMint(users[1].address, 200_000000);
+    await expect(cnydAdmin.connect(proposers[0]).proposeMint(users[2].address, 300_000000))
+      .to.emit(cnydAdmin, "MintProposed").withArgs(3, proposers[0].address, users[2].address, 300_000000);
+    expect(await cnydAdmin.getProposalIds(proposers[0].address)).to.deep.equal([B(1), B(3)]);
+    expect(await cnydAdmin.getProposalIds(proposers[1].address)).to.deep.equal([B(2)]);
+
+    await expect(cnydAdmin.connect(approvers[0]).approveMint(3, true, users[0].address, 100_000000))
+      .to.be.revertedWith("MintProposal: proposal data mismatch");
+    await expect(cnydAdmin.connect(approvers[0]).approveBurn(3, true, 300_000000))
+      .to.be.revertedWith("BurnProposal: proposal is not approvable");
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(3, true, users[2].address, 300_000000);
+    }
+    await expect(cnydAdmin.connect(approvers[0]).approveMint(2, false, users[1].address, 200_000000))
+      .to.emit(cnydAdmin, "MintApproved").withArgs(2, approvers[0].address, proposers[1].address, false, users[1].address, 200_000000);
+
+    await network.provider.send("evm_increaseTime", [(await cnydAdmin.proposalDuration()).toNumber() + 1]);
+    await network.provider.send("evm_mine");
+    expect((await cnydAdmin.getProposal(1)).status).equal(EXPIRED);
+    expect((await cnydAdmin.getProposal(2)).status).equal(REJECTED);
+    expect((await cnydAdmin.getProposal(3)).status).equal(EXECUTED);
+    expect((await cnydAdmin.getProposal(4)).status).equal(0);
+    expect(await cnydToken.totalSupply()).equal(300_000000);
+  });
+
+
+  it("test freeze account", async function () {
+
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 10000_000000);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(1, true, users[0].address, 10000_000000);
+    }
+
+    await expect(cnydAdmin.connect(users[0]).freezeAccount(users[0].address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(cnydAdmin.connect(owner).freezeAccount(users[0].address)).to.emit(cnydToken, "AccountFrozen").withArgs(users[0].address);
+    expect(await cnydToken.isAccountFrozen(users[0].address)).equal(true);
+    await expect(cnydToken.connect(users[0]).transfer(users[1].address, 1_000000)).to.be.revertedWith("account frozen");
+
+    await cnydAdmin.connect(owner).forceTransfer(users[0].address, users[1].address, 1_000000);
+    expect(await cnydToken.balanceOf(users[1].address)).equal(1_000000);
+
+    await expect(cnydAdmin.connect(owner).unfreezeAccount(users[0].address)).to.emit(cnydToken, "AccountUnfrozen").withArgs(users[0].address);
+    await cnydToken.connect(users[0]).transfer(users[1].address, 1_000000);
+    expect(await cnydToken.balanceOf(users[1].address)).equal(2_000000);
+  });
+
+
   it("test admin fee", async function () {
 
     const totalAmount = 10000_000000;
@@ -141,16 +213,19 @@ describe("CnydAdmin", function () {
     expect(await cnydToken.ratioPrecision()).equal(ratioPrecision);
 
     await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, totalAmount);
-    await cnydAdmin.connect(approvers[0]).approveMint(proposers[0].address, true, users[0].address, totalAmount);
-    await cnydAdmin.connect(approvers[1]).approveMint(proposers[0].address, true, users[0].address, totalAmount);
-    await cnydAdmin.connect(approvers[2]).approveMint(proposers[0].address, true, users[0].address, totalAmount);
+    await cnydAdmin.connect(approvers[0]).approveMint(1, true, users[0].address, totalAmount);
+    await cnydAdmin.connect(approvers[1]).approveMint(1, true, users[0].address, totalAmount);
+    await cnydAdmin.connect(approvers[2]).approveMint(1, true, users[0].address, totalAmount);
 
-    await cnydAdmin.connect(owner).setAdminFeeRatio(ratio);
+    await cnydAdmin.connect(proposers[0]).proposeAdminFeeRatio(ratio);
+    await approveFee(2);
     expect(await cnydToken.adminFeeRatio()).equal(ratio);
-    await cnydAdmin.connect(owner).setFeeRecipient(feeRecipient.address);
+    await cnydAdmin.connect(proposers[0]).proposeFeeRecipient(feeRecipient.address);
+    await approveFee(3);
     expect(await cnydToken.feeRecipient()).equal(feeRecipient.address);
 
-    await cnydAdmin.connect(owner).addFeeWhitelist([users[0].address, users[1].address]);
+    await cnydAdmin.connect(proposers[0]).proposeFeeWhitelist([users[0].address, users[1].address], true);
+    await approveFee(4);
     expect(await cnydToken.isInFeeWhitelist(users[0].address)).equal(true);
     expect(await cnydToken.isInFeeWhitelist(users[1].address)).equal(true);
 
@@ -160,7 +235,8 @@ describe("CnydAdmin", function () {
     expect(await cnydToken.balanceOf(users[0].address)).equal(totalAmount - amount1);
     expect(await cnydToken.balanceOf(users[1].address)).equal(amount1);
 
-    await cnydAdmin.connect(owner).delFeeWhitelist([users[1].address]);
+    await cnydAdmin.connect(proposers[0]).proposeFeeWhitelist([users[1].address], false);
+    await approveFee(5);
     expect(await cnydToken.isInFeeWhitelist(users[0].address)).equal(true);
 
     const receivedAmount = 1000_000000;
@@ -173,7 +249,8 @@ describe("CnydAdmin", function () {
     expect(await cnydToken.getSentAmount(users[1].address, users[2].address, receivedAmount)).to.deep.equal([B(sentAmount), B(feeAmount)]);
     expect(await cnydToken.getReceivedAmount(users[1].address, users[2].address, sentAmount)).to.deep.equal([B(receivedAmount), B(feeAmount)]);
 
-    await cnydToken.connect(users[1]).transfer(users[2].address, sentAmount)
+    await expect(cnydToken.connect(users[1]).transfer(users[2].address, sentAmount))
+      .to.emit(cnydToken, "AdminFeeCharged").withArgs(users[1].address, users[2].address, feeAmount);
     expect(await cnydToken.balanceOf(feeRecipient.address)).equal(feeAmount);
     expect(await cnydToken.balanceOf(users[1].address)).equal(0);
     expect(await cnydToken.balanceOf(users[2].address)).equal(receivedAmount);
@@ -182,6 +259,75 @@ describe("CnydAdmin", function () {
   });
 
 
+  it("test fee proposals", async function () {
+
+    // neither the owner nor the token admin role of the owner can change the fee directly
+    expect(cnydAdmin.setAdminFeeRatio).equal(undefined);
+    expect(cnydAdmin.setFeeRecipient).equal(undefined);
+    expect(cnydAdmin.addFeeWhitelist).equal(undefined);
+    expect(cnydAdmin.delFeeWhitelist).equal(undefined);
+    expect(cnydAdmin.setTokenAdmin).equal(undefined);
+    const setTokenAdmin = new ethers.utils.Interface(["function setTokenAdmin(address newAdmin)"]).encodeFunctionData("setTokenAdmin", [owner.address]);
+    await expect(owner.sendTransaction({ to: cnydAdmin.address, data: setTokenAdmin })).to.be.reverted;
+    expect(await cnydToken.admin()).equal(cnydAdmin.address);
+    await expect(cnydToken.connect(owner).setAdminFeeRatio(200)).to.be.revertedWith("Administrable: caller is not the admin");
+    await expect(cnydAdmin.connect(owner).proposeAdminFeeRatio(200)).to.be.revertedWith("Governable: caller is not a proposer");
+
+    const maxRatio = await cnydAdmin.MAX_ADMIN_FEE_RATIO();
+    await expect(cnydAdmin.connect(proposers[0]).proposeAdminFeeRatio(maxRatio.add(1)))
+      .to.be.revertedWith("FeeProposal: ratio exceeds the max");
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeWhitelist([], true))
+      .to.be.revertedWith("FeeProposal: empty accounts not allowed");
+    await expect(cnydAdmin.connect(proposers[0]).proposeAdminFeeRatio(maxRatio))
+      .to.emit(cnydAdmin, "FeeProposed").withArgs(1, proposers[0].address, 1, maxRatio, ethers.constants.AddressZero, []);
+    await expect(cnydAdmin.connect(approvers[0]).approveFee(1, true, 1, 100, ethers.constants.AddressZero, []))
+      .to.be.revertedWith("FeeProposal: proposal data mismatch");
+    await expect(cnydAdmin.connect(approvers[0]).approveMint(1, true, users[0].address, maxRatio))
+      .to.be.revertedWith("MintProposal: proposal is not approvable");
+    let receipt = await approveFee(1);
+    expect(receipt.events.map(e => e.event)).to.include("FeeExecuted");
+    expect(await cnydToken.adminFeeRatio()).equal(maxRatio);
+    expect((await cnydAdmin.getProposal(1)).status).equal(EXECUTED);
+
+    // once init, the timelock is changed by proposals only
+    await expect(cnydAdmin.connect(owner).setFeeTimelock(0)).to.be.revertedWith("FeeProposal: the timelock is changed by proposals once init");
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeTimelock(30 * 86400 + 1)).to.be.revertedWith("FeeProposal: timelock exceeds the max");
+    await cnydAdmin.connect(proposers[0]).proposeFeeTimelock(3600);
+    receipt = await approveFee(2);
+    const changed = receipt.events.find(e => e.event == "FeeTimelockChanged");
+    expect([changed.args.oldTimelock, changed.args.newTimelock]).to.deep.equal([B(0), B(3600)]);
+    expect(await cnydAdmin.feeTimelock()).equal(3600);
+
+    // with a timelock the approved change is queued
+    await cnydAdmin.connect(proposers[0]).proposeFeeRecipient(users[1].address);
+    await approveFee(3, approvers.slice(0, 2));
+    await expect(cnydAdmin.connect(users[0]).executeFee(3)).to.be.revertedWith("FeeProposal: proposal is not queued");
+    receipt = await approveFee(3, approvers.slice(2));
+    const queued = receipt.events.find(e => e.event == "FeeQueued");
+    const blockTime = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    expect(queued.args.executeTime).equal(blockTime + 3600);
+    expect((await cnydAdmin.getProposal(3)).status).equal(QUEUED);
+    expect(await cnydToken.feeRecipient()).equal(ethers.constants.AddressZero);
+    await expect(cnydAdmin.connect(users[0]).executeFee(3)).to.be.revertedWith("FeeProposal: timelock not passed");
+
+    // queued changes don't expire with the proposal duration
+    await network.provider.send("evm_increaseTime", [(await cnydAdmin.proposalDuration()).toNumber() + 1]);
+    await network.provider.send("evm_mine");
+    await expect(cnydAdmin.connect(users[0]).executeFee(3)).to.emit(cnydAdmin, "FeeExecuted").withArgs(3, 2);
+    expect(await cnydToken.feeRecipient()).equal(users[1].address);
+    expect((await cnydAdmin.getProposal(3)).status).equal(EXECUTED);
+    await expect(cnydAdmin.connect(users[0]).executeFee(3)).to.be.revertedWith("FeeProposal: proposal is not queued");
+
+    // a shorter timelock applies only after the current one
+    await cnydAdmin.connect(proposers[0]).proposeFeeTimelock(0);
+    receipt = await approveFee(4);
+    expect(receipt.events.map(e => e.event)).to.include("FeeQueued");
+    expect(await cnydAdmin.feeTimelock()).equal(3600);
+    await network.provider.send("evm_increaseTime", [3600]);
+    await expect(cnydAdmin.executeFee(4)).to.emit(cnydAdmin, "FeeTimelockChanged").withArgs(3600, 0);
+  });
+
+
   it("test admin fee calc", async function () {
 
     const ratioPrecision = 10000;
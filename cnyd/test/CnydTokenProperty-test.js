@@ -0,0 +1,372 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const fc = require("fast-check");
+
+// https://github.com/dubzzz/fast-check
+// Set FC_SEED to replay a failure reported by fast-check, FC_NUM_RUNS to run more sequences.
+
+const B = BigNumber.from;
+
+const RATIO_PRECISION = 10000;
+const USER_COUNT = 4;
+
+/**
+ * Sends `tx` and returns `{ ok, error }` instead of throwing on a revert.
+ */
+async function send(tx) {
+  try {
+    await (await tx).wait();
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+async function balancesOf(token, accounts) {
+  return Promise.all(accounts.map(a => token.balanceOf(a.address)));
+}
+
+/**
+ * The mirrored token state: `frozen` and `whitelist` are sets of user indexes.
+ */
+class Model {
+  constructor() {
+    this.supply = B(0);
+    this.paused = false;
+    this.ratio = 0;
+    this.frozen = new Set();
+    this.whitelist = new Set();
+  }
+
+  ratioBy(from, to) {
+    return this.whitelist.has(from) || this.whitelist.has(to) ? 0 : this.ratio;
+  }
+}
+
+/**
+ * Checks the invariants that must hold after every step, `before` are the user
+ * balances before the step and `movable` the users the step may move funds of.
+ */
+async function checkInvariants({ model, real }, before, movable) {
+  const { token, users, feeRecipient } = real;
+  const after = await balancesOf(token, users);
+
+  // total supply is conserved
+  expect(await token.totalSupply()).equal(model.supply);
+  const held = after.concat(await balancesOf(token, [feeRecipient])).reduce((a, b) => a.add(b), B(0));
+  expect(held).equal(model.supply);
+
+  // frozen accounts never move except through forceTransfer
+  for (const i of model.frozen) {
+    if (!movable.includes(i)) {
+      expect(after[i], `frozen user ${i}`).equal(before[i]);
+    }
+  }
+  expect(await token.paused()).equal(model.paused);
+}
+
+/**
+ * Transfers `amount` from user `from` to user `to`, by `to` itself via
+ * transferFrom when `spender` is given.
+ */
+class TransferCommand {
+  constructor(from, to, amount, spender) {
+    Object.assign(this, { from, to, amount, spender });
+  }
+
+  check() {
+    return this.from != this.to;
+  }
+
+  async run(model, real) {
+    const { token, users, feeRecipient } = real;
+    const from = users[this.from];
+    const to = users[this.to];
+    const [before, [feeBefore]] = [await balancesOf(token, users), await balancesOf(token, [feeRecipient])];
+
+    let result;
+    if (this.spender === undefined) {
+      result = await send(token.connect(from).transfer(to.address, this.amount));
+    } else {
+      await token.connect(from).approve(users[this.spender].address, this.amount);
+      result = await send(token.connect(users[this.spender]).transferFrom(from.address, to.address, this.amount));
+    }
+
+    const parties = [this.from, this.to].concat(this.spender === undefined ? [] : [this.spender]);
+    if (model.paused) {
+      expect(result.ok, "transfer while paused").equal(false);
+    } else if (parties.some(i => model.frozen.has(i))) {
+      expect(result.ok, "transfer of a frozen account").equal(false);
+      expect(result.error.message).to.contain("account frozen");
+    } else {
+      expect(result.ok, result.error && result.error.message).equal(before[this.from].gte(this.amount));
+    }
+
+    const [after, [feeAfter]] = [await balancesOf(token, users), await balancesOf(token, [feeRecipient])];
+    const fee = feeAfter.sub(feeBefore);
+    if (result.ok) {
+      // the fee never exceeds the ratio, and the amount is split into received and fee parts
+      const ratio = model.ratioBy(this.from, this.to);
+      expect(fee.mul(RATIO_PRECISION)).to.be.lte(B(this.amount).mul(ratio));
+      expect(after[this.to].sub(before[this.to]).add(fee)).equal(this.amount);
+      expect(before[this.from].sub(after[this.from])).equal(this.amount);
+    } else {
+      expect(fee).equal(0);
+    }
+    await checkInvariants({ model, real }, before, []);
+  }
+
+  toString() {
+    return this.spender === undefined
+      ? `transfer(${this.from} -> ${this.to}, ${this.amount})`
+      : `transferFrom(${this.from} -> ${this.to}, ${this.amount}, by ${this.spender})`;
+  }
+}
+
+class MintCommand {
+  constructor(to, amount) {
+    Object.assign(this, { to, amount });
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const before = await balancesOf(real.token, real.users);
+    await real.token.mint(real.users[this.to].address, this.amount);
+    model.supply = model.supply.add(this.amount);
+    await checkInvariants({ model, real }, before, [this.to]);
+  }
+
+  toString() {
+    return `mint(${this.to}, ${this.amount})`;
+  }
+}
+
+class ForceTransferCommand {
+  constructor(from, to, amount) {
+    Object.assign(this, { from, to, amount });
+  }
+
+  check() {
+    return this.from != this.to;
+  }
+
+  async run(model, real) {
+    const { token, users } = real;
+    const before = await balancesOf(token, users);
+    const result = await send(token.forceTransfer(users[this.from].address, users[this.to].address, this.amount));
+    // paused and frozen accounts are ignored, no fee is charged
+    expect(result.ok).equal(before[this.from].gte(this.amount));
+    if (result.ok) {
+      const after = await balancesOf(token, users);
+      expect(after[this.to].sub(before[this.to])).equal(this.amount);
+    }
+    await checkInvariants({ model, real }, before, [this.from, this.to]);
+  }
+
+  toString() {
+    return `forceTransfer(${this.from} -> ${this.to}, ${this.amount})`;
+  }
+}
+
+class FreezeCommand {
+  constructor(user, frozen) {
+    Object.assign(this, { user, frozen });
+  }
+
+  check(model) {
+    return model.frozen.has(this.user) != this.frozen;
+  }
+
+  async run(model, real) {
+    const before = await balancesOf(real.token, real.users);
+    const account = real.users[this.user].address;
+    if (this.frozen) {
+      await real.token.freezeAccount(account);
+      model.frozen.add(this.user);
+    } else {
+      await real.token.unfreezeAccount(account);
+      model.frozen.delete(this.user);
+    }
+    expect(await real.token.isAccountFrozen(account)).equal(this.frozen);
+    await checkInvariants({ model, real }, before, []);
+  }
+
+  toString() {
+    return `${this.frozen ? "freeze" : "unfreeze"}(${this.user})`;
+  }
+}
+
+class WhitelistCommand {
+  constructor(user, added) {
+    Object.assign(this, { user, added });
+  }
+
+  check(model) {
+    return model.whitelist.has(this.user) != this.added;
+  }
+
+  async run(model, real) {
+    const before = await balancesOf(real.token, real.users);
+    const accounts = [real.users[this.user].address];
+    if (this.added) {
+      await real.token.addFeeWhitelist(accounts);
+      model.whitelist.add(this.user);
+    } else {
+      await real.token.delFeeWhitelist(accounts);
+      model.whitelist.delete(this.user);
+    }
+    await checkInvariants({ model, real }, before, []);
+  }
+
+  toString() {
+    return `${this.added ? "addFeeWhitelist" : "delFeeWhitelist"}(${this.user})`;
+  }
+}
+
+class RatioCommand {
+  constructor(ratio) {
+    this.ratio = ratio;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const before = await balancesOf(real.token, real.users);
+    const result = await send(real.token.setAdminFeeRatio(this.ratio));
+    expect(result.ok).equal(this.ratio < RATIO_PRECISION);
+    if (result.ok) model.ratio = this.ratio;
+    expect(await real.token.adminFeeRatio()).equal(model.ratio);
+    await checkInvariants({ model, real }, before, []);
+  }
+
+  toString() {
+    return `setAdminFeeRatio(${this.ratio})`;
+  }
+}
+
+class PauseCommand {
+  constructor(paused) {
+    this.paused = paused;
+  }
+
+  check(model) {
+    return model.paused != this.paused;
+  }
+
+  async run(model, real) {
+    const before = await balancesOf(real.token, real.users);
+    await (this.paused ? real.token.pause() : real.token.unpause());
+    model.paused = this.paused;
+    await checkInvariants({ model, real }, before, []);
+  }
+
+  toString() {
+    return this.paused ? "pause()" : "unpause()";
+  }
+}
+
+/**
+ * getSentAmount followed by getReceivedAmount round-trips the received amount.
+ */
+class QuoteCommand {
+  constructor(from, to, amount) {
+    Object.assign(this, { from, to, amount });
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const from = real.users[this.from].address;
+    const to = real.users[this.to].address;
+    const [sent, sentFee] = await real.token.getSentAmount(from, to, this.amount);
+    const [received, receivedFee] = await real.token.getReceivedAmount(from, to, sent);
+    expect(received).equal(this.amount);
+    expect(receivedFee).equal(sentFee);
+    expect(sentFee.mul(RATIO_PRECISION)).to.be.lte(sent.mul(model.ratioBy(this.from, this.to)));
+  }
+
+  toString() {
+    return `quote(${this.from} -> ${this.to}, ${this.amount})`;
+  }
+}
+
+describe("CnydToken properties", function () {
+  this.timeout(600000);
+
+  let accounts;
+  let owner;
+  let users;
+  let feeRecipient;
+  let token;
+  let snapshot;
+
+  before(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    users = accounts.slice(1, 1 + USER_COUNT);
+    feeRecipient = accounts[1 + USER_COUNT];
+
+    const CnydToken = await ethers.getContractFactory("CnydToken");
+    token = await CnydToken.connect(owner).deploy();
+    await token.deployed();
+    // the owner stays the admin
+    await token.setFeeRecipient(feeRecipient.address);
+    snapshot = await network.provider.send("evm_snapshot");
+  });
+
+  after(async () => {
+    await network.provider.send("evm_revert", [snapshot]);
+  });
+
+  it("test invariants over random operation sequences", async function () {
+    const user = fc.integer({ min: 0, max: USER_COUNT - 1 });
+    const amount = fc.bigUintN(40).map(n => B(n.toString()));
+    const positiveAmount = amount.filter(n => n.gt(0));
+    const commands = [
+      fc.tuple(user, positiveAmount).map(([to, n]) => new MintCommand(to, n)),
+      fc.tuple(user, user, positiveAmount).map(([from, to, n]) => new TransferCommand(from, to, n)),
+      fc.tuple(user, user, positiveAmount, user).map(([from, to, n, spender]) => new TransferCommand(from, to, n, spender)),
+      fc.tuple(user, user, amount).map(([from, to, n]) => new ForceTransferCommand(from, to, n)),
+      fc.tuple(user, fc.boolean()).map(([u, frozen]) => new FreezeCommand(u, frozen)),
+      fc.tuple(user, fc.boolean()).map(([u, added]) => new WhitelistCommand(u, added)),
+      fc.oneof(fc.integer({ min: 0, max: 1000 }), fc.integer({ min: 0, max: RATIO_PRECISION })).map(r => new RatioCommand(r)),
+      fc.boolean().map(paused => new PauseCommand(paused)),
+      fc.tuple(user, user, amount).map(([from, to, n]) => new QuoteCommand(from, to, n)),
+    ];
+
+    await fc.assert(
+      fc.asyncProperty(fc.commands(commands, { maxCommands: 30 }), async (cmds) => {
+        const id = await network.provider.send("evm_snapshot");
+        try {
+          await fc.asyncModelRun(() => ({ model: new Model(), real: { token, users, feeRecipient } }), cmds);
+        } finally {
+          await network.provider.send("evm_revert", [id]);
+        }
+      }),
+      {
+        numRuns: Number(process.env.FC_NUM_RUNS || 50),
+        seed: process.env.FC_SEED === undefined ? undefined : Number(process.env.FC_SEED),
+      },
+    );
+  });
+
+  it("test getSentAmount round-trips for every ratio", async function () {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 0, max: RATIO_PRECISION - 1 }), fc.bigUintN(128), async (ratio, n) => {
+        const received = B(n.toString());
+        await token.setAdminFeeRatio(ratio);
+        const [sent, fee] = await token.getSentAmount(users[0].address, users[1].address, received);
+        expect(await token.getReceivedAmount(users[0].address, users[1].address, sent)).to.deep.equal([received, fee]);
+      }),
+      { numRuns: Number(process.env.FC_NUM_RUNS || 100) },
+    );
+  });
+});
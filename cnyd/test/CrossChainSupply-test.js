@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+
+describe("Cross chain supply task", function () {
+  const chains = {};
+  let bridge;
+  let users;
+
+  // starts a separate local hardhat node, registered as network `name`
+  async function startChain(name, chainId) {
+    const provider = createProvider("hardhat", { ...hre.config.networks.hardhat, chainId }, hre.config.paths, hre.artifacts);
+    const server = await hre.run("node:create-server", { hostname: "127.0.0.1", port: 0, provider });
+    const { port } = await server.listen();
+    const url = `http://127.0.0.1:${port}`;
+    hre.config.networks[name] = { url };
+    const signer = new ethers.providers.JsonRpcProvider(url).getSigner(0);
+    const token = await (await ethers.getContractFactory("CnydToken", signer)).deploy();
+    await token.deployed();
+    chains[name] = { server, token };
+  }
+
+  before(async () => {
+    await startChain("chain_a", 31338);
+    await startChain("chain_b", 31339);
+    [bridge, ...users] = (await ethers.getSigners()).slice(1, 4).map(a => a.address);
+
+    // 1000 CNYD on chain_a, 300 of them are locked by the bridge and minted on chain_b
+    await chains.chain_a.token.mint(users[0], 700_000000);
+    await chains.chain_a.token.mint(bridge, 300_000000);
+    await chains.chain_b.token.mint(users[1], 300_000000);
+
+    hre.config.crossChainSupply = {
+      CNYD: {
+        deployments: [
+          { network: "chain_a", address: chains.chain_a.token.address, native: true },
+          { network: "chain_b", address: chains.chain_b.token.address },
+        ],
+        lockedBy: [bridge],
+      },
+      TOTAL: {
+        deployments: [
+          { network: "chain_a", address: chains.chain_a.token.address },
+          { network: "chain_b", address: chains.chain_b.token.address },
+        ],
+        expectedSupply: "1300",
+      },
+    };
+  });
+
+  after(async () => {
+    for (const name of Object.keys(chains)) {
+      await chains[name].server.close();
+      delete hre.config.networks[name];
+    }
+    hre.config.crossChainSupply = {};
+  });
+
+  it("test supply matches", async function () {
+    const results = await hre.run("crossChainSupply", {});
+    expect(results.map(r => r.ok)).to.deep.equal([true, true]);
+    expect(results[0].deployments.map(d => d.chainId)).to.deep.equal([31338, 31339]);
+    expect(results[0].deployments[1]).to.include({ totalSupply: "300.0", paused: false });
+    expect(results[1]).to.include({ actual: "1300.0", expected: "1300.0", drift: "0.0" });
+
+    let error;
+    await hre.run("crossChainSupply", { format: "csv" }).catch(e => { error = e; });
+    expect(error.message).equal("Invalid format: csv, must be table|json");
+  });
+
+  it("test supply drift", async function () {
+    await chains.chain_b.token.mint(users[1], 1_000000);
+    let error;
+    await hre.run("crossChainSupply", { asset: "CNYD", format: "json" }).catch(e => { error = e; });
+    expect(error.message).to.include("Supply drift detected for CNYD (1.0)");
+
+    await chains.chain_a.token.mint(bridge, 1_000000);
+    const [result] = await hre.run("crossChainSupply", { asset: "CNYD" });
+    expect(result.ok).equal(true);
+  });
+});
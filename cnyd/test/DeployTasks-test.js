@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getDeployment } = require("amax-hardhat-common/deployment");
+
+describe("Deploy tasks", function () {
+  let accounts;
+  let owner;
+  let approvers;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+  });
+
+  it("test deployment manifest", async function () {
+    const token = await hre.run("deployCnydToken");
+    const admin = await hre.run("deployCnydAdmin");
+
+    const deployment = getDeployment(hre, "CnydToken");
+    expect(deployment.address).equal(token.address);
+    expect(deployment.transactionHash).equal(token.deployTransaction.hash);
+    expect(deployment.deployer).equal(owner.address);
+    expect(deployment.blockNumber).equal((await token.deployTransaction.wait()).blockNumber);
+    expect(deployment.constructorArgs).to.deep.equal([]);
+    expect(deployment.compiler.version).to.match(/^0\.8\./);
+    expect(deployment.compiler.settings.optimizer.enabled).equal(true);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(admin.address);
+
+    // admin and token are resolved from the manifest
+    await hre.run("initCnydAdmin", { approvers: approvers.map(a => a.address) });
+    expect(await admin.token()).equal(token.address);
+    expect(await token.owner()).equal(admin.address);
+    expect(await admin.APPROVED_THRESHOLD()).equal(3);
+  });
+
+  it("test initCnydAdmin with threshold", async function () {
+    const token = await hre.run("deployCnydToken");
+    const admin = await hre.run("deployCnydAdmin");
+
+    let error;
+    await hre.run("initCnydAdmin", { approvers: approvers.map(a => a.address), threshold: 4 }).catch(e => { error = e; });
+    expect(error.message).to.match(/Invalid threshold: 4/);
+
+    await hre.run("initCnydAdmin", { approvers: approvers.map(a => a.address), threshold: 2 });
+    expect(await admin.getApprovers()).to.deep.equal(approvers.map(a => a.address));
+    expect(await admin.APPROVED_THRESHOLD()).equal(2);
+    expect(await token.owner()).equal(admin.address);
+  });
+});
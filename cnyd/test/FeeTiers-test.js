@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const adminFee = require("../lib/adminFee");
+
+const B = BigNumber.from;
+
+const [NONE, SENDER, RECIPIENT, BOTH] = [0, 1, 2, 3];
+
+async function expectRejected(promise, message) {
+  let error;
+  await promise.catch(e => { error = e; });
+  expect(error, `expected to be rejected with "${message}"`).to.be.an("error");
+  expect(error.message).to.include(message);
+}
+
+describe("Fee tiers", function () {
+  // global variants
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+  let feeRecipient;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    feeRecipient = accounts[4];
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 14);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function govern() {
+    await cnydToken.setFeeRecipient(feeRecipient.address);
+    await cnydToken.setAdminFeeRatio(100);
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+  }
+
+  async function approveFee(id) {
+    const [, data] = await cnydAdmin.getFeeProposal(id);
+    let receipt;
+    for (const approver of approvers) {
+      receipt = await (await cnydAdmin.connect(approver).approveFee(id, true, data.action, data.ratio, data.recipient, data.accounts)).wait();
+    }
+    return receipt;
+  }
+
+  const ratioOf = async (from, to) => {
+    const [, feeAmount] = await cnydToken.getReceivedAmount(from.address, to.address, 10000);
+    return feeAmount.toNumber();
+  };
+
+  it("test fee tier precedence", async function () {
+    const [merchant, exchange, partner, treasury, user] = users;
+    await cnydToken.setAdminFeeRatio(100);
+    await cnydToken.setFeeTiers([merchant.address], SENDER, 10);
+    // no fee recipient, no fee
+    expect(await ratioOf(merchant, user)).equal(0);
+
+    await cnydToken.setFeeRecipient(feeRecipient.address);
+    await cnydToken.addFeeWhitelist([treasury.address]);
+    await expect(cnydToken.setFeeTiers([exchange.address], RECIPIENT, 20))
+      .to.emit(cnydToken, "FeeTiersChanged").withArgs([exchange.address], RECIPIENT, 20);
+    await cnydToken.setFeeTiers([partner.address, treasury.address], BOTH, 30);
+    expect(await cnydToken.getFeeTier(exchange.address)).to.deep.equal([RECIPIENT, B(20)]);
+
+    // the tier applies only on its side
+    expect(await ratioOf(merchant, user)).equal(10);
+    expect(await ratioOf(user, merchant)).equal(100);
+    expect(await ratioOf(user, exchange)).equal(20);
+    expect(await ratioOf(exchange, user)).equal(100);
+    expect(await ratioOf(partner, user)).equal(30);
+    expect(await ratioOf(user, partner)).equal(30);
+    // the lower of the sender and recipient tiers
+    expect(await ratioOf(merchant, exchange)).equal(10);
+    expect(await ratioOf(partner, exchange)).equal(20);
+    // a tier takes precedence over the whitelist, of either account
+    expect(await ratioOf(treasury, user)).equal(30);
+    expect(await ratioOf(treasury, exchange)).equal(20);
+    await cnydToken.addFeeWhitelist([user.address]);
+    expect(await ratioOf(merchant, user)).equal(10);
+    expect(await ratioOf(user, merchant)).equal(0);
+    // a zero tier exempts the account on its side
+    await cnydToken.setFeeTiers([merchant.address], SENDER, 0);
+    expect(await ratioOf(merchant, exchange)).equal(0);
+
+    // the quotes of the lib match the contract for every pair
+    for (const from of users) {
+      for (const to of users.filter(u => u != from)) {
+        const feeState = await adminFee.loadFeeState(cnydToken, [from.address, to.address]);
+        for (const amount of [1, 9999, 1020_408163]) {
+          const [receivedAmount, feeAmount] = await cnydToken.getReceivedAmount(from.address, to.address, amount);
+          expect(adminFee.getReceivedAmount(feeState, from.address, to.address, amount)).to.deep.equal({ receivedAmount, feeAmount });
+          const [sentAmount, sentFeeAmount] = await cnydToken.getSentAmount(from.address, to.address, amount);
+          expect(adminFee.getSentAmount(feeState, from.address, to.address, amount)).to.deep.equal({ sentAmount, feeAmount: sentFeeAmount });
+        }
+      }
+    }
+
+    // transfers charge the tier
+    await cnydToken.mint(user.address, 1000_000000);
+    await cnydToken.connect(user).transfer(exchange.address, 100_000000);
+    expect(await cnydToken.balanceOf(exchange.address)).equal(99_800000);
+    expect(await cnydToken.balanceOf(feeRecipient.address)).equal(200000);
+
+    // removed tiers
+    await expect(cnydToken.setFeeTiers([exchange.address, partner.address], NONE, 0))
+      .to.emit(cnydToken, "FeeTiersChanged").withArgs([exchange.address, partner.address], NONE, 0);
+    expect(await cnydToken.getFeeTier(exchange.address)).to.deep.equal([NONE, B(0)]);
+    expect(await ratioOf(partner, exchange)).equal(100);
+
+    await expect(cnydToken.connect(user).setFeeTiers([user.address], SENDER, 0)).to.be.revertedWith("Administrable: caller is not the admin");
+    await expect(cnydToken.setFeeTiers([], SENDER, 10)).to.be.revertedWith("empty accounts not allowed");
+    await expect(cnydToken.setFeeTiers([user.address], SENDER, 10000)).to.be.revertedWith("AdminFee: ratio is too large");
+    await expect(cnydToken.setFeeTiers([user.address], NONE, 10)).to.be.revertedWith("AdminFee: nonzero ratio without a tier side");
+  });
+
+  it("test fee tier proposals", async function () {
+    await govern();
+    const tiered = users.slice(0, 2).map(u => u.address);
+    await expect(cnydAdmin.connect(users[0]).proposeFeeTier(tiered, SENDER, 10)).to.be.revertedWith("Governable: caller is not a proposer");
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeTier([], SENDER, 10)).to.be.revertedWith("FeeProposal: empty accounts not allowed");
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeTier(tiered, SENDER, 501)).to.be.revertedWith("FeeProposal: ratio exceeds the max");
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeTier(tiered, NONE, 10)).to.be.revertedWith("FeeProposal: nonzero ratio without a tier side");
+
+    // SET_SENDER_TIER, SET_RECIPIENT_TIER and SET_BOTH_TIER by the side
+    for (const side of [SENDER, RECIPIENT, BOTH]) {
+      await expect(cnydAdmin.connect(proposers[0]).proposeFeeTier(tiered, side, 10 * side))
+        .to.emit(cnydAdmin, "FeeProposed").withArgs(side, proposers[0].address, 4 + side, 10 * side, ethers.constants.AddressZero, tiered);
+      const receipt = await approveFee(side);
+      expect(receipt.events.filter(e => e.address == cnydToken.address).length).equal(1);
+      expect(await cnydToken.getFeeTier(tiered[1])).to.deep.equal([side, B(10 * side)]);
+    }
+
+    // DEL_TIER after the timelock
+    await cnydAdmin.connect(proposers[0]).proposeFeeTimelock(3600);
+    await approveFee(4);
+    await expect(cnydAdmin.connect(proposers[0]).proposeFeeTier([tiered[0]], NONE, 0))
+      .to.emit(cnydAdmin, "FeeProposed").withArgs(5, proposers[0].address, 8, 0, ethers.constants.AddressZero, [tiered[0]]);
+    await approveFee(5);
+    expect(await cnydToken.getFeeTier(tiered[0])).to.deep.equal([BOTH, B(30)]);
+    await network.provider.send("evm_increaseTime", [3600]);
+    await expect(cnydAdmin.executeFee(5)).to.emit(cnydToken, "FeeTiersChanged").withArgs([tiered[0]], NONE, 0);
+    expect(await cnydToken.getFeeTier(tiered[0])).to.deep.equal([NONE, B(0)]);
+    expect(await cnydToken.getFeeTier(tiered[1])).to.deep.equal([BOTH, B(30)]);
+  });
+
+  it("test loadFeeTiers task", async function () {
+    await govern();
+    const csv = path.join(dir, "tiers.csv");
+    const write = (lines) => fs.writeFileSync(csv, ["address,side,ratio", ...lines].join("\n"));
+    const adminArgs = { admin: cnydAdmin.address };
+    const [a, b, c, d] = users.map(u => u.address);
+
+    write([`${a},sender,10`, "", "0x1234,sender,10", `${b},both`, `${c},both,501`, `${d},none,5`,
+      `${a.toLowerCase()},both,10`, `${b},receiver,10`, `${c},sender,1.5`]);
+    await expectRejected(hre.run("loadFeeTiers", { ...adminArgs, csv }), [
+      `Invalid fee tier file ${csv}:`,
+      "  line 4: invalid address 0x1234",
+      "  line 6: invalid ratio 501, must be in 0..500",
+      "  line 7: invalid ratio 5, must be in 0..0",
+      `  line 8: duplicated address ${a} of line 2`,
+      "  line 9: invalid side receiver, must be sender|recipient|both|none",
+      "  line 10: invalid ratio 1.5, must be in 0..500",
+    ].join("\n"));
+
+    write([`${a},sender,10`, `${b},recipient,20`, `${c},sender,10`, `${d},none`]);
+    const dryRun = await hre.run("loadFeeTiers", { ...adminArgs, csv, dryRun: true });
+    expect(dryRun.unchanged).to.deep.equal([d]);
+    expect(dryRun.proposals).to.deep.equal([
+      { side: "sender", ratio: 10, accounts: [a, c] },
+      { side: "recipient", ratio: 20, accounts: [b] },
+    ]);
+    expect(await cnydAdmin.proposalCount()).equal(0);
+    await expectRejected(hre.run("loadFeeTiers", { ...adminArgs, csv, signer: users[0].address }), `${users[0].address} is not a proposer`);
+
+    const { proposals } = await hre.run("loadFeeTiers", { ...adminArgs, csv, signer: proposers[0].address });
+    expect(proposals.map(p => p.id)).to.deep.equal([1, 2]);
+    const { proposals: listed } = await hre.run("listFeeChanges", { ...adminArgs, format: "json" });
+    expect(listed.map(p => p.target)).to.deep.equal([`senderTier 10 ${a} ${c}`, `recipientTier 20 ${b}`]);
+    for (const id of [1, 2]) {
+      for (const approver of approvers) {
+        await hre.run("approveFeeChange", { ...adminArgs, id, signer: approver.address });
+      }
+    }
+    expect(await cnydToken.getFeeTier(c)).to.deep.equal([SENDER, B(10)]);
+    const { mismatch, onChain } = await hre.run("quoteTransfer", { token: cnydToken.address, from: a, to: b, send: "100" });
+    expect(mismatch).equal(false);
+    expect(onChain.feeAmount).equal(100000);
+
+    // only the changes are proposed again
+    write([`${a},sender,10`, `${b},none`, `${c},both,10`]);
+    const { unchanged, proposals: next } = await hre.run("loadFeeTiers", { ...adminArgs, csv, signer: proposers[0].address });
+    expect(unchanged).to.deep.equal([a]);
+    expect(next.map(p => [p.side, p.ratio, p.accounts, p.id])).to.deep.equal([["none", 0, [b], 3], ["both", 10, [c], 4]]);
+    const [, data] = await cnydAdmin.getFeeProposal(3);
+    expect(data.action).equal(8);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Freeze tasks", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    users = accounts.slice(9, 13);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("test freeze from CSV through CnydToken admin", async function () {
+    await cnydToken.freezeAccount(users[1].address);
+    const file = path.join(dir, "freeze.csv");
+    fs.writeFileSync(file, ["address", ...users.slice(0, 3).map(u => u.address.toLowerCase()), ""].join("\n"));
+
+    const results = await hre.run("freeze", { token: cnydToken.address, file, out: path.join(dir, "result.csv") });
+    expect(results.map(r => r.status)).to.deep.equal(["frozen", "skipped", "frozen"]);
+    expect(results[0].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await cnydToken.isAccountFrozen(users[2].address)).equal(true);
+    expect(fs.readFileSync(path.join(dir, "result.csv"), "utf8")).to.include(`${users[1].address},skipped`);
+
+    const status = await hre.run("frozenStatus", { token: cnydToken.address, file });
+    expect(status.map(s => s.frozen)).to.deep.equal([true, true, true]);
+  });
+
+  it("test unfreeze from JSON through CnydAdmin", async function () {
+    await cnydToken.freezeAccount(users[0].address);
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+
+    const file = path.join(dir, "unfreeze.json");
+    fs.writeFileSync(file, JSON.stringify([users[0].address, { address: users[1].address }]));
+    const results = await hre.run("unfreeze", { token: cnydToken.address, file });
+    expect(results.map(r => r.status)).to.deep.equal(["unfrozen", "skipped"]);
+    expect(await cnydToken.isAccountFrozen(users[0].address)).equal(false);
+    expect(JSON.parse(fs.readFileSync(`${file}.result.json`, "utf8"))).to.deep.equal(results);
+  });
+
+  it("test invalid addresses", async function () {
+    const file = path.join(dir, "freeze.csv");
+    fs.writeFileSync(file, [users[0].address, "0x1234", ethers.constants.AddressZero].join("\n"));
+    let error;
+    await hre.run("freeze", { token: cnydToken.address, file }).catch(e => { error = e; });
+    expect(error.message).to.include("0x1234");
+    expect(await cnydToken.isAccountFrozen(users[0].address)).equal(false);
+  });
+});
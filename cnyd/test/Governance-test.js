@@ -0,0 +1,466 @@
+const { expect } = require("chai");
+const { GovernanceHarness, parseDuration } = require("../lib/governance");
+
+// The proposal duration is 6h, see Governable.proposalDuration. The approver set is
+// 3-of-3 unless the scenario sets it up otherwise.
+const scenarios = [
+  {
+    name: "mint is executed by the last approval",
+    steps: [
+      "proposer1 proposes mint 100 to user1 -> emit MintProposed",
+      "approver1 approves mint #1 -> emit MintApproved",
+      "approver2 approves mint #1",
+      "expect proposal #1 pending 2 approvals",
+      "expect supply 0",
+      "approver3 approves mint #1 -> emit Transfer",
+      "expect proposal #1 executed 3 approvals",
+      "expect balance user1 100",
+      "expect supply 100",
+      "approver1 approves mint #1 -> revert 'MintProposal: proposal is not approvable'",
+    ],
+  },
+  {
+    name: "mint proposal expires after the proposal duration",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "advance 7h",
+      "expect proposal #1 expired 1 approval",
+      "approver2 approves mint #1 -> revert 'MintProposal: proposal is not approvable'",
+      "expect supply 0",
+    ],
+  },
+  {
+    name: "mint proposal is approvable until the proposal duration ends",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "advance 5h59m",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "expect balance user1 100",
+    ],
+  },
+  {
+    name: "mint proposal is dropped by a rejection",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "approver2 rejects mint #1 -> emit MintApproved",
+      "expect proposal #1 rejected",
+      "approver3 approves mint #1 for 100 to user1 -> revert 'MintProposal: proposal is not approvable'",
+      "expect supply 0",
+    ],
+  },
+  {
+    name: "concurrent mint proposals of a proposer",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "proposer1 proposes mint 200 to user2 -> emit MintProposed",
+      "expect proposals of proposer1 #1,#2",
+      "approver1 approves mint #2 for 100 to user1 -> revert 'MintProposal: proposal data mismatch'",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "approver3 approves mint #2",
+      "expect proposal #1 pending 0 approvals",
+      "expect balance user2 200",
+      "approver1 rejects mint #1",
+      "expect proposal #1 rejected",
+      "expect balance user1 0",
+    ],
+  },
+  {
+    name: "re-proposing mint after a rejection",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "approver1 rejects mint #1",
+      "proposer1 proposes mint 300 to user2",
+      "expect proposal #1 rejected",
+      "expect proposal #2 pending 0 approvals",
+    ],
+  },
+  {
+    name: "mint proposals of proposers are independent",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "proposer2 proposes mint 200 to user2",
+      "expect proposals of proposer2 #2",
+      "approver1 rejects mint #1",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "approver3 approves mint #2",
+      "expect balance user1 0",
+      "expect balance user2 200",
+    ],
+  },
+  {
+    name: "proposal IDs are shared by all kinds",
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "proposer1 proposes approver 2 user1",
+      "approver1 approves burn #1 for 100 -> revert 'BurnProposal: proposal is not approvable'",
+      "approver1 approves approver #1 for 0 user1 -> revert 'ApproverProposal: proposal is not approvable'",
+      "approver1 approves mint #2 for 100 to user1 -> revert 'MintProposal: proposal is not approvable'",
+      "approver1 approves mint #3 for 100 to user1 -> revert 'MintProposal: proposal is not approvable'",
+      "expect proposal #3 none",
+    ],
+  },
+  {
+    name: "mint is restricted to proposers and approvers",
+    steps: [
+      "user1 proposes mint 100 to user1 -> revert 'Governable: caller is not a proposer'",
+      "owner proposes mint 100 to user1 -> revert 'Governable: caller is not a proposer'",
+      "proposer1 proposes mint 0 to user1 -> revert 'Governable: zero amount not allowed'",
+      "proposer1 proposes mint 100 to user1",
+      "owner approves mint #1 -> revert 'Governable: caller is not an approver'",
+      "proposer1 approves mint #1 -> revert 'Governable: caller is not an approver'",
+      "approver1 approves mint #1",
+      "approver1 approves mint #1 -> revert 'MintProposal: approver has already approved'",
+      "approver1 rejects mint #1 -> revert 'MintProposal: approver has already approved'",
+    ],
+  },
+  {
+    name: "disabled proposer can not propose",
+    steps: [
+      "owner sets proposer proposer1 disabled -> emit ProposerChanged",
+      "proposer1 proposes mint 100 to user1 -> revert 'Governable: caller is not a proposer'",
+      "user1 sets proposer user1 enabled -> revert 'Ownable: caller is not the owner'",
+    ],
+  },
+  {
+    name: "burn is executed by the last approval",
+    steps: [
+      "proposer1 proposes mint 1000 to user1",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "user1 transfers 100 to token",
+      "proposer1 proposes burn 101 -> revert 'BurnProposal: burn amount exceeds contract balance'",
+      "proposer1 proposes burn 40 -> emit BurnProposed",
+      "approver1 approves burn #2",
+      "approver2 approves burn #2",
+      "approver3 approves burn #2 -> emit Transfer",
+      "expect proposal #2 executed",
+      "expect balance token 60",
+      "expect supply 960",
+    ],
+  },
+  {
+    name: "burn proposal expires, is rejected and re-proposed",
+    steps: [
+      "proposer1 proposes mint 1000 to user1",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "user1 transfers 100 to token",
+      "proposer1 proposes burn 100",
+      "advance 6h1s",
+      "approver1 approves burn #2 -> revert 'BurnProposal: proposal is not approvable'",
+      "expect proposal #2 expired",
+      "proposer1 proposes burn 50",
+      "approver1 approves burn #3 for 100 -> revert 'BurnProposal: proposal data mismatch'",
+      "approver1 rejects burn #3 -> emit BurnApproved",
+      "expect proposal #3 rejected",
+      "expect supply 1000",
+    ],
+  },
+  {
+    name: "burn approval fails when the contract balance is gone",
+    steps: [
+      "proposer1 proposes mint 1000 to user1",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "user1 transfers 100 to token",
+      "proposer1 proposes burn 100",
+      "proposer2 proposes burn 60",
+      "approver1 approves burn #3",
+      "approver2 approves burn #3",
+      "approver3 approves burn #3",
+      "approver1 approves burn #2 -> revert 'BurnProposal: burn amount exceeds contract balance'",
+    ],
+  },
+  {
+    name: "approver is changed by the approvers, without the owner",
+    steps: [
+      "proposer1 proposes approver 2 user1 -> emit ApproverProposed",
+      "approver1 approves approver #1",
+      "approver2 approves approver #1",
+      "expect proposal #1 pending 2 approvals",
+      "owner approves approver #1 -> revert 'Governable: caller is not an approver'",
+      "approver3 approves approver #1 -> emit ApproverChanged",
+      "expect approver 2 user1",
+      "expect proposal #1 executed",
+    ],
+  },
+  {
+    name: "replaced approver loses the approval right",
+    steps: [
+      "proposer1 proposes approver 2 user1",
+      "approver2 approves approver #1",
+      "approver1 approves approver #1",
+      "approver3 approves approver #1",
+      "expect approver 2 user1",
+      "proposer1 proposes mint 100 to user2",
+      "approver3 approves mint #2 -> revert 'Governable: caller is not an approver'",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "user1 approves mint #2",
+      "expect balance user2 100",
+    ],
+  },
+  {
+    name: "approver proposal edge cases",
+    steps: [
+      "proposer1 proposes approver 3 user1 -> revert 'Governable: approver index invalid'",
+      "proposer1 proposes approver 0 approver2",
+      "user2 approves approver #1 -> revert 'Governable: caller is not an approver'",
+      "approver2 approves approver #1",
+      "approver2 approves approver #1 -> revert 'ApproverProposal: approver has already approved'",
+      "approver1 approves approver #1 for 0 user1 -> revert 'ApproverProposal: propose data mismatch'",
+      "approver1 approves approver #1",
+      "approver3 approves approver #1 -> revert 'Governable: the account is already an approver'",
+      "advance 7h",
+      "approver3 approves approver #1 -> revert 'ApproverProposal: proposal is not approvable'",
+      "expect approver 0 approver1",
+    ],
+  },
+  {
+    name: "1-of-3 approver change still needs an approver",
+    setup: { approverCount: 3, threshold: 1 },
+    steps: [
+      "proposer1 proposes approver 0 user1",
+      "owner approves approver #1 -> revert 'Governable: caller is not an approver'",
+      "expect approver 0 approver1",
+      "approver2 approves approver #1 -> emit ApproverChanged",
+      "expect approver 0 user1",
+    ],
+  },
+  {
+    name: "2-of-3 mint does not wait for the unavailable approver",
+    setup: { approverCount: 3, threshold: 2 },
+    steps: [
+      "expect threshold 2",
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "approver3 approves mint #1 -> emit Transfer",
+      "expect balance user1 100",
+      "approver2 approves mint #1 for 100 to user1 -> revert 'MintProposal: proposal is not approvable'",
+    ],
+  },
+  {
+    name: "2-of-3 mint is still dropped by a single rejection",
+    setup: { approverCount: 3, threshold: 2 },
+    steps: [
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "approver2 rejects mint #1",
+      "expect proposal #1 rejected",
+      "expect supply 0",
+    ],
+  },
+  {
+    name: "3-of-5 mint, burn and approver change",
+    setup: { approverCount: 5, threshold: 3 },
+    steps: [
+      "proposer1 proposes mint 1000 to user1",
+      "approver5 approves mint #1",
+      "approver2 approves mint #1",
+      "expect supply 0",
+      "approver4 approves mint #1",
+      "expect balance user1 1000",
+      "user1 transfers 100 to token",
+      "proposer1 proposes burn 100",
+      "approver1 approves burn #2",
+      "approver2 approves burn #2",
+      "approver3 approves burn #2",
+      "expect supply 900",
+      "proposer1 proposes approver 4 user2",
+      "approver3 approves approver #3",
+      "approver1 approves approver #3",
+      "expect approver 4 approver5",
+      "approver5 approves approver #3",
+      "expect approver 4 user2",
+    ],
+  },
+  {
+    name: "threshold is lowered by an approver set proposal",
+    steps: [
+      "expect threshold 3",
+      "proposer1 proposes approver set approver1,approver2,approver3 threshold 2 -> emit ApproverSetProposed",
+      "owner approves approver set #1 -> revert 'Governable: caller is not an approver'",
+      "approver1 approves approver set #1",
+      "approver2 approves approver set #1",
+      "expect threshold 3",
+      "approver3 approves approver set #1 -> emit ApprovedThresholdChanged",
+      "expect threshold 2",
+      "expect proposal #1 executed",
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "expect balance user1 100",
+    ],
+  },
+  {
+    name: "approver set grows and shrinks",
+    setup: { approverCount: 3, threshold: 2, userCount: 4 },
+    steps: [
+      "proposer1 proposes approver set approver1,approver2,approver3,user1,user2 threshold 3",
+      "approver1 approves approver set #1",
+      "approver2 approves approver set #1 -> emit ApproverChanged",
+      "expect approvers approver1,approver2,approver3,user1,user2",
+      "expect threshold 3",
+      // an approval of a removed approver no longer counts
+      "proposer2 proposes mint 100 to user3",
+      "approver3 approves mint #2",
+      "proposer1 proposes approver set user1,approver1,user2 threshold 2",
+      "user1 approves approver set #3",
+      "approver1 approves approver set #3",
+      "approver2 approves approver set #3",
+      "expect approvers user1,approver1,user2",
+      "approver3 approves mint #2 -> revert 'Governable: caller is not an approver'",
+      "user2 approves mint #2",
+      "expect supply 0",
+      "expect proposal #2 pending 2 approvals",
+      "approver1 approves mint #2",
+      "expect balance user3 100",
+    ],
+  },
+  {
+    name: "invalid approver sets",
+    steps: [
+      "proposer1 proposes approver set approver1,approver2 threshold 0 -> revert 'Governable: threshold out of range'",
+      "proposer1 proposes approver set approver1,approver2 threshold 3 -> revert 'Governable: threshold out of range'",
+      "proposer1 proposes approver set approver1,approver1 threshold 1 -> revert 'approvers duplicated'",
+      "user1 proposes approver set user1 threshold 1 -> revert 'Governable: caller is not a proposer'",
+      "proposer1 proposes approver set user1 threshold 1",
+      "approver1 approves approver set #1",
+      "approver1 approves approver set #1 -> revert 'ApproverSetProposal: approver has already approved'",
+      "approver2 rejects approver set #1 -> emit ApproverSetApproved",
+      "expect proposal #1 rejected",
+      "expect approvers approver1,approver2,approver3",
+    ],
+  },
+  {
+    name: "hourly mint cap",
+    steps: [
+      "owner sets mint limit 150 per 1h -> emit MintLimitChanged",
+      "user1 sets mint limit 1000 per 1h -> revert 'Ownable: caller is not the owner'",
+      "owner sets mint limit 100 per 0s -> revert 'MintProposal: zero period not allowed'",
+      "advance to next 1h",
+      "expect mintable 150",
+      "proposer1 proposes mint 100 to user1",
+      "proposer2 proposes mint 60 to user2",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1 -> emit MintExecuted",
+      "expect mintable 50",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "approver3 approves mint #2 -> revert 'MintProposal: mint cap exceeded'",
+      "expect proposal #2 pending 2 approvals",
+      // the cap is renewed in the next period while the proposal is still approvable
+      "advance to next 1h",
+      "expect mintable 150",
+      "approver3 approves mint #2",
+      "expect balance user2 60",
+      "expect mintable 90",
+      "owner sets mint limit 0 per 0s",
+      "proposer1 proposes mint 1000 to user1",
+      "approver1 approves mint #3",
+      "approver2 approves mint #3",
+      "approver3 approves mint #3",
+      "expect balance user1 1100",
+    ],
+  },
+  {
+    name: "mint delay queues the approved mint",
+    steps: [
+      "owner sets mint delay 1d -> emit MintDelayChanged",
+      "proposer1 proposes mint 100 to user1",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "user1 executes mint #1 -> revert 'MintProposal: proposal is not queued'",
+      "approver3 approves mint #1 -> emit MintQueued",
+      "expect proposal #1 queued 3 approvals",
+      "expect supply 0",
+      "user1 executes mint #1 -> revert 'MintProposal: delay not passed'",
+      "advance 23h59m",
+      "user1 executes mint #1 -> revert 'MintProposal: delay not passed'",
+      // queued mints don't expire with the proposal duration
+      "advance 1m",
+      "user1 executes mint #1 -> emit MintExecuted",
+      "expect proposal #1 executed",
+      "expect balance user1 100",
+      "user1 executes mint #1 -> revert 'MintProposal: proposal is not queued'",
+    ],
+  },
+  {
+    name: "queued mint is cancelled by an approver or the owner",
+    steps: [
+      "owner sets mint delay 1h",
+      "proposer1 proposes mint 100 to user1",
+      "proposer1 proposes mint 200 to user2",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "approver3 approves mint #2",
+      "user1 cancels mint #1 -> revert 'Governable: caller is not an approver or owner'",
+      "proposer1 cancels mint #1 -> revert 'Governable: caller is not an approver or owner'",
+      "approver2 cancels mint #1 -> emit MintCancelled",
+      "owner cancels mint #2 -> emit MintCancelled",
+      "owner cancels mint #2 -> revert 'MintProposal: proposal is not queued'",
+      "expect proposal #1 cancelled",
+      "advance 1h",
+      "user1 executes mint #1 -> revert 'MintProposal: proposal is not queued'",
+      "expect supply 0",
+    ],
+  },
+  {
+    name: "mint cap is checked when the queued mint is executed",
+    steps: [
+      "owner sets mint delay 1h",
+      "owner sets mint limit 100 per 1d",
+      "advance to next 1d",
+      "proposer1 proposes mint 80 to user1",
+      "proposer1 proposes mint 80 to user2",
+      "approver1 approves mint #1",
+      "approver2 approves mint #1",
+      "approver3 approves mint #1",
+      "approver1 approves mint #2",
+      "approver2 approves mint #2",
+      "approver3 approves mint #2",
+      "advance 1h",
+      "user1 executes mint #2",
+      "user1 executes mint #1 -> revert 'MintProposal: mint cap exceeded'",
+      "advance to next 1d",
+      "user1 executes mint #1",
+      "expect supply 160",
+    ],
+  },
+];
+
+describe("Governance scenarios", function () {
+  scenarios.forEach(({ name, setup, steps }) => {
+    it(name, async function () {
+      const harness = await GovernanceHarness.setup(hre, setup);
+      await harness.run(steps);
+    });
+  });
+
+  it("test harness reports the failing step", async function () {
+    const harness = await GovernanceHarness.setup(hre);
+    let error;
+    await harness.run([
+      "proposer1 proposes mint 100 to user1",
+      "advance 7h",
+      "approver1 approves mint #1",
+    ]).catch(e => { error = e; });
+    expect(error.message).to.match(/^step 3 "approver1 approves mint #1": .*proposal is not approvable/);
+
+    expect(parseDuration("5h59m")).equal(5 * 3600 + 59 * 60);
+    expect(() => parseDuration("7x")).to.throw("Invalid duration: 7x");
+  });
+});
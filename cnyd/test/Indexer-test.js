@@ -0,0 +1,159 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { JsonLinesStore, EventIndexer } = require("../lib/indexer");
+
+describe("Event indexer", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    await cnydToken.freezeAccount(users[2].address);
+    await cnydToken.unfreezeAccount(users[2].address);
+    await cnydToken.setFeeRecipient(owner.address);
+    await cnydToken.setAdminFeeRatio(200);
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 100_000000);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(1, true, users[0].address, 100_000000);
+    }
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const newIndexer = (fromBlock) => new EventIndexer({
+    provider: ethers.provider,
+    contracts: [{ name: "CnydToken", contract: cnydToken }, { name: "CnydAdmin", contract: cnydAdmin }],
+    store: new JsonLinesStore(dir),
+    startBlock: fromBlock,
+    reorgDepth: 4,
+  });
+
+  it("test indexEvents task", async function () {
+    const fromBlock = (await cnydToken.deployTransaction.wait()).blockNumber;
+    await hre.run("indexEvents", { token: cnydToken.address, admin: cnydAdmin.address, out: dir, fromBlock });
+
+    const events = new JsonLinesStore(dir).readEvents();
+    const names = events.map(e => `${e.contract}.${e.event}`);
+    for (const name of ["CnydToken.AccountFrozen", "CnydToken.AccountUnfrozen", "CnydToken.OwnershipTransferred",
+      "CnydToken.AdminChanged", "CnydToken.FeeRecipientChanged", "CnydToken.AdminFeeRatioChanged",
+      "CnydAdmin.ApproverChanged", "CnydAdmin.ProposerChanged", "CnydAdmin.MintProposed", "CnydAdmin.MintApproved"]) {
+      expect(names).to.include(name);
+    }
+    const mint = events.find(e => e.event == "Transfer" && e.args.from == ethers.constants.AddressZero);
+    expect(mint.args).to.deep.equal({ from: ethers.constants.AddressZero, to: users[0].address, value: "100000000" });
+
+    // resumes from the checkpoint
+    await cnydToken.connect(users[0]).transfer(users[1].address, 10_000000);
+    const count = await newIndexer(fromBlock).sync();
+    expect(count).equal(3); // transfer, fee transfer and fee charged
+    expect(new JsonLinesStore(dir).readEvents()).length(events.length + 3);
+  });
+
+  it("test reorg", async function () {
+    const indexer = newIndexer((await cnydToken.deployTransaction.wait()).blockNumber);
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await cnydToken.connect(users[0]).transfer(users[1].address, 10_000000);
+    await indexer.sync();
+    expect(indexer.store.readEvents().filter(e => e.event == "Transfer" && e.args.to == users[1].address)).length(1);
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await cnydToken.connect(users[0]).transfer(users[2].address, 20_000000);
+    await ethers.provider.send("evm_mine", []);
+    await indexer.sync();
+
+    const events = indexer.store.readEvents();
+    expect(events.filter(e => e.event == "Transfer" && e.args.to == users[1].address)).length(0);
+    expect(events.filter(e => e.event == "Transfer" && e.args.to == users[2].address)).length(1);
+    expect(indexer.checkpoint.lastBlock).equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("test stop clears the poll timer", async function () {
+    const indexer = newIndexer((await cnydToken.deployTransaction.wait()).blockNumber);
+    // track the pending timers of the poll interval
+    const pending = new Set();
+    const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } = global;
+    global.setTimeout = (fn, ms, ...args) => {
+      const timer = realSetTimeout((...a) => { pending.delete(timer); fn(...a); }, ms, ...args);
+      if (ms == 60000) pending.add(timer);
+      return timer;
+    };
+    global.clearTimeout = (timer) => {
+      pending.delete(timer);
+      realClearTimeout(timer);
+    };
+    try {
+      const running = indexer.run(60000);
+      while (pending.size == 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      indexer.stop();
+      await running;
+      expect(pending.size).equal(0);
+    } finally {
+      global.setTimeout = realSetTimeout;
+      global.clearTimeout = realClearTimeout;
+    }
+  });
+
+  it("test reorg while syncing", async function () {
+    // the chain reorgs before or after the logs of a batch are fetched
+    for (const when of ["before", "after"]) {
+      const indexer = newIndexer((await cnydToken.deployTransaction.wait()).blockNumber);
+      await indexer.sync();
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      const receipt = await (await cnydToken.connect(users[0]).transfer(users[1].address, 10_000000)).wait();
+      const reorg = async () => {
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await cnydToken.connect(users[0]).transfer(users[2].address, 20_000000);
+        await ethers.provider.send("evm_mine", []);
+      };
+      const fetchEvents = indexer._fetchEvents.bind(indexer);
+      let reorged = false;
+      indexer._fetchEvents = async (fromBlock, toBlock) => {
+        if (reorged) return fetchEvents(fromBlock, toBlock);
+        reorged = true;
+        if (when == "before") await reorg();
+        const events = await fetchEvents(fromBlock, toBlock);
+        if (when == "after") await reorg();
+        return events;
+      };
+      await indexer.sync();
+      await indexer.sync();
+
+      const events = indexer.store.readEvents();
+      expect(events.filter(e => e.transactionHash == receipt.transactionHash), when).length(0);
+      expect(events.filter(e => e.event == "Transfer" && e.args.to == users[2].address && e.blockNumber >= receipt.blockNumber), when).length(1);
+      for (const [blockNumber, hash] of Object.entries(indexer.checkpoint.blockHashes)) {
+        expect((await ethers.provider.getBlock(Number(blockNumber))).hash, when).equal(hash);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { Monitor, matchEvent } = require("../lib/monitor");
+
+/**
+ * A local webhook stand-in recording the POSTed alerts, `failures` requests
+ * are answered with 500 first.
+ */
+async function startWebhook() {
+  const webhook = { alerts: [], failures: 0 };
+  webhook.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      if (webhook.failures > 0) {
+        webhook.failures--;
+        res.writeHead(500).end();
+        return;
+      }
+      webhook.alerts.push(JSON.parse(body));
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => webhook.server.listen(0, "127.0.0.1", resolve));
+  webhook.url = `http://127.0.0.1:${webhook.server.address().port}/alerts`;
+  return webhook;
+}
+
+describe("Monitor", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let bep20;
+  let webhook;
+  let dir;
+
+  const RULES = [
+    { name: "large mint", event: "MintApproved", minAmount: "1000" },
+    { name: "force transfer", event: "ForceTransfer" },
+    { name: "ownership proposal", event: "OwnershipProposed" },
+    { name: "fee ratio change", event: "AdminFeeRatioChanged", severity: "medium" },
+    { name: "BEP20 mint", event: "Transfer", contract: "AMAX", args: { from: ethers.constants.AddressZero }, minAmount: "500", amountArg: "value" },
+    { name: "proposal expiring", type: "expiringProposal", within: 3600 },
+  ];
+
+  async function newMonitor(startBlock) {
+    return new Monitor({
+      provider: ethers.provider,
+      contracts: [
+        { name: "CnydToken", contract: cnydToken, decimals: 6 },
+        { name: "CnydAdmin", contract: cnydAdmin, decimals: 6 },
+        { name: "AMAX", contract: bep20, decimals: 6 },
+      ],
+      rules: RULES,
+      sinks: [{ type: "webhook", url: webhook.url }, { type: "log", file: path.join(dir, "alerts.jsonl") }],
+      dir: path.join(dir, "state"),
+      startBlock,
+      reorgDepth: 4,
+    });
+  }
+
+  async function mint(to, amount) {
+    await cnydAdmin.connect(proposers[0]).proposeMint(to, amount);
+    const id = await cnydAdmin.proposalCount();
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(id, true, to, amount);
+    }
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    // stands in for a BEP20 token
+    bep20 = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    await cnydToken.setFeeRecipient(owner.address);
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+    await cnydAdmin.setProposalDuration(3 * 3600);
+
+    webhook = await startWebhook();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => webhook.server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("test event rules", async function () {
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+    await mint(users[0].address, 100_000000);
+    await mint(users[1].address, 5000_000000);
+    await cnydAdmin.forceTransfer(users[1].address, users[2].address, 1_000000);
+    await cnydAdmin.proposeTokenOwner(users[0].address);
+    await cnydAdmin.connect(proposers[0]).proposeAdminFeeRatio(20);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveFee(3, true, 1, 20, ethers.constants.AddressZero, []);
+    }
+    await bep20.mint(users[0].address, 100_000000);
+    await bep20.mint(users[0].address, 600_000000);
+
+    const monitor = await newMonitor(startBlock);
+    await monitor.sync();
+    expect(webhook.alerts.map(a => `${a.rule} ${a.contract}.${a.event}`)).to.deep.equal([
+      "large mint CnydAdmin.MintApproved",
+      "large mint CnydAdmin.MintApproved",
+      "large mint CnydAdmin.MintApproved",
+      "force transfer CnydToken.ForceTransfer",
+      "ownership proposal CnydToken.OwnershipProposed",
+      "fee ratio change CnydToken.AdminFeeRatioChanged",
+      "BEP20 mint AMAX.Transfer",
+    ]);
+    const [alert] = webhook.alerts;
+    expect(alert.severity).equal("high");
+    expect(alert.args.amount).equal("5000000000");
+    expect(alert.message).to.contain(`large mint: CnydAdmin.MintApproved(id=2, approver=${approvers[0].address}`);
+    expect(webhook.alerts[5].severity).equal("medium");
+    expect(webhook.alerts[6].args.value).equal("600000000");
+
+    // the log sink has the same alerts
+    const logged = fs.readFileSync(path.join(dir, "alerts.jsonl"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+    expect(logged).to.deep.equal(webhook.alerts);
+  });
+
+  it("test dedupe and restart safe checkpoints", async function () {
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+    await mint(users[0].address, 2000_000000);
+    await cnydAdmin.forceTransfer(users[0].address, users[1].address, 1_000000);
+
+    // the webhook fails, nothing is checkpointed, the sync is retried
+    webhook.failures = 1;
+    let monitor = await newMonitor(startBlock);
+    let error;
+    await monitor.sync().catch(e => { error = e; });
+    expect(error.message).to.contain("responded 500");
+    expect(webhook.alerts.length).equal(0);
+    await monitor.sync();
+    expect(webhook.alerts.length).equal(4);
+
+    // fails after the first alert of the next batch
+    await cnydAdmin.forceTransfer(users[0].address, users[1].address, 1_000000);
+    await cnydAdmin.forceTransfer(users[0].address, users[1].address, 2_000000);
+    monitor = await newMonitor(startBlock);
+    const deliver = monitor._deliver.bind(monitor);
+    let calls = 0;
+    monitor._deliver = async (alert) => {
+      if (++calls == 2) throw Error("crash");
+      return deliver(alert);
+    };
+    await monitor.sync().catch(e => { error = e; });
+    expect(error.message).equal("crash");
+    expect(webhook.alerts.length).equal(5);
+
+    // a restarted monitor resumes from the checkpoint without repeating alerts
+    monitor = await newMonitor(startBlock);
+    // the Transfer and ForceTransfer events of both force transfers
+    expect(await monitor.sync()).equal(4);
+    expect(webhook.alerts.length).equal(6);
+    expect(webhook.alerts.slice(4).map(a => a.args.amount)).to.deep.equal(["1000000", "2000000"]);
+    expect(new Set(webhook.alerts.map(a => a.id)).size).equal(6);
+    expect(await monitor.sync()).equal(0);
+    expect(webhook.alerts.length).equal(6);
+  });
+
+  it("test expiring proposal rule", async function () {
+    const monitor = await newMonitor(await ethers.provider.getBlockNumber() + 1);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 1_000000);
+    await cnydAdmin.connect(approvers[0]).approveMint(1, true, users[0].address, 1_000000);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[1].address, 1_000000);
+    await monitor.sync();
+    expect(webhook.alerts.length).equal(0);
+
+    // the second proposal is approved in time
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(2, true, users[1].address, 1_000000);
+    }
+    await network.provider.send("evm_increaseTime", [2 * 3600 + 60]);
+    await network.provider.send("evm_mine");
+    await monitor.sync();
+    await monitor.sync();
+    expect(webhook.alerts.length).equal(1);
+    expect(webhook.alerts[0].proposal).to.deep.include({ id: "1", kind: "mint", approvals: 1, threshold: 3 });
+    expect(webhook.alerts[0].message).to.match(/proposal expiring: CnydAdmin mint proposal #1 of 0x[0-9a-fA-F]{40} expires at .* with 1 of 3 approvals/);
+    expect(monitor.state.openProposals[cnydAdmin.address]).to.deep.equal(["1"]);
+
+    // expired proposals are forgotten
+    await network.provider.send("evm_increaseTime", [3600]);
+    await network.provider.send("evm_mine");
+    await monitor.sync();
+    expect(monitor.state.openProposals[cnydAdmin.address]).to.deep.equal([]);
+  });
+
+  it("test reorged proposals", async function () {
+    const monitor = await newMonitor(await ethers.provider.getBlockNumber() + 1);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 1_000000);
+    await monitor.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[1].address, 1_000000);
+    await monitor.sync();
+    expect(monitor.state.openProposals[cnydAdmin.address]).to.deep.equal(["1", "2"]);
+
+    // the proposal of the reorged blocks is forgotten as soon as the reorg is indexed
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    await monitor.indexer.sync();
+    expect(monitor.state.openProposals[cnydAdmin.address]).to.deep.equal(["1"]);
+    const state = JSON.parse(fs.readFileSync(path.join(dir, "state", "state.json"), "utf8"));
+    expect(state.openProposals[cnydAdmin.address]).to.deep.equal(["1"]);
+    expect(Object.keys(state.proposalBlocks[cnydAdmin.address])).to.deep.equal(["1"]);
+
+    // and added back when proposed again on the new fork
+    const receipt = await (await cnydAdmin.connect(proposers[0]).proposeMint(users[2].address, 1_000000)).wait();
+    await monitor.sync();
+    expect(monitor.state.openProposals[cnydAdmin.address]).to.deep.equal(["1", "2"]);
+    expect(monitor.state.proposalBlocks[cnydAdmin.address]["2"]).equal(receipt.blockNumber);
+  });
+
+  it("test stop clears the poll timer", async function () {
+    const monitor = await newMonitor(await ethers.provider.getBlockNumber() + 1);
+    // track the pending timers of the poll interval
+    const pending = new Set();
+    const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } = global;
+    global.setTimeout = (fn, ms, ...args) => {
+      const timer = realSetTimeout((...a) => { pending.delete(timer); fn(...a); }, ms, ...args);
+      if (ms == 60000) pending.add(timer);
+      return timer;
+    };
+    global.clearTimeout = (timer) => {
+      pending.delete(timer);
+      realClearTimeout(timer);
+    };
+    try {
+      const running = monitor.run(60000);
+      while (pending.size == 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      monitor.stop();
+      await running;
+      expect(pending.size).equal(0);
+    } finally {
+      global.setTimeout = realSetTimeout;
+      global.clearTimeout = realClearTimeout;
+    }
+  });
+
+  it("test monitor task", async function () {
+    const rules = path.join(dir, "rules.json");
+    const log = path.join(dir, "alerts.jsonl");
+    fs.writeFileSync(rules, JSON.stringify({
+      contracts: [
+        { name: "CnydToken", kind: "CnydToken", address: cnydToken.address },
+        { name: "CnydAdmin", kind: "CnydAdmin", address: cnydAdmin.address },
+        { name: "AMAX", kind: "BEP20", address: bep20.address, network: "bsc_main" },
+      ],
+      rules: [{ name: "force transfer", event: "ForceTransfer" }],
+      sinks: [{ type: "webhook", url: webhook.url }, { type: "log", file: log }],
+    }));
+    const out = path.join(dir, "state");
+
+    // the first run starts from the next block
+    let monitor = await hre.run("monitor", { rules, out, once: true });
+    expect(monitor.contracts.map(c => c.name)).to.deep.equal(["CnydToken", "CnydAdmin"]);
+    await mint(users[0].address, 10_000000);
+    await cnydAdmin.forceTransfer(users[0].address, users[1].address, 1_000000);
+    await hre.run("monitor", { rules, out, once: true });
+    await hre.run("monitor", { rules, out, once: true });
+    expect(webhook.alerts.map(a => a.rule)).to.deep.equal(["force transfer"]);
+    expect(fs.readFileSync(log, "utf8").trim().split("\n").length).equal(1);
+  });
+
+  it("test matchEvent", async function () {
+    const e = { contract: "CnydAdmin", event: "MintApproved", args: { to: users[0].address.toLowerCase(), amount: "1000000000" } };
+    expect(matchEvent({ event: "MintApproved", minAmount: "1000" }, e, 6)).equal(true);
+    expect(matchEvent({ event: "MintApproved", minAmount: "1000.000001" }, e, 6)).equal(false);
+    expect(matchEvent({ event: "MintApproved", contract: "CnydToken" }, e, 6)).equal(false);
+    expect(matchEvent({ event: "MintApproved", args: { to: users[0].address } }, e, 6)).equal(true);
+    expect(matchEvent({ event: "MintApproved", args: { to: users[1].address } }, e, 6)).equal(false);
+    expect(matchEvent({ event: "MintApproved", minAmount: "1", amountArg: "value" }, e, 6)).equal(false);
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// the private keys of the default hardhat accounts
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const privateKeyOf = (index) => ethers.Wallet.fromMnemonic(HARDHAT_MNEMONIC, `m/44'/60'/0'/0/${index}`).privateKey;
+
+describe("Offline signing tasks", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.TEST_APPROVER_KEY;
+  });
+
+  async function approveOffline(action, approverIndex, id = 1) {
+    const unsignedFile = path.join(dir, `${action}-${approverIndex}.unsigned.json`);
+    const signedFile = path.join(dir, `${action}-${approverIndex}.signed.json`);
+    await hre.run("buildApproveTx", {
+      admin: cnydAdmin.address, action, id,
+      from: approvers[approverIndex].address, approved: true, out: unsignedFile,
+    });
+    process.env.TEST_APPROVER_KEY = privateKeyOf(approverIndex + 1);
+    await hre.run("signTx", { in: unsignedFile, out: signedFile, keyEnv: "TEST_APPROVER_KEY" });
+    return hre.run("broadcastTx", { in: signedFile });
+  }
+
+  it("test offline approve mint", async function () {
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 100_000000);
+
+    const unsigned = await hre.run("buildApproveTx", {
+      admin: cnydAdmin.address, action: "mint", id: 1,
+      from: approvers[0].address, approved: true, out: path.join(dir, "tx.json"),
+    });
+    expect(unsigned.tx.chainId).equal(31337);
+    expect(unsigned.tx.nonce).equal(await ethers.provider.getTransactionCount(approvers[0].address));
+    expect(unsigned.description).to.include(`approveMint(id=1, approved=true, to=${users[0].address}, amount=100000000)`);
+
+    for (let i = 0; i < 2; i++) {
+      await approveOffline("mint", i);
+    }
+    const { events } = await approveOffline("mint", 2);
+    expect(events.map(e => e.name)).to.deep.equal(["MintApproved", "MintExecuted"]);
+    expect(await cnydToken.balanceOf(users[0].address)).equal(100_000000);
+  });
+
+  it("test offline approve burn and approver", async function () {
+    await cnydAdmin.connect(proposers[0]).proposeMint(cnydToken.address, 100_000000);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(1, true, cnydToken.address, 100_000000);
+    }
+    await cnydAdmin.connect(proposers[0]).proposeBurn(40_000000);
+    for (let i = 0; i < 3; i++) {
+      await approveOffline("burn", i, 2);
+    }
+    expect(await cnydToken.totalSupply()).equal(60_000000);
+
+    await cnydAdmin.connect(proposers[0]).proposeApprover(1, users[1].address);
+    for (let i = 0; i < 3; i++) {
+      await approveOffline("approver", i, 3);
+    }
+    expect(await cnydAdmin.approvers(1)).equal(users[1].address);
+  });
+
+  it("test sign with mismatched key", async function () {
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 100_000000);
+    const unsignedFile = path.join(dir, "tx.json");
+    await hre.run("buildApproveTx", {
+      admin: cnydAdmin.address, action: "mint", id: 1,
+      from: approvers[0].address, approved: true, out: unsignedFile,
+    });
+    process.env.TEST_APPROVER_KEY = privateKeyOf(2);
+    let error;
+    await hre.run("signTx", { in: unsignedFile, out: path.join(dir, "signed.json"), keyEnv: "TEST_APPROVER_KEY" })
+      .catch(e => { error = e; });
+    expect(error.message).to.include("but the transaction is to be signed by");
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const { buildPermitTypedData, signPermit, recoverPermitSigner } = require("../lib/permit");
+
+// the private keys of the default hardhat accounts
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const privateKeyOf = (index) => ethers.Wallet.fromMnemonic(HARDHAT_MNEMONIC, `m/44'/60'/0'/0/${index}`).privateKey;
+
+const B = BigNumber.from;
+
+describe("CnydToken permit", function () {
+  let accounts;
+  let owner;
+  let feeRecipient;
+  let relayer;
+  let users;
+
+  let token;
+  let dir;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function submit(permit, sender = relayer) {
+    return token.connect(sender).permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    feeRecipient = accounts[1];
+    relayer = accounts[2];
+    users = accounts.slice(9, 12);
+
+    token = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    await token.setFeeRecipient(feeRecipient.address);
+    await token.setAdminFeeRatio(10); // 0.1%
+    await token.mint(users[0].address, 100_000000);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.TEST_USER_KEY;
+  });
+
+  it("test permit then transferFrom with fee", async function () {
+    const deadline = await latestTimestamp() + 3600;
+    const permit = await signPermit(users[0], token, { spender: relayer.address, value: 10_000000, deadline });
+    expect(permit.nonce).equal("0");
+    expect(recoverPermitSigner(permit, "CNY Digital")).equal(users[0].address);
+
+    await expect(submit(permit)).to.emit(token, "Approval").withArgs(users[0].address, relayer.address, 10_000000);
+    expect(await token.allowance(users[0].address, relayer.address)).equal(10_000000);
+    expect(await token.nonces(users[0].address)).equal(1);
+
+    // the fee is charged on the transfer following the permit
+    await token.connect(relayer).transferFrom(users[0].address, users[1].address, 10_000000);
+    expect(await token.balanceOf(users[1].address)).equal(9_990000);
+    expect(await token.balanceOf(feeRecipient.address)).equal(10000);
+    expect(await token.balanceOf(users[0].address)).equal(90_000000);
+    expect(await token.allowance(users[0].address, relayer.address)).equal(0);
+
+    // the whitelist applies too
+    await token.addFeeWhitelist([users[2].address]);
+    const next = await signPermit(users[0], token, { spender: relayer.address, value: 5_000000, deadline });
+    expect(next.nonce).equal("1");
+    await submit(next);
+    await token.connect(relayer).transferFrom(users[0].address, users[2].address, 5_000000);
+    expect(await token.balanceOf(users[2].address)).equal(5_000000);
+  });
+
+  it("test permit expiry and nonce replay", async function () {
+    const deadline = await latestTimestamp() + 60;
+    const permit = await signPermit(users[0], token, { spender: relayer.address, value: 1_000000, deadline });
+    await network.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+    await expect(submit(permit)).to.be.revertedWith("ERC20Permit: expired deadline");
+    expect(await token.nonces(users[0].address)).equal(0);
+
+    const valid = await signPermit(users[0], token, { spender: relayer.address, value: 1_000000, deadline: deadline + 3600 });
+    await submit(valid);
+    await expect(submit(valid)).to.be.revertedWith("ERC20Permit: invalid signature");
+
+    // a permit for a stale nonce, or tampered with, is not the owner's signature
+    const stale = await signPermit(users[0], token, { spender: relayer.address, value: 1_000000, deadline: deadline + 3600, nonce: 0 });
+    await expect(submit(stale)).to.be.revertedWith("ERC20Permit: invalid signature");
+    const fresh = await signPermit(users[0], token, { spender: relayer.address, value: 1_000000, deadline: deadline + 3600 });
+    await expect(submit({ ...fresh, value: 2_000000 })).to.be.revertedWith("ERC20Permit: invalid signature");
+    await submit(fresh);
+    expect(await token.nonces(users[0].address)).equal(2);
+  });
+
+  it("test permit while paused or frozen", async function () {
+    const deadline = await latestTimestamp() + 3600;
+    const permit = await signPermit(users[0], token, { spender: relayer.address, value: 1_000000, deadline });
+
+    await token.pause();
+    await expect(submit(permit)).to.be.revertedWith("Pausable: paused");
+    await token.unpause();
+
+    // the frozen owner, spender or sender
+    for (const account of [users[0], relayer]) {
+      await token.freezeAccount(account.address);
+      await expect(submit(permit)).to.be.revertedWith("account frozen");
+      await token.unfreezeAccount(account.address);
+    }
+    await token.freezeAccount(users[1].address);
+    await expect(submit(permit, users[1])).to.be.revertedWith("account frozen");
+    await token.unfreezeAccount(users[1].address);
+    expect(await token.nonces(users[0].address)).equal(0);
+    await submit(permit);
+  });
+
+  it("test typed data", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const typedData = buildPermitTypedData({
+      token: token.address, chainId, name: await token.name(),
+      owner: users[0].address, spender: relayer.address, value: B(1), nonce: 0, deadline: 100,
+    });
+    expect(ethers.utils._TypedDataEncoder.hashDomain(typedData.domain)).equal(await token.DOMAIN_SEPARATOR());
+    expect(typedData.message).to.deep.equal({
+      owner: users[0].address, spender: relayer.address, value: "1", nonce: "0", deadline: 100,
+    });
+  });
+
+  it("test signPermit and permitTransfer tasks", async function () {
+    process.env.TEST_USER_KEY = privateKeyOf(9);
+    const file = path.join(dir, "permit.json");
+    const permit = await hre.run("signPermit", {
+      token: token.address, spender: relayer.address, value: "20", out: file, keyEnv: "TEST_USER_KEY", validFor: 600,
+    });
+    expect(permit.owner).equal(users[0].address);
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal(permit);
+
+    // checked before sending
+    let error;
+    await hre.run("permitTransfer", { in: file, to: users[1].address }).catch(e => { error = e; });
+    expect(error.message).to.contain(`but the relayer is ${owner.address}`);
+    error = undefined;
+    await hre.run("permitTransfer", { in: file, to: users[1].address, amount: "21", signer: relayer.address }).catch(e => { error = e; });
+    expect(error.message).to.contain("exceeds the permit value 20.0");
+
+    const result = await hre.run("permitTransfer", { in: file, to: users[1].address, amount: "15", signer: relayer.address });
+    expect(result.receivedAmount).equal(14_985000);
+    expect(result.feeAmount).equal(15000);
+    expect(await token.balanceOf(users[1].address)).equal(14_985000);
+    expect(await token.allowance(users[0].address, relayer.address)).equal(5_000000);
+
+    // replaying the permit file
+    error = undefined;
+    await hre.run("permitTransfer", { in: file, to: users[1].address, signer: relayer.address }).catch(e => { error = e; });
+    expect(error.message).to.contain("is not the current nonce 1");
+
+    const expired = path.join(dir, "expired.json");
+    await hre.run("signPermit", { token: token.address, spender: relayer.address, value: "1", out: expired, keyEnv: "TEST_USER_KEY", validFor: 60 });
+    await network.provider.send("evm_increaseTime", [61]);
+    await network.provider.send("evm_mine");
+    error = undefined;
+    await hre.run("permitTransfer", { in: expired, to: users[1].address, signer: relayer.address }).catch(e => { error = e; });
+    expect(error.message).to.contain("The permit expired at");
+  });
+});
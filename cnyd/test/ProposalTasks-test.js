@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { ethers } = require("hardhat");
+const { queryProposals } = require("../tasks/proposal");
+
+const B = BigNumber.from;
+
+async function expectRejected(promise, message) {
+  let error;
+  await promise.catch(e => { error = e; });
+  expect(error, `expected to be rejected with "${message}"`).to.be.an("error");
+  expect(error.message).to.include(message);
+}
+
+describe("Proposal tasks", function () {
+  // global variants
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+  });
+
+  const approveMint = (approver, approved = true, id = 1) => hre.run("approveMint", {
+    admin: cnydAdmin.address, id, approved, signer: approver.address,
+  });
+
+  it("test mint proposal tasks", async function () {
+    await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "100.5", signer: proposers[0].address,
+    });
+    const [proposal, data] = await cnydAdmin.getMintProposal(1);
+    expect(proposal.proposer).equal(proposers[0].address);
+    expect(data.to).equal(users[0].address);
+    expect(data.amount).equal(B(100_500000));
+
+    await approveMint(approvers[0]);
+    await expectRejected(approveMint(approvers[0]), "has already been approved");
+    await expectRejected(approveMint(users[0]), "is not an approver");
+    await approveMint(approvers[1]);
+    const receipt = await approveMint(approvers[2]);
+
+    expect(receipt.events.filter(e => e.event === "MintApproved")).length(1);
+    expect(await cnydToken.balanceOf(users[0].address)).equal(100_500000);
+    await expectRejected(approveMint(approvers[0]), "The mint proposal #1 is executed");
+    await expectRejected(approveMint(approvers[0], true, 2), "No mint proposal #2");
+  });
+
+  it("test expired and opposed mint proposal", async function () {
+    await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "1", signer: proposers[0].address,
+    });
+    await expectRejected(hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "1", signer: users[0].address,
+    }), "is not a proposer");
+
+    await approveMint(approvers[0], false);
+    await expectRejected(approveMint(approvers[1]), "The mint proposal #1 is rejected");
+
+    await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "1", signer: proposers[0].address,
+    });
+    await ethers.provider.send("evm_increaseTime", [(await cnydAdmin.proposalDuration()).toNumber() + 1]);
+    await ethers.provider.send("evm_mine", []);
+    await expectRejected(approveMint(approvers[0], true, 2), "expired at");
+  });
+
+  it("test burn proposal tasks", async function () {
+    await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: cnydToken.address, amount: "10", signer: proposers[0].address,
+    });
+    for (const approver of approvers) {
+      await approveMint(approver);
+    }
+
+    await expectRejected(hre.run("proposeBurn", {
+      admin: cnydAdmin.address, amount: "11", signer: proposers[0].address,
+    }), "exceeds the balance");
+    await hre.run("proposeBurn", { admin: cnydAdmin.address, amount: "4", signer: proposers[0].address });
+
+    let receipt;
+    for (const approver of approvers) {
+      receipt = await hre.run("approveBurn", {
+        admin: cnydAdmin.address, id: 2, approved: true, signer: approver.address,
+      });
+    }
+    expect(receipt.events.filter(e => e.event === "BurnApproved")).length(1);
+    expect(await cnydToken.balanceOf(cnydToken.address)).equal(6_000000);
+    expect(await cnydToken.totalSupply()).equal(6_000000);
+  });
+
+  it("test approver set proposal tasks", async function () {
+    const newApprovers = [approvers[0].address, approvers[1].address, users[0].address, users[1].address, users[2].address];
+    await expectRejected(hre.run("proposeApproverSet", {
+      admin: cnydAdmin.address, approvers: newApprovers, threshold: 6, signer: proposers[0].address,
+    }), "Invalid threshold: 6");
+    await hre.run("proposeApproverSet", {
+      admin: cnydAdmin.address, approvers: newApprovers, threshold: 3, signer: proposers[0].address,
+    });
+
+    const approveApproverSet = (approver) => hre.run("approveApproverSet", {
+      admin: cnydAdmin.address, id: 1, signer: approver.address,
+    });
+    await expectRejected(hre.run("approveMint", { admin: cnydAdmin.address, id: 1, signer: approvers[0].address }),
+      "No mint proposal #1");
+    await approveApproverSet(approvers[0]);
+    await expectRejected(approveApproverSet(users[0]), "is not an approver");
+    await approveApproverSet(approvers[1]);
+    const receipt = await approveApproverSet(approvers[2]);
+
+    expect(receipt.events.filter(e => e.event === "ApprovedThresholdChanged")).length(0);
+    expect(await cnydAdmin.getApprovers()).to.deep.equal(newApprovers);
+    expect(await cnydAdmin.APPROVER_COUNT()).equal(5);
+    expect(await cnydAdmin.APPROVED_THRESHOLD()).equal(3);
+
+    // 3 of the 5 approvers execute a mint
+    await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "1", signer: proposers[0].address,
+    });
+    await approveMint(users[0], true, 2);
+    await approveMint(users[1], true, 2);
+    await expectRejected(approveMint(approvers[2], true, 2), "is not an approver");
+    await approveMint(approvers[0], true, 2);
+    expect(await cnydToken.balanceOf(users[0].address)).equal(1_000000);
+  });
+
+  it("test executeMint task", async function () {
+    await hre.run("setMintLimit", { admin: cnydAdmin.address, period: 86400, cap: "150", delay: 3600 });
+    expect(await cnydAdmin.mintCap()).equal(150_000000);
+    expect(await cnydAdmin.mintDelay()).equal(3600);
+    await expectRejected(hre.run("setMintLimit", { admin: cnydAdmin.address, cap: "1" }), "must be set together");
+
+    // start at a day so that the mints fall into one cap period
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp - timestamp % 86400 + 86400]);
+    for (const amount of [100, 40, 30, 5]) {
+      await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, amount * 1_000000);
+    }
+    for (const id of [1, 2, 3, 4]) {
+      for (const approver of approvers) {
+        await approveMint(approver, true, id);
+      }
+    }
+    await expectRejected(hre.run("executeMint", { admin: cnydAdmin.address, id: 1 }), "The mint proposal #1 is executable at");
+    await expectRejected(hre.run("cancelMint", { admin: cnydAdmin.address, id: 4, signer: users[0].address }), "is not an approver");
+    await hre.run("cancelMint", { admin: cnydAdmin.address, id: 4, signer: approvers[0].address });
+    await expectRejected(hre.run("cancelMint", { admin: cnydAdmin.address, id: 4 }), "No queued mint proposal #4");
+
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await hre.run("executeMint", { admin: cnydAdmin.address, dryRun: true })).length(0);
+
+    // mint #3 exceeds the cap left by #1 and #2 and stays queued
+    const receipts = await hre.run("executeMint", { admin: cnydAdmin.address, signer: users[1].address });
+    expect(receipts.map(r => r.events.find(e => e.event === "MintExecuted").args.id.toNumber())).to.deep.equal([1, 2]);
+    expect(await cnydToken.balanceOf(users[0].address)).equal(140_000000);
+    const queued = await hre.run("listProposals", { admin: cnydAdmin.address, status: "queued", format: "json" });
+    expect(queued.map(p => p.id)).to.deep.equal([3]);
+    await expectRejected(hre.run("executeMint", { admin: cnydAdmin.address, id: 3 }), "exceeds the mint cap");
+  });
+
+  it("test fee change tasks", async function () {
+    const proposeFeeChange = (args) => hre.run("proposeFeeChange", { admin: cnydAdmin.address, signer: proposers[0].address, ...args });
+    const approveFeeChange = (approver, id) => hre.run("approveFeeChange", { admin: cnydAdmin.address, id, signer: approver.address });
+
+    await expectRejected(proposeFeeChange({ ratio: 20, recipient: users[0].address }), "Exactly one of");
+    await expectRejected(proposeFeeChange({ ratio: 501 }), "Invalid ratio: 501, must be in 0..500");
+    await expectRejected(proposeFeeChange({ ratio: 20, signer: owner.address }), "is not a proposer");
+    await proposeFeeChange({ ratio: 20 });
+    await expectRejected(approveFeeChange(owner, 1), "is not an approver");
+    for (const approver of approvers) {
+      await approveFeeChange(approver, 1);
+    }
+    expect(await cnydToken.adminFeeRatio()).equal(20);
+
+    await expectRejected(proposeFeeChange({ timelock: 30 * 86400 + 1 }), "Invalid timelock: 2592001, must be in 0..2592000");
+    await proposeFeeChange({ timelock: 3600 });
+    for (const approver of approvers) {
+      await approveFeeChange(approver, 2);
+    }
+    await proposeFeeChange({ recipient: users[0].address });
+    await proposeFeeChange({ addWhitelist: [users[1].address, users[2].address] });
+    await approveFeeChange(approvers[0], 4);
+    for (const approver of approvers) {
+      await approveFeeChange(approver, 3);
+    }
+    await expectRejected(hre.run("executeFeeChange", { admin: cnydAdmin.address, id: 4 }), "The fee proposal #4 is pending, not queued");
+    await expectRejected(hre.run("executeFeeChange", { admin: cnydAdmin.address, id: 3 }), "The fee proposal #3 is executable at");
+
+    const { current, proposals } = await hre.run("listFeeChanges", { admin: cnydAdmin.address, format: "json" });
+    expect(current).to.include({ adminFeeRatio: 20, maxAdminFeeRatio: 500, feeTimelock: 3600, feeRecipient: ethers.constants.AddressZero });
+    expect(proposals.map(p => [p.id, p.status, p.target])).to.deep.equal([
+      [3, "queued", `recipient ${users[0].address}`],
+      [4, "pending", `addWhitelist ${users[1].address} ${users[2].address}`],
+    ]);
+    await hre.run("listFeeChanges", { admin: cnydAdmin.address });
+
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine", []);
+    const receipt = await hre.run("executeFeeChange", { admin: cnydAdmin.address, id: 3, signer: users[0].address });
+    expect(receipt.events.filter(e => e.event === "FeeExecuted")).length(1);
+    expect(await cnydToken.feeRecipient()).equal(users[0].address);
+  });
+
+  it("test listProposals task", async function () {
+    await cnydAdmin.setProposer(proposers[1].address, true);
+    const receipt = await hre.run("proposeMint", {
+      admin: cnydAdmin.address, to: users[0].address, amount: "100.5", signer: proposers[0].address,
+    });
+    expect(receipt.events.find(e => e.event === "MintProposed").args.id).equal(1);
+    await approveMint(approvers[1]);
+    await cnydAdmin.connect(proposers[1]).proposeApprover(2, users[1].address);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[1].address, 1_000000);
+    await cnydAdmin.connect(approvers[0]).approveMint(3, false, users[1].address, 1_000000);
+
+    let proposals = await hre.run("listProposals", { admin: cnydAdmin.address, format: "json" });
+    expect(proposals).length(2);
+    expect(proposals[0]).to.include({
+      id: 1, kind: "mint", status: "pending", proposer: proposers[0].address, target: users[0].address, amount: "100.5", required: 2,
+    });
+    expect(proposals[0].signed).to.deep.equal([approvers[1].address]);
+    expect(proposals[0].missing).to.deep.equal([approvers[0].address, approvers[2].address]);
+    expect(proposals[1]).to.include({ id: 2, kind: "approver", proposer: proposers[1].address, required: 3 });
+    expect(proposals[1].timeLeft).to.be.at.most((await cnydAdmin.proposalDuration()).toNumber());
+
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, proposer: proposers[0].address, status: "all", format: "json" });
+    expect(proposals.map(p => [p.id, p.status])).to.deep.equal([[1, "pending"], [3, "rejected"]]);
+    await expectRejected(hre.run("listProposals", { admin: cnydAdmin.address, status: "approving" }), "Invalid status: approving");
+
+    await hre.run("listProposals", { admin: cnydAdmin.address, format: "table" });
+
+    await ethers.provider.send("evm_increaseTime", [(await cnydAdmin.proposalDuration()).toNumber() + 1]);
+    await ethers.provider.send("evm_mine", []);
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, format: "json" });
+    expect(proposals).length(0);
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, status: "expired", format: "json" });
+    expect(proposals.map(p => p.id)).to.deep.equal([1, 2]);
+  });
+
+  it("test listProposals pages and counts the current approvers", async function () {
+    for (let i = 0; i < 5; i++) {
+      await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 1_000000);
+    }
+    let proposals = await hre.run("listProposals", { admin: cnydAdmin.address, status: "all", limit: 2, format: "json" });
+    expect(proposals.map(p => p.id)).to.deep.equal([4, 5]);
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, status: "all", fromId: 2, limit: 2, format: "json" });
+    expect(proposals.map(p => p.id)).to.deep.equal([2, 3]);
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, status: "all", fromId: 6, format: "json" });
+    expect(proposals).length(0);
+
+    // the pending ones are read back to the first expired only
+    await ethers.provider.send("evm_increaseTime", [(await cnydAdmin.proposalDuration()).toNumber() + 1]);
+    await ethers.provider.send("evm_mine", []);
+    await cnydAdmin.connect(proposers[0]).proposeMint(users[0].address, 1_000000);
+    await cnydAdmin.connect(approvers[0]).approveMint(6, true, users[0].address, 1_000000);
+    let reads = 0;
+    const counted = Object.create(cnydAdmin, {
+      getProposal: { value: (id) => { reads++; return cnydAdmin.getProposal(id); } },
+    });
+    proposals = await queryProposals(hre, counted, 6);
+    expect(proposals.map(p => p.id)).to.deep.equal([6]);
+    expect(reads).equal(2);
+
+    // the signature of a replaced approver no longer counts
+    expect(proposals[0].required).equal(2);
+    await cnydAdmin.connect(proposers[0]).proposeApprover(0, users[1].address);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveApprover(7, 0, users[1].address);
+    }
+    proposals = await hre.run("listProposals", { admin: cnydAdmin.address, format: "json" });
+    expect(proposals[0]).to.include({ id: 6, required: 3 });
+    expect(proposals[0].signed).to.deep.equal([approvers[0].address]);
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { hashBatchMint } = require("../lib/proposals");
+
+describe("Reconcile task", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let feeRecipient;
+  let users;
+
+  let cnydToken;
+  let cnydAdmin;
+  let dir;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    feeRecipient = accounts[8];
+    users = accounts.slice(9, 12);
+
+    cnydToken = await (await ethers.getContractFactory("CnydToken")).connect(owner).deploy();
+    cnydAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(owner).deploy();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function setUpAdmin() {
+    await cnydToken.setFeeRecipient(feeRecipient.address);
+    await cnydToken.setAdminFeeRatio(200);
+    await cnydToken.proposeOwner(cnydAdmin.address);
+    await cnydAdmin.init(cnydToken.address, approvers.map(a => a.address), approvers.length);
+    await cnydAdmin.setProposer(proposers[0].address, true);
+  }
+
+  async function mint(to, amount) {
+    await cnydAdmin.connect(proposers[0]).proposeMint(to, amount);
+    const id = await cnydAdmin.proposalCount();
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(id, true, to, amount);
+    }
+  }
+
+  it("test reconcile ties out", async function () {
+    await setUpAdmin();
+    await mint(users[0].address, 1000_000000);
+    const fromBlock = await ethers.provider.getBlockNumber() + 1;
+
+    await mint(users[1].address, 500_000000);
+    await cnydToken.connect(users[0]).transfer(users[2].address, 100_000000);
+    await cnydAdmin.forceTransfer(users[1].address, cnydToken.address, 50_000000);
+    await cnydAdmin.connect(proposers[0]).proposeBurn(50_000000);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveBurn(3, true, 50_000000);
+    }
+
+    const out = path.join(dir, "report.csv");
+    const report = await hre.run("reconcile", {
+      token: cnydToken.address, admin: cnydAdmin.address, fromBlock, format: "csv", out,
+    });
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.openingSupply).equal(1000_000000);
+    expect(report.closingSupply).equal(1450_000000);
+    expect(report.minted).equal(500_000000);
+    expect(report.approvedMinted).equal(500_000000);
+    expect(report.burned).equal(50_000000);
+    expect(report.approvedBurned).equal(50_000000);
+    expect(report.fees).equal(2_000000);
+    expect(report.forceTransferred).equal(50_000000);
+    expect(report.forceTransfers).length(1);
+
+    const csv = fs.readFileSync(out, "utf8");
+    expect(csv).to.include("openingSupply,1000.0");
+    expect(csv).to.include("fees,2.0");
+  });
+
+  it("test reconcile ties out batch mints", async function () {
+    await setUpAdmin();
+    const fromBlock = await ethers.provider.getBlockNumber() + 1;
+    const tos = users.map(u => u.address);
+    const amounts = [100_000000, 200_000000, 300_000000];
+    await cnydAdmin.connect(proposers[0]).proposeBatchMint(tos, amounts);
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveBatchMint(1, true, hashBatchMint(tos, amounts));
+    }
+    await cnydAdmin.connect(users[0]).executeBatchMint(1, tos, amounts);
+    await mint(users[0].address, 50_000000);
+
+    const report = await hre.run("reconcile", {
+      token: cnydToken.address, admin: cnydAdmin.address, fromBlock, out: path.join(dir, "report.json"),
+    });
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.minted).equal(650_000000);
+    expect(report.approvedMinted).equal(650_000000);
+    expect(report.closingSupply).equal(650_000000);
+  });
+
+  it("test reconcile counts only the charged fees of a multi-transfer tx", async function () {
+    await setUpAdmin();
+    await mint(users[0].address, 1000_000000);
+    const batch = await (await ethers.getContractFactory("TransferBatch")).deploy();
+    await cnydToken.connect(users[0]).transfer(batch.address, 500_000000);
+    const fromBlock = await ethers.provider.getBlockNumber() + 1;
+
+    // a payment to the fee recipient right after a transfer of the same sender
+    await batch.transfer(cnydToken.address, [users[1].address, feeRecipient.address], [100_000000, 50_000000]);
+
+    // no --admin, the proposal check only runs with a CnydAdmin in the manifest
+    const report = await hre.run("reconcile", { token: cnydToken.address, fromBlock, out: path.join(dir, "report.json") });
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.fees).equal(3_000000);
+    expect(await cnydToken.balanceOf(feeRecipient.address)).equal(2_000000 + 10_000000 + 50_000000);
+  });
+
+  it("test reconcile fails on a mint without proposal", async function () {
+    await cnydToken.mint(users[0].address, 1000_000000);
+    await setUpAdmin();
+    await mint(users[1].address, 500_000000);
+
+    let error;
+    await hre.run("reconcile", {
+      token: cnydToken.address, admin: cnydAdmin.address, fromBlock: 0, out: path.join(dir, "report.json"),
+    }).catch(e => { error = e; });
+    expect(error.message).to.include("1 mismatches");
+    expect(error.message).to.include(`Mint of 1000000000 to ${users[0].address}`);
+
+    const report = JSON.parse(fs.readFileSync(path.join(dir, "report.json"), "utf8"));
+    expect(report.minted).equal("1500.0");
+    expect(report.approvedMinted).equal("500.0");
+  });
+});
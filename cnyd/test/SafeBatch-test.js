@@ -0,0 +1,203 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { calculateChecksum } = require("amax-hardhat-common/safe");
+
+describe("Safe batch output", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+
+  let token;
+  let admin;
+  let dir;
+
+  async function run(name, args) {
+    let error;
+    const result = await hre.run(name, args).catch(e => { error = e; });
+    return { result, error };
+  }
+
+  /**
+   * Executes the batch transactions by `executor`, standing in for the Safe.
+   */
+  async function execute(batch, executor = owner) {
+    for (const tx of batch.transactions) {
+      await (await executor.sendTransaction({ to: tx.to, data: tx.data, value: ethers.BigNumber.from(tx.value) })).wait();
+    }
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+
+    token = await hre.run("deployCnydToken");
+    admin = await hre.run("deployCnydAdmin");
+    await hre.run("initCnydAdmin", { approvers: approvers.map(a => a.address) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("test owner tasks export Safe batches", async function () {
+    const file = path.join(dir, "setProposer.json");
+    const { result } = await run("setProposer", { account: proposers[0].address, safe: file });
+    const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(batch).to.deep.equal(result.batch);
+    expect(batch.chainId).equal("31337");
+    expect(batch.meta.createdFromSafeAddress).equal(owner.address);
+    expect(batch.meta.checksum).equal(calculateChecksum(batch));
+    expect(batch.transactions).to.deep.equal([{
+      to: admin.address,
+      value: "0",
+      data: admin.interface.encodeFunctionData("setProposer", [proposers[0].address, true]),
+      contractMethod: {
+        inputs: [
+          { internalType: "address", name: "account", type: "address" },
+          { internalType: "bool", name: "enabled", type: "bool" },
+        ],
+        name: "setProposer",
+        payable: false,
+      },
+      contractInputsValues: { account: proposers[0].address, enabled: "true" },
+    }]);
+    expect(batch.meta.description).equal(`setProposer(account=${proposers[0].address}, enabled=true) on ${admin.address}`);
+    // nothing sent
+    expect(await admin.proposers(proposers[0].address)).equal(false);
+    await execute(batch);
+    expect(await admin.proposers(proposers[0].address)).equal(true);
+    // no batch certain to revert
+    const noop = await run("setProposer", { account: proposers[0].address, safe: file });
+    expect(noop.error.message).to.contain(`The proposer ${proposers[0].address} is already enabled`);
+
+    // the mint limit and delay in one batch
+    await run("setMintLimit", { period: 3600, cap: "1000", delay: 600, safe: file });
+    await execute(JSON.parse(fs.readFileSync(file, "utf8")));
+    expect(await admin.mintCap()).equal(1000_000000);
+    expect(await admin.mintDelay()).equal(600);
+
+    await run("setProposalDuration", { duration: 7200, safe: file });
+    await execute(JSON.parse(fs.readFileSync(file, "utf8")));
+    expect(await admin.proposalDuration()).equal(7200);
+
+    // pause through the governing CnydAdmin
+    const { result: paused } = await run("pause", { safe: file });
+    expect(paused.batch.transactions[0].to).equal(admin.address);
+    await execute(paused.batch);
+    expect(await token.paused()).equal(true);
+    let { error } = await run("pause", { safe: file });
+    expect(error.message).to.contain("CnydToken is already paused");
+  });
+
+  it("test freeze exports a Safe batch", async function () {
+    await admin.freezeAccount(users[1].address);
+    const file = path.join(dir, "freeze.csv");
+    fs.writeFileSync(file, ["address", ...users.map(u => u.address)].join("\n"));
+    const safe = path.join(dir, "freeze.json");
+
+    const results = await hre.run("freeze", { token: token.address, file, safe });
+    expect(results.map(r => r.status)).to.deep.equal(["batched", "skipped", "batched"]);
+    const batch = JSON.parse(fs.readFileSync(safe, "utf8"));
+    expect(batch.transactions.map(tx => tx.contractInputsValues.account)).to.deep.equal([users[0].address, users[2].address]);
+    await execute(batch);
+    for (const user of users) {
+      expect(await token.isAccountFrozen(user.address)).equal(true);
+    }
+  });
+
+  it("test setup tasks export Safe batches", async function () {
+    const file = path.join(dir, "batch.json");
+    // init the fee timelock and the admin of a new token in batches
+    const newToken = await (await ethers.getContractFactory("CnydToken")).deploy();
+    const newAdmin = await (await ethers.getContractFactory("CnydAdmin")).deploy();
+    await run("setFeeTimelock", { admin: newAdmin.address, timelock: 3600, safe: file });
+    await execute(JSON.parse(fs.readFileSync(file, "utf8")));
+    expect(await newAdmin.feeTimelock()).equal(3600);
+    const { result } = await run("initCnydAdmin", {
+      admin: newAdmin.address, token: newToken.address, approvers: approvers.map(a => a.address), safe: file,
+    });
+    expect(result.batch.transactions.map(tx => [tx.to, tx.contractMethod.name])).to.deep.equal([
+      [newToken.address, "proposeOwner"], [newAdmin.address, "init"],
+    ]);
+    expect(await newAdmin.isInit()).equal(false);
+    await execute(result.batch);
+    expect(await newToken.owner()).equal(newAdmin.address);
+    expect(await newToken.admin()).equal(newAdmin.address);
+
+    let { error } = await run("setFeeTimelock", { admin: newAdmin.address, timelock: 0, safe: file });
+    expect(error.message).to.contain(`CnydAdmin ${newAdmin.address} is init, propose the timelock by the proposeFeeChange task`);
+    const otherAdmin = await (await ethers.getContractFactory("CnydAdmin")).connect(users[0]).deploy();
+    const otherToken = await (await ethers.getContractFactory("CnydToken")).deploy();
+    ({ error } = await run("initCnydAdmin", {
+      admin: otherAdmin.address, token: otherToken.address, approvers: approvers.map(a => a.address), safe: file,
+    }));
+    expect(error.message).to.contain(`The owner ${owner.address} of CnydToken and ${users[0].address} of CnydAdmin differ`);
+
+    // force transfer through the governing CnydAdmin
+    await admin.setProposer(proposers[0].address, true);
+    await admin.connect(proposers[0]).proposeMint(users[0].address, 100_000000);
+    for (const approver of approvers) {
+      await admin.connect(approver).approveMint(1, true, users[0].address, 100_000000);
+    }
+    ({ error } = await run("forceTransfer", { from: users[0].address, to: users[1].address, amount: "101", safe: file }));
+    expect(error.message).to.contain(`Invalid amount: 101, must be positive and at most the balance of ${users[0].address}`);
+    const { result: forced } = await run("forceTransfer", { from: users[0].address, to: users[1].address, amount: "10", safe: file });
+    expect(forced.batch.transactions[0].to).equal(admin.address);
+    expect(await token.balanceOf(users[1].address)).equal(0);
+    await execute(forced.batch);
+    expect(await token.balanceOf(users[1].address)).equal(10_000000);
+  });
+
+  it("test owner checks", async function () {
+    const file = path.join(dir, "batch.json");
+    // sending needs the owner, exporting doesn't
+    let { error } = await run("setProposer", { account: proposers[0].address, signer: users[0].address });
+    expect(error.message).to.contain(`The signer ${users[0].address} is not the owner ${owner.address} of CnydAdmin`);
+    ({ error } = await run("unpause", { signer: users[0].address }));
+    expect(error.message).to.contain("CnydToken is already unpaused");
+    ({ error } = await run("pause", { signer: users[0].address }));
+    expect(error.message).to.contain(`${users[0].address} is neither the admin of CnydToken nor the owner of its CnydAdmin ${admin.address}`);
+    ({ error } = await run("setProposer", { account: proposers[0].address, signer: users[0].address, safe: file }));
+    expect(error).equal(undefined);
+
+    // the fee of a governed token goes through proposals
+    ({ error } = await run("setAdminFeeRatio", { ratio: 10, safe: file }));
+    expect(error.message).to.contain(`CnydToken is governed by CnydAdmin ${admin.address}, propose the ratio by the proposeFeeChange task`);
+
+    // before the handover, the token admin sets it
+    const other = await (await ethers.getContractFactory("CnydToken")).deploy();
+    const { result } = await run("setAdminFeeRatio", { token: other.address, ratio: 10, safe: file });
+    expect(result.batch.transactions[0].to).equal(other.address);
+    await run("setAdminFeeRatio", { token: other.address, ratio: 20 });
+    expect(await other.adminFeeRatio()).equal(20);
+  });
+
+  it("test decodeSafeBatch", async function () {
+    const file = path.join(dir, "batch.json");
+    await run("proposeTokenOwner", { newOwner: users[0].address, safe: file });
+    const { result } = await run("decodeSafeBatch", { in: file });
+    expect(result.problems).to.deep.equal([]);
+    expect(result.calls[0].method).equal("proposeTokenOwner(address)");
+    expect(result.calls[0].args).to.deep.equal([users[0].address]);
+
+    // a tampered batch is reported
+    const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+    batch.transactions[0].contractInputsValues.newOwner = users[1].address;
+    batch.transactions.push({ to: admin.address, value: "1", data: "0x12345678", contractMethod: null, contractInputsValues: null });
+    fs.writeFileSync(file, JSON.stringify(batch));
+    const { error } = await run("decodeSafeBatch", { in: file });
+    expect(error.message).to.contain("checksum mismatch");
+    expect(error.message).to.contain("transaction #0: data does not match proposeTokenOwner and its input values");
+    expect(error.message).to.contain("transaction #1: sends value 1");
+    expect(error.message).to.contain("transaction #1: unknown function selector 0x12345678");
+  });
+});
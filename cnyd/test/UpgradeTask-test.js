@@ -0,0 +1,249 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getContractLayout, getDeployment } = require("amax-hardhat-common/deployment");
+const { compareAbi, compareStorageLayout } = require("../lib/upgrade");
+
+describe("Upgrade tasks", function () {
+  let accounts;
+  let owner;
+  let approvers;
+  let proposers;
+  let users;
+  let token;
+  let admin;
+  let tmpDir;
+
+  async function mint(cnydAdmin, proposer, to, amount) {
+    await cnydAdmin.connect(proposer).proposeMint(to, amount);
+    const id = await cnydAdmin.proposalCount();
+    for (const approver of approvers) {
+      await cnydAdmin.connect(approver).approveMint(id, true, to, amount);
+    }
+  }
+
+  async function migrate(args = {}) {
+    let error;
+    const result = await hre.run("migrateCnydAdmin", args).catch(e => { error = e; });
+    return { result, error };
+  }
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+    approvers = accounts.slice(1, 4);
+    proposers = accounts.slice(5, 8);
+    users = accounts.slice(9, 12);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnyd-"));
+
+    token = await hre.run("deployCnydToken");
+    admin = await hre.run("deployCnydAdmin");
+    await hre.run("initCnydAdmin", { approvers: approvers.map(a => a.address) });
+    for (const proposer of proposers) {
+      await admin.setProposer(proposer.address, true);
+    }
+    await admin.setProposer(proposers[2].address, false);
+    await admin.setProposalDuration(3 * 3600);
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("test migrateCnydAdmin", async function () {
+    await mint(admin, proposers[0], users[0].address, 100_000000);
+    await admin.connect(proposers[1]).proposeMint(users[1].address, 5_000000);
+
+    // pending proposals block the migration unless dropped
+    let { error } = await migrate();
+    expect(error.message).to.match(/1 proposals are pending/);
+
+    const { result: dryRun } = await migrate({ dropPending: true, dryRun: true });
+    expect(dryRun.snapshot).to.deep.equal({
+      address: admin.address,
+      token: token.address,
+      owner: owner.address,
+      approvers: approvers.map(a => a.address),
+      threshold: 3,
+      proposers: [proposers[0].address, proposers[1].address].sort(),
+      proposalDuration: 3 * 3600,
+      mintPeriod: 0,
+      mintCap: "0",
+      mintDelay: 0,
+      feeTimelock: 0,
+    });
+    expect(dryRun.pending.length).equal(1);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(admin.address);
+
+    const { result } = await migrate({ dropPending: true });
+    const newAdmin = result.newAdmin;
+    expect(newAdmin.address).not.equal(admin.address);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(newAdmin.address);
+    expect(await token.owner()).equal(newAdmin.address);
+    expect(await token.admin()).equal(newAdmin.address);
+    for (const [i, approver] of approvers.entries()) {
+      expect(await newAdmin.approvers(i)).equal(approver.address);
+    }
+    expect(await newAdmin.proposers(proposers[0].address)).equal(true);
+    expect(await newAdmin.proposers(proposers[1].address)).equal(true);
+    expect(await newAdmin.proposers(proposers[2].address)).equal(false);
+    expect(await newAdmin.proposalDuration()).equal(3 * 3600);
+    expect(await newAdmin.owner()).equal(owner.address);
+
+    // the old admin lost the token, the new one governs it
+    await expect(admin.pause()).to.be.revertedWith("Administrable: caller is not the admin");
+    await expect(admin.proposeTokenOwner(owner.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await mint(newAdmin, proposers[1], users[1].address, 5_000000);
+    expect(await token.balanceOf(users[1].address)).equal(5_000000);
+    expect(await token.totalSupply()).equal(105_000000);
+  });
+
+  it("test migrateCnydAdmin keeps the mint and fee settings and waits for the queued proposals", async function () {
+    await admin.setMintLimit(86400, 1000_000000);
+    await admin.setMintDelay(3600);
+    await admin.connect(proposers[0]).proposeFeeTimelock(7200);
+    for (const approver of approvers) {
+      await admin.connect(approver).approveFee(1, true, 9, 7200, ethers.constants.AddressZero, []);
+    }
+    expect(await admin.feeTimelock()).equal(7200);
+
+    // an approved mint waits for its delay, the new admin couldn't execute it
+    await mint(admin, proposers[0], users[0].address, 100_000000);
+    let { error } = await migrate();
+    expect(error.message).to.match(/1 proposals are pending or queued/);
+
+    await ethers.provider.send("evm_increaseTime", [3601]);
+    await admin.executeMint(2);
+    expect(await token.balanceOf(users[0].address)).equal(100_000000);
+    const { result } = await migrate();
+    expect(result.pending).length(0);
+    expect(result.snapshot).to.include({ mintPeriod: 86400, mintCap: "1000000000", mintDelay: 3600, feeTimelock: 7200 });
+    const newAdmin = result.newAdmin;
+    expect(await newAdmin.mintPeriod()).equal(86400);
+    expect(await newAdmin.mintCap()).equal(1000_000000);
+    expect(await newAdmin.mintDelay()).equal(3600);
+    expect(await newAdmin.feeTimelock()).equal(7200);
+    expect(await token.owner()).equal(newAdmin.address);
+  });
+
+  it("test migrateCnydAdmin resumes before the handover", async function () {
+    // the connection drops once the new admin is configured
+    const getContractAt = hre.ethers.getContractAt;
+    hre.ethers.getContractAt = async (name, ...args) => {
+      const contract = await getContractAt(name, ...args);
+      if (name != "CnydToken") return contract;
+      return Object.create(contract, { proposedOwner: { value: async () => { throw Error("connection reset"); } } });
+    };
+    let error;
+    try {
+      ({ error } = await migrate());
+    } finally {
+      hre.ethers.getContractAt = getContractAt;
+    }
+    expect(error.message).to.match(/interrupted before the handover, the old CnydAdmin still governs the token, resume by --resume true: connection reset/);
+    const interrupted = await ethers.getContractAt("CnydAdmin", getDeployment(hre, "CnydAdminMigration").address);
+    expect(await interrupted.isInit()).equal(false);
+    expect(await interrupted.proposers(proposers[0].address)).equal(true);
+    expect(await interrupted.proposalDuration()).equal(3 * 3600);
+    expect(await token.owner()).equal(admin.address);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(admin.address);
+
+    const { result } = await migrate({ resume: true });
+    expect(result.newAdmin.address).equal(interrupted.address);
+    expect(await token.owner()).equal(interrupted.address);
+    expect(await interrupted.proposers(proposers[1].address)).equal(true);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(interrupted.address);
+    expect(getDeployment(hre, "CnydAdminMigration")).equal(undefined);
+
+    ({ error } = await migrate({ admin: interrupted.address, resume: true }));
+    expect(error.message).to.contain("No interrupted migration to resume");
+  });
+
+  it("test migrateCnydAdmin exports the handover as a Safe batch", async function () {
+    // the old admin is owned by a Safe, users[2] stands in for it
+    const safe = users[2];
+    await admin.proposeOwner(safe.address);
+    await admin.connect(safe).takeOwnership();
+    let { error } = await migrate();
+    expect(error.message).to.contain(`The signer ${owner.address} is not the owner of the old CnydAdmin, owner: ${safe.address}`);
+
+    const file = path.join(tmpDir, "migration.json");
+    const { result } = await migrate({ safe: file });
+    const newAdmin = result.newAdmin;
+    expect(result.batch.transactions.map(tx => [tx.to, tx.contractMethod.name])).to.deep.equal([
+      [newAdmin.address, "takeOwnership"], [admin.address, "proposeTokenOwner"], [newAdmin.address, "init"],
+    ]);
+    expect(result.batch.meta.createdFromSafeAddress).equal(safe.address);
+    expect(await newAdmin.proposers(proposers[0].address)).equal(true);
+    expect(await token.owner()).equal(admin.address);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(admin.address);
+
+    for (const tx of JSON.parse(fs.readFileSync(file, "utf8")).transactions) {
+      await (await safe.sendTransaction({ to: tx.to, data: tx.data })).wait();
+    }
+    const { result: completed } = await migrate({ resume: true });
+    expect(completed.newAdmin.address).equal(newAdmin.address);
+    expect(await newAdmin.owner()).equal(safe.address);
+    expect(await token.owner()).equal(newAdmin.address);
+    expect(getDeployment(hre, "CnydAdmin").address).equal(newAdmin.address);
+  });
+
+  it("test migrateCnydAdmin refuses breaking changes", async function () {
+    const layout = await getContractLayout(hre, "CnydAdmin");
+    expect(layout.storageLayout.storage.length).greaterThan(0);
+
+    // the old admin had a function the new one lacks
+    const removedFunction = { ...layout, abi: layout.abi.concat([{
+      type: "function", name: "approversCount", inputs: [], outputs: [{ type: "uint256" }], stateMutability: "view",
+    }]) };
+    const baseline = path.join(tmpDir, "baseline.json");
+    fs.writeFileSync(baseline, JSON.stringify(removedFunction));
+    let { error } = await migrate({ baseline });
+    expect(error.message).to.match(/Breaking changes of CnydAdmin/);
+    expect(error.message).to.contain("function approversCount() removed");
+
+    // the new admin moves a storage variable
+    const storage = layout.storageLayout.storage;
+    const movedVariable = { ...layout, storageLayout: { ...layout.storageLayout, storage: [storage[1], storage[0], ...storage.slice(2)] } };
+    fs.writeFileSync(baseline, JSON.stringify(movedVariable));
+    ({ error } = await migrate({ baseline }));
+    expect(error.message).to.contain(`storage: ${storage[1].label} (slot ${storage[1].slot}, offset ${storage[1].offset}) replaced by ${storage[0].label}`);
+    expect(await token.owner()).equal(admin.address);
+
+    // the task writes the baseline of the current sources
+    await hre.run("contractLayout", { out: baseline });
+    ({ error } = await migrate({ baseline, dryRun: true }));
+    expect(error).equal(undefined);
+  });
+
+  it("test layout comparison", async function () {
+    const { abi, storageLayout } = await getContractLayout(hre, "CnydAdmin");
+    expect(compareAbi(abi, abi)).to.deep.equal([]);
+    expect(compareStorageLayout(storageLayout, storageLayout)).to.deep.equal([]);
+
+    // appending is compatible, changing outputs, mutability or types isn't
+    const view = abi.find(f => f.name == "proposalDuration");
+    expect(compareAbi(abi.filter(f => f != view), abi)).to.deep.equal([]);
+    const changed = abi.map(f => f == view ? { ...f, outputs: [{ type: "uint64" }], stateMutability: "nonpayable" } : f);
+    expect(compareAbi(abi, changed)).to.deep.equal([
+      'ABI: function proposalDuration() outputs changed from ["uint256"] to ["uint64"]',
+      "ABI: function proposalDuration() mutability changed from view to nonpayable",
+    ]);
+
+    const last = storageLayout.storage[storageLayout.storage.length - 1];
+    const appended = { ...storageLayout, storage: storageLayout.storage.concat([{ ...last, label: "extra", slot: "99" }]) };
+    expect(compareStorageLayout(storageLayout, appended)).to.deep.equal([]);
+    expect(compareStorageLayout(appended, storageLayout)).to.deep.equal([`storage: extra (slot 99, offset ${last.offset}) removed`]);
+
+    const duration = storageLayout.storage.find(v => v.label == "proposalDuration");
+    const retyped = {
+      storage: storageLayout.storage.map(v => v == duration ? { ...v, type: "t_uint64" } : v),
+      types: { ...storageLayout.types, t_uint64: { encoding: "inplace", label: "uint64", numberOfBytes: "8" } },
+    };
+    expect(compareStorageLayout(storageLayout, retyped)).to.deep.equal([
+      `storage: proposalDuration (slot ${duration.slot}, offset 0) type changed from uint256 to uint64`,
+    ]);
+  });
+});
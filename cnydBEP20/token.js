@@ -0,0 +1,10 @@
+/**
+ * The token descriptor of this package, see amax-hardhat-common/fixtures.js
+ */
+module.exports = {
+  contractName: "CnydBEP20",
+  name: "CNY Digital",
+  symbol: "CNYD",
+  decimals: 6,
+  features: ["ownable", "pausable", "mintable", "burnable"],
+};
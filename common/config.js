@@ -0,0 +1,46 @@
+require("dotenv").config();
+
+require("@nomiclabs/hardhat-etherscan");
+require("@nomiclabs/hardhat-waffle");
+require("hardhat-gas-reporter");
+require("solidity-coverage");
+
+const { networks } = require("./networks");
+
+/**
+ * Builds the hardhat config of a package.
+ * @param solidity the solidity compiler version, keep it unchanged for the deployed contracts to verify
+ * @param urls default network urls to override, see `networks()`
+ * @param storageLayout whether to output the storage layouts, they are recorded in the deployment manifest
+ * @param extra other config entries of the package
+ * @return import('hardhat/config').HardhatUserConfig
+ */
+function createConfig({ solidity, urls, storageLayout = false, ...extra }) {
+  return {
+    solidity: {
+      version: solidity,
+      settings: {
+        optimizer: {
+          enabled: true
+        },
+        ...(storageLayout ? { outputSelection: { "*": { "*": ["storageLayout"] } } } : {}),
+      }
+    },
+    networks: networks(urls),
+    gasReporter: {
+      enabled: process.env.REPORT_GAS !== undefined,
+      currency: "USD",
+    },
+    etherscan: {
+      apiKey: process.env.ETHERSCAN_API_KEY,
+    },
+    mocha: {
+      timeout: 20000
+    },
+    ...extra,
+  };
+}
+
+module.exports = {
+  createConfig,
+};
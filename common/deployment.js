@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+
+// The in-process hardhat network is reset on every run, keep its manifest in memory only
+const memoryManifests = {};
+
+function manifestPath(hre) {
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+/**
+ * Reads the deployment manifest of the current network,
+ * `{ network, chainId, contracts: { <contractName>: deployment } }`.
+ */
+function readManifest(hre) {
+  if (hre.network.name == "hardhat") {
+    return memoryManifests[hre.network.name] || { network: hre.network.name, contracts: {} };
+  }
+  const file = manifestPath(hre);
+  if (!fs.existsSync(file)) {
+    return { network: hre.network.name, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(hre, manifest) {
+  if (hre.network.name == "hardhat") {
+    memoryManifests[hre.network.name] = manifest;
+    return;
+  }
+  const file = manifestPath(hre);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  console.log("Deployment manifest saved to:", path.relative(process.cwd(), file));
+}
+
+async function getCompilerInfo(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { outputSelection, ...settings } = buildInfo.input.settings;
+  return { version: buildInfo.solcLongVersion, settings };
+}
+
+/**
+ * Returns the public ABI and the storage layout of the compiled `contractName`,
+ * the storage layout is only output when enabled in the config, see `createConfig`.
+ */
+async function getContractLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  return { abi: artifact.abi, storageLayout: output.storageLayout };
+}
+
+/**
+ * Records a deployed contract in the manifest of the current network.
+ * @param name the name to register the deployment under
+ * @param contract the deployed ethers contract
+ * @param constructorArgs the arguments passed to the constructor
+ * @param contractName the artifact name of the contract, default `name`
+ */
+async function saveDeployment(hre, name, contract, constructorArgs = [], contractName = name) {
+  const receipt = await contract.deployTransaction.wait();
+  const manifest = readManifest(hre);
+  manifest.chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  manifest.contracts[name] = {
+    contractName,
+    address: contract.address,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    deployer: receipt.from,
+    constructorArgs: constructorArgs.map(arg => arg.toString()),
+    compiler: await getCompilerInfo(hre, contractName),
+    ...await getContractLayout(hre, contractName),
+    deployedAt: new Date().toISOString(),
+  };
+  writeManifest(hre, manifest);
+  return manifest.contracts[name];
+}
+
+function getDeployment(hre, name) {
+  return readManifest(hre).contracts[name];
+}
+
+/**
+ * Moves the deployment recorded under `from` to `to` in the manifest, replacing the one of `to`.
+ */
+function moveDeployment(hre, from, to) {
+  const manifest = readManifest(hre);
+  if (!manifest.contracts[from]) {
+    throw Error(`No ${from} deployment found in the manifest of network ${hre.network.name}`);
+  }
+  manifest.contracts[to] = manifest.contracts[from];
+  delete manifest.contracts[from];
+  writeManifest(hre, manifest);
+  return manifest.contracts[to];
+}
+
+/**
+ * Returns `address` if given, otherwise the address of `name` in the manifest of the current network.
+ */
+function resolveAddress(hre, address, name) {
+  if (address) return address;
+  const deployment = getDeployment(hre, name);
+  if (!deployment) {
+    throw Error(`No ${name} address given and no ${name} deployment found in the manifest of network ${hre.network.name}`);
+  }
+  console.log(`Resolved ${name} address from the deployment manifest: ${deployment.address}`);
+  return deployment.address;
+}
+
+module.exports = {
+  readManifest,
+  getContractLayout,
+  saveDeployment,
+  getDeployment,
+  moveDeployment,
+  resolveAddress,
+};
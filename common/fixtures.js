@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// https://getwaffle.io/
+// https://ethereum-waffle.readthedocs.io/en/latest/
+// https://github.com/EthWorks/Waffle
+
+/**
+ * A token package is described by its descriptor:
+ *   {
+ *     contractName: "AmaxBEP20",
+ *     name: "Armonia Meta Chain Base Coin",
+ *     symbol: "AMAX",
+ *     decimals: 8,
+ *     features: ["ownable", "pausable", "mintable", "burnable"],
+ *   }
+ * `features` selects the shared test cases of `describeToken`, a "capped" token
+ * also gives its supply `cap` in tokens.
+ */
+
+/**
+ * Deploys the token of `descriptor` by `owner`.
+ */
+async function deployToken(descriptor, owner, constructorArgs = []) {
+  const ContractFactory = await ethers.getContractFactory(descriptor.contractName);
+  const token = await ContractFactory.connect(owner).deploy(...constructorArgs);
+  await token.deployed();
+  return token;
+}
+
+/**
+ * Describes the shared test cases of the token of `descriptor`.
+ * @param constructorArgs the constructor arguments to deploy the token with
+ */
+function describeToken(descriptor, constructorArgs = []) {
+  const has = (feature) => descriptor.features.includes(feature);
+  const unit = (amount) => ethers.utils.parseUnits(String(amount), descriptor.decimals);
+
+  describe(descriptor.contractName, function () {
+    // global variants
+    let accounts;
+    let owner;
+    let users;
+    let token;
+
+    beforeEach(async () => {
+      // init global variants
+      accounts = await ethers.getSigners();
+      expect(accounts).length.greaterThan(10);
+      owner = accounts[0];
+      users = accounts.slice(1, 3);
+      token = await deployToken(descriptor, owner, constructorArgs);
+    });
+
+    it("test metadata", async function () {
+      expect(await token.name()).equal(descriptor.name);
+      expect(await token.symbol()).equal(descriptor.symbol);
+      expect(await token.decimals()).equal(descriptor.decimals);
+    });
+
+    if (has("ownable")) {
+      it("test two-step ownership", async function () {
+        expect(await token.owner()).equal(owner.address);
+        await expect(token.connect(users[0]).proposeOwner(users[0].address)).to.be.revertedWith("Ownable: caller is not the owner");
+        await token.connect(owner).proposeOwner(users[0].address);
+        expect(await token.proposedOwner()).equal(users[0].address);
+        expect(await token.owner()).equal(owner.address);
+        await expect(token.connect(users[1]).takeOwnership()).to.be.revertedWith("Ownable: caller is not the proposed owner");
+        await token.connect(users[0]).takeOwnership();
+        expect(await token.owner()).equal(users[0].address);
+      });
+    }
+
+    if (has("mintable") && has("burnable")) {
+      it("test mint, transfer and burn", async function () {
+        // mint
+        await token.connect(owner).mint(users[0].address, unit(10000));
+        expect(await token.balanceOf(users[0].address)).equal(unit(10000));
+        expect(await token.totalSupply()).equal(unit(10000));
+
+        // transfer
+        await token.connect(users[0]).transfer(users[1].address, unit(100));
+        expect(await token.balanceOf(users[0].address)).equal(unit(9900));
+        expect(await token.balanceOf(users[1].address)).equal(unit(100));
+        expect(await token.totalSupply()).equal(unit(10000));
+
+        // burn
+        await token.connect(users[0]).transfer(token.address, unit(100));
+        expect(await token.balanceOf(token.address)).equal(unit(100));
+        await token.connect(owner).burn(unit(100));
+        expect(await token.balanceOf(token.address)).equal(0);
+        expect(await token.totalSupply()).equal(unit(9900));
+      });
+    }
+
+    if (has("pausable")) {
+      it("test pause", async function () {
+        await token.connect(owner).mint(users[0].address, unit(100));
+        await expect(token.connect(users[0]).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+        await token.connect(owner).pause();
+        expect(await token.paused()).equal(true);
+        await expect(token.connect(users[0]).transfer(users[1].address, unit(1))).to.be.revertedWith("Pausable: paused");
+        await token.connect(owner).unpause();
+        await token.connect(users[0]).transfer(users[1].address, unit(1));
+        expect(await token.balanceOf(users[1].address)).equal(unit(1));
+      });
+    }
+
+    // the owner tasks of `registerTokenTasks`, which some packages, e.g. tokenFactory, don't register
+    if (has("mintable") && has("pausable") && hre.tasks.mint) {
+      it("test owner tasks", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-"));
+        try {
+          const file = path.join(dir, "batch.json");
+          const { batch } = await hre.run("mint", { token: token.address, to: users[0].address, amount: "100", safe: file });
+          expect(batch.meta.createdFromSafeAddress).equal(owner.address);
+          expect(batch.transactions[0].data).equal(token.interface.encodeFunctionData("mint", [users[0].address, unit(100)]));
+          expect(batch.transactions[0].contractInputsValues).to.deep.equal({ to: users[0].address, amount: unit(100).toString() });
+          expect(await token.totalSupply()).equal(0);
+
+          const { calls, problems } = await hre.run("decodeSafeBatch", { in: file });
+          expect(problems).to.deep.equal([]);
+          expect(calls[0].method).equal("mint(address,uint256)");
+
+          // the batch does what the task sends
+          await owner.sendTransaction({ to: token.address, data: batch.transactions[0].data });
+          expect(await token.balanceOf(users[0].address)).equal(unit(100));
+          await hre.run("pause", { token: token.address });
+          expect(await token.paused()).equal(true);
+
+          await token.connect(owner).proposeOwner(users[1].address);
+          await token.connect(users[1]).takeOwnership();
+          let error;
+          await hre.run("unpause", { token: token.address }).catch(e => { error = e; });
+          expect(error.message).to.contain(`is not the owner ${users[1].address}`);
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+    }
+
+    if (has("capped")) {
+      it("test cap", async function () {
+        expect(await token.cap()).equal(unit(descriptor.cap));
+        await token.connect(owner).mint(users[0].address, unit(descriptor.cap));
+        await expect(token.connect(owner).mint(users[0].address, 1)).to.be.revertedWith("cap exceeded");
+      });
+    }
+  });
+}
+
+module.exports = {
+  deployToken,
+  describeToken,
+};
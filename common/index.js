@@ -0,0 +1,12 @@
+const { createConfig } = require("./config");
+const { networks } = require("./networks");
+const { deployTask, registerTokenTasks } = require("./tasks");
+const deployment = require("./deployment");
+
+module.exports = {
+  createConfig,
+  networks,
+  deployTask,
+  registerTokenTasks,
+  ...deployment,
+};
@@ -0,0 +1,35 @@
+// chainId: https://chainlist.org/
+
+/**
+ * Returns the network definitions shared by all packages, the accounts are
+ * loaded from the `PRIVATE_KEY` env.
+ * @param urls default urls to override by network name, the `<NETWORK>_URL` env still takes precedence
+ */
+function networks(urls = {}) {
+  const network_accounts = process.env.PRIVATE_KEY !== undefined ? [process.env.PRIVATE_KEY] : [];
+
+  return {
+    hardhat: {
+      initialBaseFeePerGas: 0, // workaround from https://github.com/sc-forks/solidity-coverage/issues/652#issuecomment-896330136 . Remove when that issue is closed.
+    },
+    goerli: {
+      url: process.env.GOERLI_URL || urls.goerli || "",
+      accounts: network_accounts,
+    },
+    bsc_test: {
+      url: process.env.BSC_TEST_URL || urls.bsc_test || "https://data-seed-prebsc-2-s3.binance.org:8545",
+      chainId: 97,
+      accounts: network_accounts,
+    },
+    bsc_main: {
+      url: process.env.BSC_MAIN_URL || urls.bsc_main || "https://bsc-dataseed.binance.org/",
+      chainId: 56,
+      gasPrice: "auto",
+      accounts: network_accounts,
+    },
+  };
+}
+
+module.exports = {
+  networks,
+};
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Owner calls exported as a Safe Transaction Builder batch, to be imported in
+ * the Safe app and executed by the Safe owning the contracts:
+ *   {
+ *     version: "1.0", chainId: "5", createdAt: <ms>,
+ *     meta: { name, description, txBuilderVersion, createdFromSafeAddress, createdFromOwnerAddress, checksum },
+ *     transactions: [{ to, value, data, contractMethod: { inputs, name, payable }, contractInputsValues }],
+ *   }
+ * Each transaction carries both the encoded `data` and the method with its
+ * input values, so that it can be reviewed in the app and checked by `decodeSafeBatch`.
+ */
+
+const TX_BUILDER_VERSION = "1.16.1";
+
+/**
+ * Formats an argument the way the Transaction Builder takes input values:
+ * numbers as decimal strings, arrays and tuples as JSON.
+ */
+function formatInputValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return JSON.stringify(value.map(v => formatInputValue(v)));
+  return String(value);
+}
+
+function parseInputValue(param, value) {
+  if (param.baseType == "array" || param.baseType == "tuple") return JSON.parse(value);
+  if (param.baseType == "bool") return value == "true";
+  return value;
+}
+
+/**
+ * Encodes the call of `method` on `contract`, an ethers contract, with `args`
+ * into a batch transaction.
+ */
+function encodeCall({ contract, method, args = [] }) {
+  const fragment = contract.interface.getFunction(method);
+  return {
+    to: contract.address,
+    value: "0",
+    data: contract.interface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map(input => ({ internalType: input.type, name: input.name, type: input.type })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, formatInputValue(args[i])])),
+  };
+}
+
+/**
+ * A one-line summary of a batch transaction, e.g. `setProposer(account=0x..., enabled=true) on 0x...`.
+ */
+function describeTransaction(tx) {
+  if (!tx.contractMethod) {
+    return `call ${tx.data} with value ${tx.value} on ${tx.to}`;
+  }
+  const values = tx.contractInputsValues || {};
+  const args = tx.contractMethod.inputs.map(input => `${input.name}=${values[input.name]}`).join(", ");
+  return `${tx.contractMethod.name}(${args}) on ${tx.to}`;
+}
+
+function serialize(json) {
+  if (Array.isArray(json)) {
+    return `[${json.map(el => serialize(el)).join(",")}]`;
+  }
+  if (typeof json == "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serialize(json[key])},`).join("")}}`;
+  }
+  return JSON.stringify(json);
+}
+
+/**
+ * The batch checksum as the Transaction Builder computes it, over the batch
+ * without its name and checksum.
+ */
+function calculateChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(serialize({ ...batch, meta: { ...meta, name: null } })));
+}
+
+/**
+ * Builds the batch of `transactions`, encoded by `encodeCall`, for the Safe at `safe`.
+ */
+function buildSafeBatch({ chainId, safe, name, description = "", transactions }) {
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.utils.getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+/**
+ * Decodes the transactions of `batch` by the contract interfaces, an array of
+ * ethers `Interface`. Every transaction is checked: its data must match its
+ * method and input values, and the method must be of a known contract.
+ * @return `{ calls: [{ to, method, args, description, problems }], problems }`
+ */
+function decodeSafeBatch(batch, interfaces) {
+  const problems = [];
+  if (batch.meta && batch.meta.checksum && batch.meta.checksum != calculateChecksum(batch)) {
+    problems.push("checksum mismatch, the batch was changed after it was built");
+  }
+  const calls = (batch.transactions || []).map((tx, i) => {
+    const call = { index: i, to: tx.to, value: tx.value, description: describeTransaction(tx), problems: [] };
+    let data = tx.data;
+    if (tx.contractMethod) {
+      const fragment = ethers.utils.Fragment.from({ type: "function", stateMutability: tx.contractMethod.payable ? "payable" : "nonpayable", ...tx.contractMethod });
+      const values = tx.contractInputsValues || {};
+      const encoded = new ethers.utils.Interface([fragment]).encodeFunctionData(fragment,
+        fragment.inputs.map(input => parseInputValue(input, values[input.name])));
+      if (data && data != encoded) {
+        call.problems.push(`data does not match ${tx.contractMethod.name} and its input values`);
+      }
+      data = data || encoded;
+    }
+    if (!ethers.BigNumber.from(tx.value || 0).isZero()) {
+      call.problems.push(`sends value ${tx.value}`);
+    }
+    const iface = interfaces.find(iface => {
+      try {
+        return !!iface.getFunction(data.slice(0, 10));
+      } catch (e) {
+        return false;
+      }
+    });
+    if (!iface) {
+      call.problems.push(`unknown function selector ${data.slice(0, 10)}`);
+    } else {
+      const parsed = iface.parseTransaction({ data });
+      call.method = parsed.signature;
+      call.args = parsed.functionFragment.inputs.map((input, j) => formatInputValue(parsed.args[j]));
+    }
+    problems.push(...call.problems.map(p => `transaction #${i}: ${p}`));
+    return call;
+  });
+  return { calls, problems };
+}
+
+/**
+ * Sends `calls`, `{ contract, method, args }` with `contract` connected to the
+ * signer, one transaction each. With `safe` set, writes them as a batch to the
+ * `safe` file instead, for `owner`, the Safe, to execute.
+ * @return `{ receipts }` when sent, `{ batch }` when exported
+ */
+async function sendOrExportCalls(hre, calls, { safe, owner, name }) {
+  const transactions = calls.map(encodeCall);
+  if (safe) {
+    if (await hre.ethers.provider.getCode(owner) == "0x") {
+      console.warn(`WARNING: the owner ${owner} is not a contract, a Safe can't execute the batch`);
+    }
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = buildSafeBatch({ chainId, safe: owner, name, description: transactions.map(describeTransaction).join("\n"), transactions });
+    fs.writeFileSync(safe, JSON.stringify(batch, null, 2) + "\n");
+    console.log(`Safe batch of ${transactions.length} transactions for ${owner}:`);
+    transactions.forEach((tx, i) => console.log(`  #${i} ${describeTransaction(tx)}`));
+    console.log("Safe batch written to:", safe);
+    return { batch };
+  }
+  const receipts = [];
+  for (const [i, call] of calls.entries()) {
+    console.log(`Send ${describeTransaction(transactions[i])} ...`);
+    const receipt = await (await call.contract[call.method](...(call.args || []))).wait();
+    console.log("Transaction mined:", receipt.transactionHash);
+    receipts.push(receipt);
+  }
+  return { receipts };
+}
+
+module.exports = {
+  encodeCall,
+  describeTransaction,
+  calculateChecksum,
+  buildSafeBatch,
+  decodeSafeBatch,
+  sendOrExportCalls,
+};
@@ -0,0 +1,128 @@
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { saveDeployment, getDeployment, resolveAddress } = require("./deployment");
+const { decodeSafeBatch, sendOrExportCalls } = require("./safe");
+
+task("accounts", "Prints the list of accounts", async (taskArgs, hre) => {
+  const accounts = await hre.ethers.getSigners();
+
+  for (const account of accounts) {
+    console.log(account.address);
+  }
+});
+
+task("decodeSafeBatch", "Decode a Safe Transaction Builder batch file into calls for review, by the ABIs of the compiled contracts")
+  .addParam("in", "The batch JSON file")
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    const batch = JSON.parse(fs.readFileSync(taskArgs.in, "utf8"));
+    const interfaces = [];
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+      interfaces.push(new hre.ethers.utils.Interface((await hre.artifacts.readArtifact(name)).abi));
+    }
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const decoded = decodeSafeBatch(batch, interfaces);
+    if (batch.chainId != chainId) {
+      decoded.problems.unshift(`the batch is for chain ${batch.chainId}, but network ${hre.network.name} is chain ${chainId}`);
+    }
+
+    console.log(`${batch.meta.name}, for Safe ${batch.meta.createdFromSafeAddress} on chain ${batch.chainId}, created at ${new Date(batch.createdAt).toISOString()}`);
+    for (const call of decoded.calls) {
+      console.log(`#${call.index} ${call.to}: ${call.method || "?"}`);
+      if (call.args) {
+        console.log(`    args: ${call.args.join(", ")}`);
+      }
+    }
+    if (decoded.problems.length > 0) {
+      throw Error(`The batch ${taskArgs.in} has problems:\n  ${decoded.problems.join("\n  ")}`);
+    }
+    return decoded;
+  });
+
+/**
+ * Registers a `deploy<contractName>` task, which deploys the contract, records
+ * it in the deployment manifest and optionally verifies it.
+ * @param contractName the contract to deploy
+ * @param constructorArgs the constructor arguments
+ * @return the task definition
+ */
+function deployTask({ contractName, constructorArgs = [] }) {
+  return task(`deploy${contractName}`, `Deploy ${contractName} contract`)
+    .addOptionalParam("verify", "Whether to verify contract, true|false", false, types.boolean)
+    .setAction(async (taskArgs, hre) => {
+      console.log("args: ", taskArgs)
+      // If this script is run directly using `node` you may want to call compile
+      // manually to make sure everything is compiled
+      await hre.run('compile');
+
+      const ContractFactory = await hre.ethers.getContractFactory(contractName);
+      const contract = await ContractFactory.deploy(...constructorArgs);
+
+      await contract.deployed();
+
+      console.log("contract", contractName, "deployed to:", contract.address);
+      await saveDeployment(hre, contractName, contract, constructorArgs);
+
+      if (taskArgs.verify) {
+        await hre.run("verify:verify", {
+          address: contract.address,
+          constructorArguments: getDeployment(hre, contractName).constructorArgs,
+        });
+      }
+      return contract;
+    });
+}
+
+/**
+ * Registers the tasks of a token package, see `fixtures.js` for the token descriptor.
+ */
+function registerTokenTasks(descriptor) {
+  const has = (feature) => descriptor.features.includes(feature);
+  const { contractName } = descriptor;
+
+  /**
+   * Registers an owner task calling `method` of the token with the args built
+   * from the task args, sent by the owner or exported as a Safe batch.
+   */
+  function ownerTask(name, description, method, buildArgs = () => []) {
+    return task(name, `${description}, by the owner or as a Safe batch`)
+      .addOptionalParam("token", `The address of ${contractName} contract, default from the deployment manifest`)
+      .addOptionalParam("safe", "Write a Safe Transaction Builder batch to this JSON file instead of sending, for the Safe owner to execute")
+      .setAction(async (taskArgs, hre) => {
+        console.log("args: ", taskArgs)
+        const [signer] = await hre.ethers.getSigners();
+        const token = await hre.ethers.getContractAt(contractName, resolveAddress(hre, taskArgs.token, contractName), signer);
+        const owner = await token.owner();
+        if (!taskArgs.safe && owner != signer.address) {
+          throw Error(`The signer ${signer.address} is not the owner ${owner} of ${contractName}, export a Safe batch by --safe`);
+        }
+        const args = buildArgs(taskArgs, await token.decimals());
+        return sendOrExportCalls(hre, [{ contract: token, method, args }], { safe: taskArgs.safe, owner, name: `${contractName} ${method}` });
+      });
+  }
+
+  if (has("mintable")) {
+    ownerTask("mint", `Mint ${descriptor.symbol}`, "mint", (taskArgs, decimals) => [taskArgs.to, ethers.utils.parseUnits(taskArgs.amount, decimals)])
+      .addParam("to", "The recipient address")
+      .addParam("amount", `The amount to mint, in ${descriptor.symbol}`);
+  }
+  if (has("burnable")) {
+    ownerTask("burn", `Burn the ${descriptor.symbol} held by the token contract`, "burn", (taskArgs, decimals) => [ethers.utils.parseUnits(taskArgs.amount, decimals)])
+      .addParam("amount", `The amount to burn, in ${descriptor.symbol}`);
+  }
+  if (has("pausable")) {
+    ownerTask("pause", `Pause ${contractName}`, "pause");
+    ownerTask("unpause", `Unpause ${contractName}`, "unpause");
+  }
+  if (has("ownable")) {
+    ownerTask("proposeOwner", `Propose a new owner of ${contractName}, who takes the ownership`, "proposeOwner", (taskArgs) => [taskArgs.newOwner])
+      .addParam("newOwner", "The proposed owner address");
+  }
+  return deployTask({ contractName });
+}
+
+module.exports = {
+  deployTask,
+  registerTokenTasks,
+};
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.2;
+
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+
+/**
+ * @title Ownable
+ * @dev The Ownable contract has an owner address, and provides basic authorization control
+ * functions, this simplifies the implementation of "user permissions".
+ */
+abstract contract Ownable {
+    event OwnershipProposed(address indexed newOwner);
+    event OwnershipTransferred(address indexed oldOwner, address indexed newOwner);
+
+    address private _owner;
+    address private _proposedOwner;
+
+    /**
+    * @dev The Ownable constructor sets the original `owner` of the contract to the sender
+    * account.
+    */
+    constructor() {
+        _owner = msg.sender;
+    }
+
+    function owner() public view returns(address) {
+        return _owner;
+    }
+
+    function proposedOwner() public view returns(address) {
+        return _proposedOwner;
+    }
+
+    /**
+    * @dev Throws if called by any account other than the owner.
+    */
+    modifier onlyOwner() {
+        require(msg.sender == _owner, "Ownable: caller is not the owner");
+        _;
+    }
+
+    /**
+    * @dev Throws if called by any account other than the proposed owner.
+    */
+    modifier onlyProposedOwner() {
+        require(_proposedOwner != address(0) && msg.sender == _proposedOwner, 
+            "Ownable: caller is not the proposed owner");
+        _;
+    }
+
+    modifier onlyNonZeroAccount(address account) {
+        require(account != address(0), "zero account not allowed" );
+        _;
+    }
+
+    /**
+    * @dev propose a new owner by an existing owner
+    * @param newOwner The address proposed to transfer ownership to.
+    */
+    function proposeOwner(address newOwner) public onlyOwner {
+        require(newOwner != address(0), "Ownable: new owner is the zero address");
+        _proposedOwner = newOwner;
+        emit OwnershipProposed(newOwner);
+    }
+
+    /**
+    * @dev Allows the current owner to transfer control of the contract to a newOwner.
+    */
+    function takeOwnership() public onlyProposedOwner {
+        _transferOwnership(_proposedOwner);
+        _proposedOwner = address(0);
+    }
+
+    /**
+    * @dev Transfers control of the contract to a newOwner.
+    * @param newOwner The address to transfer ownership to.
+    */
+    function _transferOwnership(address newOwner) internal {
+        require(newOwner != address(0), "Ownable: zero address not allowed");
+        emit OwnershipTransferred(_owner, newOwner);
+        _owner = newOwner;
+    }
+
+}
+
+/**
+ * @title ConfigurableToken
+ * @dev A pausable, two-step-ownable ERC20 token whose name, symbol, decimals and
+ * supply cap are set on deployment. A zero cap means the supply is not capped.
+ */
+contract ConfigurableToken is ERC20, Pausable, Ownable {
+
+    uint8 private immutable _decimals;
+    uint256 private immutable _cap;
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_, uint256 cap_) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+        _cap = cap_;
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Returns the cap on the token's total supply, zero if not capped.
+     */
+    function cap() public view returns (uint256) {
+        return _cap;
+    }
+
+    function pause() public onlyOwner {
+        _pause();
+    }
+
+    function unpause() public onlyOwner {
+        _unpause();
+    }
+
+    /** @dev Creates `amount` tokens and assigns them to `to`, increasing
+     * the total supply.
+     *
+     * Emits a {Transfer} event with `from` set to the zero address.
+     *
+     * Requirements:
+     *
+     * - `account` cannot be the zero address.
+     * - the total supply cannot exceed the cap.
+     */
+    function mint(address to, uint256 amount) public onlyOwner {
+        require(_cap == 0 || totalSupply() + amount <= _cap, "ConfigurableToken: cap exceeded");
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Destroys `amount` tokens from contract account, reducing the
+     * total supply.
+     *
+     * Emits a {Transfer} event with `to` set to the zero address.
+     *
+     * Requirements:
+     *
+     * - `account` cannot be the zero address.
+     * - `account` must have at least `amount` tokens.
+     */
+    function burn(uint256 amount) public onlyOwner {
+        _burn(address(this), amount);
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal override whenNotPaused {
+        super._transfer(sender, recipient, amount);
+    }
+
+}
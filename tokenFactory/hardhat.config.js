@@ -0,0 +1,10 @@
+const { createConfig } = require("amax-hardhat-common");
+
+require("./tasks/deployToken");
+
+// You need to export an object to set up your config
+// Go to https://hardhat.org/config/ to learn more
+
+module.exports = createConfig({
+  solidity: "0.8.9",
+});
@@ -0,0 +1,41 @@
+const { task, types } = require("hardhat/config");
+const { saveDeployment, getDeployment } = require("amax-hardhat-common");
+
+const contractName = "ConfigurableToken";
+
+task("deployToken", "Deploy a ConfigurableToken with the given name, symbol, decimals and cap")
+  .addParam("name", "The token name, e.g. \"HKD Digital\"")
+  .addParam("symbol", "The token symbol, the deployment is recorded in the manifest under it")
+  .addOptionalParam("decimals", "The token decimals", 18, types.int)
+  .addOptionalParam("cap", "The supply cap in tokens, 0 for no cap", "0")
+  .addOptionalParam("verify", "Whether to verify contract, true|false", false, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    console.log("args: ", taskArgs)
+    if (taskArgs.decimals < 0 || taskArgs.decimals > 255) {
+      throw Error(`Invalid decimals: ${taskArgs.decimals}`)
+    }
+    if (getDeployment(hre, taskArgs.symbol)) {
+      throw Error(`${taskArgs.symbol} is already deployed on network ${hre.network.name}: ${getDeployment(hre, taskArgs.symbol).address}`)
+    }
+    const cap = hre.ethers.utils.parseUnits(taskArgs.cap, taskArgs.decimals);
+    const constructorArgs = [taskArgs.name, taskArgs.symbol, taskArgs.decimals, cap];
+
+    await hre.run('compile');
+
+    const ContractFactory = await hre.ethers.getContractFactory(contractName);
+    const contract = await ContractFactory.deploy(...constructorArgs);
+
+    await contract.deployed();
+
+    console.log("contract", contractName, taskArgs.symbol, "deployed to:", contract.address);
+    await saveDeployment(hre, taskArgs.symbol, contract, constructorArgs, contractName);
+
+    if (taskArgs.verify) {
+      await hre.run("verify:verify", {
+        address: contract.address,
+        contract: `contracts/${contractName}.sol:${contractName}`,
+        constructorArguments: getDeployment(hre, taskArgs.symbol).constructorArgs,
+      });
+    }
+    return contract;
+  });
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { describeToken } = require("amax-hardhat-common/fixtures");
+const { getDeployment } = require("amax-hardhat-common");
+
+const descriptor = {
+  contractName: "ConfigurableToken",
+  name: "HKD Digital",
+  symbol: "HKDD",
+  decimals: 6,
+  cap: 1000000,
+  features: ["ownable", "pausable", "mintable", "burnable", "capped"],
+};
+
+describeToken(descriptor, [
+  descriptor.name,
+  descriptor.symbol,
+  descriptor.decimals,
+  ethers.utils.parseUnits(String(descriptor.cap), descriptor.decimals),
+]);
+
+describe("deployToken task", function () {
+  let accounts;
+  let owner;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    owner = accounts[0];
+  });
+
+  it("test deployToken", async function () {
+    const token = await hre.run("deployToken", { name: "SGD Digital", symbol: "SGDD", decimals: 2, cap: "5000.5" });
+    expect(await token.name()).equal("SGD Digital");
+    expect(await token.symbol()).equal("SGDD");
+    expect(await token.decimals()).equal(2);
+    expect(await token.cap()).equal(500050);
+    expect(await token.owner()).equal(owner.address);
+
+    const deployment = getDeployment(hre, "SGDD");
+    expect(deployment.contractName).equal("ConfigurableToken");
+    expect(deployment.address).equal(token.address);
+    expect(deployment.deployer).equal(owner.address);
+    expect(deployment.constructorArgs).to.deep.equal(["SGD Digital", "SGDD", "2", "500050"]);
+
+    // the recorded constructor args encode to the deployed bytecode suffix for verification
+    const encoded = token.interface.encodeDeploy(deployment.constructorArgs);
+    const tx = await ethers.provider.getTransaction(deployment.transactionHash);
+    expect(tx.data.endsWith(encoded.slice(2))).equal(true);
+
+    // an uncapped token
+    const uncapped = await hre.run("deployToken", { name: "MYR Digital", symbol: "MYRD" });
+    expect(await uncapped.decimals()).equal(18);
+    expect(await uncapped.cap()).equal(0);
+    await uncapped.mint(owner.address, ethers.constants.MaxUint256);
+
+    let error;
+    await hre.run("deployToken", { name: "SGD Digital", symbol: "SGDD" }).catch(e => { error = e; });
+    expect(error.message).to.match(/SGDD is already deployed/);
+  });
+});